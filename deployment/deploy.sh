@@ -65,6 +65,11 @@ for func in data_collection feature_engineering model_inference bedrock_generati
     # Copy function code
     cp ${func}.py /tmp/${func}_package/index.py
 
+    # The compiler checks reports against the schema the web app reads
+    if [ "${func}" = "report_compilation" ]; then
+        cp "${PROJECT_ROOT}/web_app/assets/schema/report.schema.json" /tmp/${func}_package/
+    fi
+
     # Create zip
     cd /tmp/${func}_package
     zip -r ${func}.zip . > /dev/null 2>&1
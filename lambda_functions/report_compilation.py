@@ -8,6 +8,7 @@ import os
 import boto3
 import logging
 from datetime import datetime
+from functools import lru_cache
 from typing import Dict, List, Any
 
 logger = logging.getLogger()
@@ -22,6 +23,107 @@ ENVIRONMENT = os.environ.get('ENVIRONMENT', 'development')
 INSIGHTS_TABLE_NAME = os.environ.get('INSIGHTS_TABLE')
 REPORTS_BUCKET = os.environ.get('REPORTS_BUCKET')
 
+# Report schema the web app's ReportSchema also checks reports against
+# (web_app/assets/schema/report.schema.json); packaged next to this function by deployment/deploy.sh
+SCHEMA_PATH = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'report.schema.json')
+
+
+@lru_cache(maxsize=1)
+def load_report_schema() -> Dict:
+    """Load the shared report schema on first use, so a package without it still imports"""
+    try:
+        with open(SCHEMA_PATH) as schema_file:
+            return json.load(schema_file)
+    except FileNotFoundError:
+        raise RuntimeError(
+            f"Report schema not found at {SCHEMA_PATH}. Package web_app/assets/schema/report.schema.json "
+            "next to this function, as deployment/deploy.sh does."
+        ) from None
+
+
+JSON_TYPES = {
+    'string': str,
+    'integer': int,
+    'number': (int, float),
+    'boolean': bool,
+    'array': list,
+    'object': dict
+}
+
+
+def resolve_rule(rule: Dict, schema: Dict) -> Dict:
+    """Follow a local reference ("#/$defs/game"), the only kind the schema uses"""
+    while '$ref' in rule:
+        node = schema
+        for part in rule['$ref'][2:].split('/'):
+            node = node[part]
+        rule = node
+    return rule
+
+
+def has_type(value: Any, type_name: str) -> bool:
+    """Whether a value has a JSON schema type"""
+    if type_name == 'null':
+        return value is None
+    # bool is an int in Python; don't let True pass as a number
+    if isinstance(value, bool) and type_name != 'boolean':
+        return False
+    expected = JSON_TYPES.get(type_name)
+    return expected is None or isinstance(value, expected)
+
+
+def check_value(value: Any, rule: Dict, path: str, schema: Dict, problems: List[str]) -> None:
+    """
+    Check one value against a schema rule the way the web app's ReportSchema does:
+    type, enum, list items, and required and typed fields of objects.
+    Appends the path of everything that fails to problems.
+    """
+    node = resolve_rule(rule, schema)
+
+    types = node.get('type')
+    if types is not None:
+        types = types if isinstance(types, list) else [types]
+        if not any(has_type(value, type_name) for type_name in types):
+            problems.append(f"{path}: expected {' or '.join(types)}")
+            return
+
+    if 'enum' in node and value not in node['enum']:
+        problems.append(f"{path}: not one of {', '.join(map(str, node['enum']))}")
+        return
+
+    if isinstance(value, list) and 'items' in node:
+        for index, item in enumerate(value):
+            check_value(item, node['items'], f"{path}[{index}]", schema, problems)
+
+    elif isinstance(value, dict) and 'properties' in node:
+        for field in node.get('required', []):
+            if value.get(field) is None:
+                problems.append(f"{path}.{field}: missing")
+
+        for field, child in node['properties'].items():
+            if value.get(field) is not None:
+                check_value(value[field], child, f"{path}.{field}", schema, problems)
+
+
+def validate_report(report_data: Dict) -> List[str]:
+    """
+    Check the compiled report against the schema: required top-level fields are
+    present, and every field, down to each section's contents, has the declared type.
+    Returns the paths that are missing or invalid.
+    """
+    schema = load_report_schema()
+    problems = []
+
+    for field in schema.get('required', []):
+        if report_data.get(field) is None:
+            problems.append(f"{field}: missing")
+
+    for field, rule in schema.get('properties', {}).items():
+        if report_data.get(field) is not None:
+            check_value(report_data[field], rule, field, schema, problems)
+
+    return problems
+
 
 def get_all_sections(player_puuid: str, year: int) -> List[Dict]:
     """Retrieve all generated sections for a player"""
@@ -80,8 +182,9 @@ def compile_report(player_puuid: str, year: int) -> Dict:
 
         # Build complete report
         complete_report = {
+            'schemaVersion': load_report_schema()['version'],
             'player_puuid': player_puuid,
-            'year': year,
+            'year': int(year),
             'title': f'League of Legends {year} Performance Report',
             'generated_at': datetime.utcnow().isoformat(),
             'sections': []
@@ -91,6 +194,10 @@ def compile_report(player_puuid: str, year: int) -> Dict:
             if section_type in section_map:
                 complete_report['sections'].append(section_map[section_type])
 
+        problems = validate_report(complete_report)
+        if problems:
+            raise ValueError(f"Compiled report does not match the report schema: {', '.join(problems)}")
+
         return complete_report
 
     except Exception as e:
@@ -0,0 +1,109 @@
+/**
+ * Summoner's Chronicle - Accessibility
+ * Keyboard behaviour for tab widgets, screen reader announcements and focus
+ * moves, shared by the auth, dashboard and share pages
+ */
+
+(function() {
+    'use strict';
+
+    // Screen readers skip a live region change made in the same tick it was cleared
+    const ANNOUNCE_DELAY_MS = 100;
+
+    const regions = {};
+
+    // One visually hidden region per politeness level, created on first use
+    function liveRegion(politeness) {
+        if (!regions[politeness]) {
+            const region = document.createElement('div');
+            region.className = 'visually-hidden';
+            region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+            region.setAttribute('aria-live', politeness);
+            region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(region);
+            regions[politeness] = region;
+        }
+        return regions[politeness];
+    }
+
+    /**
+     * Have screen readers read out a message without moving focus.
+     * Use assertive only for errors that stop what the user was doing.
+     */
+    function announce(message, { assertive = false } = {}) {
+        if (!message) return;
+
+        const region = liveRegion(assertive ? 'assertive' : 'polite');
+
+        // Clearing first makes the same message announce again
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, ANNOUNCE_DELAY_MS);
+    }
+
+    // Focus an element that isn't normally focusable, e.g. a heading after navigation
+    function focus(element) {
+        if (!element) return;
+
+        if (!element.hasAttribute('tabindex')) {
+            element.setAttribute('tabindex', '-1');
+        }
+        element.focus({ preventScroll: true });
+    }
+
+    /**
+     * Make the [role="tab"] buttons inside a [role="tablist"] keyboard accessible.
+     * The markup supplies roles, ids and aria-controls; this keeps aria-selected and
+     * a roving tabindex in step, and moves focus with the arrow keys, Home and End.
+     * Tabs activate on Enter or Space through their own click handlers, so arrowing
+     * past a tab doesn't navigate to it.
+     * Returns select(panelId), which marks that tab and its panel active.
+     */
+    function tabs(tablist) {
+        const all = () => Array.from(tablist.querySelectorAll('[role="tab"]'));
+
+        // Tabs hidden by feature flags or share settings are skipped
+        const available = () => all().filter(tab => tab.style.display !== 'none' && !tab.hidden);
+
+        tablist.addEventListener('keydown', (event) => {
+            const options = available();
+            const index = options.indexOf(document.activeElement);
+            if (index === -1) return;
+
+            let next;
+            switch (event.key) {
+                case 'ArrowRight': next = options[(index + 1) % options.length]; break;
+                case 'ArrowLeft': next = options[(index - 1 + options.length) % options.length]; break;
+                case 'Home': next = options[0]; break;
+                case 'End': next = options[options.length - 1]; break;
+                default: return;
+            }
+
+            event.preventDefault();
+            next.focus();
+        });
+
+        function select(panelId) {
+            all().forEach(tab => {
+                const panel = tab.getAttribute('aria-controls');
+                const selected = panel === panelId;
+
+                tab.classList.toggle('active', selected);
+                tab.setAttribute('aria-selected', String(selected));
+                tab.tabIndex = selected ? 0 : -1;
+
+                const element = document.getElementById(panel);
+                if (element) element.classList.toggle('active', selected);
+            });
+        }
+
+        return select;
+    }
+
+    window.A11y = Object.freeze({
+        announce,
+        focus,
+        tabs
+    });
+
+    console.log('Accessibility module initialized');
+})();
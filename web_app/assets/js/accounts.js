@@ -0,0 +1,163 @@
+/**
+ * Summoner's Chronicle - Linked Accounts
+ * Keeps the list of linked summoner accounts and which one is active
+ */
+
+(function() {
+    'use strict';
+
+    const ACCOUNTS_KEY = 'linkedAccounts';
+    const ACTIVE_KEY = 'activeAccount';
+    const LEGACY_KEYS = ['summonerPuuid', 'summonerName', 'region'];
+    const MAX_ACCOUNTS = 3;
+
+    function read() {
+        try {
+            const accounts = JSON.parse(localStorage.getItem(ACCOUNTS_KEY));
+            return Array.isArray(accounts) ? accounts : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function write(accounts) {
+        localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+    }
+
+    // Fold the single-account keys used before multi-account support into the list
+    function migrateLegacy() {
+        const puuid = localStorage.getItem('summonerPuuid');
+        if (!puuid) return;
+
+        const accounts = read();
+        if (!accounts.some(account => account.puuid === puuid)) {
+            accounts.unshift({
+                puuid,
+                summonerName: localStorage.getItem('summonerName') || '',
+                region: localStorage.getItem('region') || ''
+            });
+            write(accounts.slice(0, MAX_ACCOUNTS));
+        }
+        if (!localStorage.getItem(ACTIVE_KEY)) {
+            localStorage.setItem(ACTIVE_KEY, puuid);
+        }
+
+        LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+    }
+
+    function list() {
+        return read();
+    }
+
+    function get(puuid) {
+        return read().find(account => account.puuid === puuid) || null;
+    }
+
+    function getActive() {
+        const accounts = read();
+        const activePuuid = localStorage.getItem(ACTIVE_KEY);
+        return accounts.find(account => account.puuid === activePuuid) || accounts[0] || null;
+    }
+
+    function setActive(puuid) {
+        if (!get(puuid)) {
+            throw new Error(I18n.t('dashboard.errors.accountNotLinked'));
+        }
+        localStorage.setItem(ACTIVE_KEY, puuid);
+    }
+
+    // Insert or update an account; new accounts are refused past the limit
+    function upsert(account) {
+        const accounts = read();
+        const index = accounts.findIndex(existing => existing.puuid === account.puuid);
+
+        if (index >= 0) {
+            accounts[index] = { ...accounts[index], ...account };
+        } else {
+            if (accounts.length >= MAX_ACCOUNTS) {
+                throw new Error(I18n.t('dashboard.errors.tooManyAccounts', { count: MAX_ACCOUNTS }));
+            }
+            accounts.push(account);
+        }
+
+        write(accounts);
+        return account;
+    }
+
+    function remove(puuid) {
+        const accounts = read().filter(account => account.puuid !== puuid);
+        write(accounts);
+
+        if (localStorage.getItem(ACTIVE_KEY) === puuid) {
+            if (accounts.length > 0) {
+                localStorage.setItem(ACTIVE_KEY, accounts[0].puuid);
+            } else {
+                localStorage.removeItem(ACTIVE_KEY);
+            }
+        }
+    }
+
+    // Replace the local list with the server's view, keeping the active selection when possible
+    function sync(serverAccounts) {
+        if (!Array.isArray(serverAccounts)) return;
+
+        write(serverAccounts.slice(0, MAX_ACCOUNTS).map(account => ({
+            puuid: account.puuid,
+            summonerName: account.summonerName || '',
+            region: account.region || '',
+            rank: account.rank
+        })));
+
+        const active = getActive();
+        if (active) {
+            localStorage.setItem(ACTIVE_KEY, active.puuid);
+        } else {
+            localStorage.removeItem(ACTIVE_KEY);
+        }
+    }
+
+    // Link a summoner through the API and make it the active account
+    async function link(summonerName, region) {
+        if (read().length >= MAX_ACCOUNTS) {
+            throw new Error(I18n.t('dashboard.errors.tooManyAccounts', { count: MAX_ACCOUNTS }));
+        }
+
+        const result = await ApiClient.post('/summoner/link', { summonerName, region }, {
+            errorMessage: I18n.t('errors.linkAccount')
+        });
+
+        upsert({
+            puuid: result.puuid,
+            summonerName: result.summonerName || summonerName,
+            region,
+            rank: result.rank
+        });
+        setActive(result.puuid);
+
+        return result;
+    }
+
+    async function unlink(puuid) {
+        await ApiClient.delete(`/summoner/link/${encodeURIComponent(puuid)}`, {
+            errorMessage: I18n.t('dashboard.errors.unlinkAccount')
+        });
+        remove(puuid);
+    }
+
+    migrateLegacy();
+
+    window.Accounts = Object.freeze({
+        list,
+        get,
+        getActive,
+        setActive,
+        upsert,
+        remove,
+        sync,
+        link,
+        unlink,
+        MAX_ACCOUNTS
+    });
+
+    console.log('Accounts module initialized');
+})();
@@ -0,0 +1,351 @@
+/**
+ * Summoner's Chronicle - API Client
+ * Shared request layer for the RiftSage API: auth headers, typed errors,
+ * timeouts, retries for idempotent requests and 401 handling
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_TIMEOUT_MS = 15000;
+    const DEFAULT_GET_RETRIES = 2;
+    const RETRY_BASE_DELAY_MS = 500;
+    const RETRY_MAX_DELAY_MS = 8000;
+    const AUTH_PAGE = 'auth.html';
+    const AUTH_STORAGE_KEYS = ['authToken', 'refreshToken', 'tokenExpiresAt', 'userId'];
+
+    // Set by the service worker when it answers with a saved copy (see sw.js)
+    const SNAPSHOT_HEADER = 'X-Offline-Snapshot';
+    const SNAPSHOT_EVENT = 'api:snapshot';
+
+    // Fired once per request that finally failed, after refresh and retries (see telemetry.js)
+    const FAILURE_EVENT = 'api:failure';
+
+    // Error types
+    class ApiError extends Error {
+        constructor(message, status = 0, body = null) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = status;
+            this.body = body;
+        }
+    }
+
+    class UnauthorizedError extends ApiError {
+        constructor(message = 'Unauthorized', body = null) {
+            super(message, 401, body);
+            this.name = 'UnauthorizedError';
+        }
+    }
+
+    class ForbiddenError extends ApiError {
+        constructor(message = 'Forbidden', body = null) {
+            super(message, 403, body);
+            this.name = 'ForbiddenError';
+        }
+    }
+
+    class NotFoundError extends ApiError {
+        constructor(message = 'Not found', body = null) {
+            super(message, 404, body);
+            this.name = 'NotFoundError';
+        }
+    }
+
+    class RateLimitError extends ApiError {
+        constructor(message = 'Too many requests', body = null, retryAfterMs = null) {
+            super(message, 429, body);
+            this.name = 'RateLimitError';
+            this.retryAfterMs = retryAfterMs;
+        }
+    }
+
+    class ServerError extends ApiError {
+        constructor(message = 'Server error', status = 500, body = null) {
+            super(message, status, body);
+            this.name = 'ServerError';
+        }
+    }
+
+    class TimeoutError extends ApiError {
+        constructor(message = 'The request timed out') {
+            super(message, 0, null);
+            this.name = 'TimeoutError';
+        }
+    }
+
+    class NetworkError extends ApiError {
+        constructor(message = 'Network error - check your connection') {
+            super(message, 0, null);
+            this.name = 'NetworkError';
+        }
+    }
+
+    class ConfigError extends ApiError {
+        constructor(message = 'Configuration not loaded') {
+            super(message, 0, null);
+            this.name = 'ConfigError';
+        }
+    }
+
+    let redirectingToAuth = false;
+
+    // Optional hooks installed by the session module (token lookup, refresh, sign-out)
+    let sessionHooks = null;
+
+    function configureSession(hooks) {
+        sessionHooks = hooks;
+    }
+
+    // Waits for the runtime config so requests made during startup don't race it
+    async function getBaseUrl() {
+        await AppConfig.ready;
+
+        const config = AppConfig.get();
+        if (!config) {
+            throw new ConfigError();
+        }
+        return config.apiEndpoint.replace(/\/$/, '');
+    }
+
+    function getAuthToken() {
+        if (sessionHooks && sessionHooks.getToken) {
+            return sessionHooks.getToken();
+        }
+        return localStorage.getItem('authToken');
+    }
+
+    // Send the user back to the sign-in page, keeping non-auth data such as linked accounts
+    function handleUnauthorized() {
+        if (redirectingToAuth) return;
+        redirectingToAuth = true;
+
+        if (sessionHooks && sessionHooks.onUnauthorized) {
+            sessionHooks.onUnauthorized();
+            return;
+        }
+
+        AUTH_STORAGE_KEYS.forEach(key => localStorage.removeItem(key));
+
+        if (!window.location.pathname.endsWith(`/${AUTH_PAGE}`)) {
+            window.location.href = AUTH_PAGE;
+        }
+    }
+
+    function parseRetryAfter(response) {
+        const header = response.headers.get('Retry-After');
+        if (!header) return null;
+
+        const seconds = Number(header);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+
+        const date = Date.parse(header);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    async function readErrorBody(response) {
+        const text = await response.text().catch(() => '');
+        if (!text) return null;
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return { message: text };
+        }
+    }
+
+    async function errorFromResponse(response, fallbackMessage) {
+        const body = await readErrorBody(response);
+        const message = (body && (body.message || body.error)) || fallbackMessage;
+        const status = response.status;
+
+        if (status === 401) return new UnauthorizedError(message, body);
+        if (status === 403) return new ForbiddenError(message, body);
+        if (status === 404) return new NotFoundError(message, body);
+        if (status === 429) return new RateLimitError(message, body, parseRetryAfter(response));
+        if (status >= 500) return new ServerError(message, status, body);
+        return new ApiError(message, status, body);
+    }
+
+    function isRetryable(error) {
+        return error instanceof ServerError ||
+            error instanceof RateLimitError ||
+            error instanceof TimeoutError ||
+            error instanceof NetworkError;
+    }
+
+    function retryDelay(attempt, error) {
+        if (error instanceof RateLimitError && error.retryAfterMs !== null) {
+            return Math.min(error.retryAfterMs, RETRY_MAX_DELAY_MS);
+        }
+        const exponential = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+        const jitter = Math.random() * RETRY_BASE_DELAY_MS;
+        return Math.min(exponential + jitter, RETRY_MAX_DELAY_MS);
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async function buildUrl(path, query) {
+        const url = `${await getBaseUrl()}${path}`;
+        if (!query) return url;
+
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, value);
+            }
+        });
+
+        const queryString = params.toString();
+        return queryString ? `${url}?${queryString}` : url;
+    }
+
+    async function parseResponse(response, responseType) {
+        if (responseType === 'blob') return response.blob();
+        if (responseType === 'text') return response.text();
+        if (response.status === 204) return null;
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    async function sendOnce(url, init, timeoutMs) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+        try {
+            return await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new TimeoutError(I18n.t('errors.timeout'));
+            }
+            throw new NetworkError(I18n.t('errors.network'));
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Tell listeners (telemetry) about a request that failed for good, after any retries
+    function reportFailure(method, path, error) {
+        window.dispatchEvent(new CustomEvent(FAILURE_EVENT, { detail: { method, path, error } }));
+    }
+
+    /**
+     * Perform an API request.
+     *
+     * Options:
+     *   method       - HTTP method (default GET)
+     *   body         - object sent as JSON
+     *   query        - object appended as a query string, empty values skipped
+     *   auth         - attach the bearer token and redirect to sign-in on 401 (default true)
+     *   timeout      - per-attempt timeout in ms
+     *   retries      - retry count for transient failures; only honoured for GET
+     *   responseType - 'json' (default), 'blob' or 'text'
+     *   errorMessage - message used when the server does not provide one
+     */
+    async function request(path, options = {}) {
+        const {
+            method = 'GET',
+            body,
+            query,
+            auth = true,
+            timeout = DEFAULT_TIMEOUT_MS,
+            responseType = 'json',
+            errorMessage = 'Request failed'
+        } = options;
+
+        const idempotent = method === 'GET';
+        const retries = idempotent ? (options.retries ?? DEFAULT_GET_RETRIES) : 0;
+
+        // Lets the server word its messages in the player's language
+        const headers = { 'Accept-Language': I18n.getLocale(), ...options.headers };
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        if (auth && !getAuthToken()) {
+            handleUnauthorized();
+            throw new UnauthorizedError('Not authenticated');
+        }
+
+        const url = await buildUrl(path, query);
+        const init = {
+            method,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        };
+
+        let refreshed = false;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                init.headers = auth
+                    ? { ...headers, 'Authorization': `Bearer ${getAuthToken()}` }
+                    : headers;
+
+                const response = await sendOnce(url, init, timeout);
+
+                if (!response.ok) {
+                    throw await errorFromResponse(response, errorMessage);
+                }
+
+                const savedAt = response.headers.get(SNAPSHOT_HEADER);
+                if (savedAt) {
+                    window.dispatchEvent(new CustomEvent(SNAPSHOT_EVENT, { detail: { path, savedAt } }));
+                }
+
+                return await parseResponse(response, responseType);
+
+            } catch (error) {
+                if (error instanceof UnauthorizedError && auth) {
+                    // One refresh attempt covers tokens that expired while the tab slept
+                    if (!refreshed && sessionHooks && sessionHooks.refresh) {
+                        refreshed = true;
+                        const renewed = await sessionHooks.refresh().catch(() => false);
+                        if (renewed) {
+                            attempt--;
+                            continue;
+                        }
+                    }
+                    handleUnauthorized();
+                    reportFailure(method, path, error);
+                    throw error;
+                }
+
+                if (attempt < retries && isRetryable(error)) {
+                    await sleep(retryDelay(attempt, error));
+                    continue;
+                }
+
+                reportFailure(method, path, error);
+                throw error;
+            }
+        }
+    }
+
+    window.ApiClient = Object.freeze({
+        request,
+        get: (path, options) => request(path, { ...options, method: 'GET' }),
+        post: (path, body, options) => request(path, { ...options, method: 'POST', body }),
+        put: (path, body, options) => request(path, { ...options, method: 'PUT', body }),
+        patch: (path, body, options) => request(path, { ...options, method: 'PATCH', body }),
+        delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+        handleUnauthorized,
+        configureSession,
+        SNAPSHOT_EVENT,
+        FAILURE_EVENT,
+
+        ApiError,
+        UnauthorizedError,
+        ForbiddenError,
+        NotFoundError,
+        RateLimitError,
+        ServerError,
+        TimeoutError,
+        NetworkError,
+        ConfigError
+    });
+
+    console.log('API client module initialized');
+})();
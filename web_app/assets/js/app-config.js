@@ -0,0 +1,189 @@
+/**
+ * Summoner's Chronicle - Runtime Configuration
+ * Loads config/config.json for this environment, checks it against the schema
+ * and shows a configuration error screen instead of failing request by request
+ */
+
+(function() {
+    'use strict';
+
+    // Resolved from this script so it works from index.html and pages/
+    const CONFIG_URL = new URL('../../config/config.json', document.currentScript.src);
+
+    // Values still holding the template text were never filled in by the deploy
+    const PLACEHOLDER_PATTERN = /placeholder/i;
+
+    // Dotted path, expected type and whether the app can run without it
+    const SCHEMA = [
+        { path: 'region', type: 'string', required: true },
+        { path: 'cognito.userPoolId', type: 'string', required: true },
+        { path: 'cognito.clientId', type: 'string', required: true },
+        { path: 'cognito.identityPoolId', type: 'string', required: true },
+        { path: 'apiEndpoint', type: 'url', required: true },
+        { path: 'reportsBucket', type: 'string', required: true },
+        { path: 'cloudFrontDomain', type: 'string', required: false },
+        { path: 'app.name', type: 'string', required: true },
+        { path: 'app.version', type: 'string', required: true },
+        { path: 'app.environment', type: 'string', required: true },
+        { path: 'features', type: 'flags', required: false }
+    ];
+
+    let config = null;
+
+    function valueAt(source, path) {
+        return path.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), source);
+    }
+
+    function isUrl(value) {
+        try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function hasType(value, type) {
+        if (type === 'url') return typeof value === 'string' && isUrl(value);
+        if (type === 'flags') {
+            return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+                Object.values(value).every(flag => typeof flag === 'boolean');
+        }
+        return typeof value === type;
+    }
+
+    /**
+     * Check a config object against the schema.
+     * Returns a list of { path, reason } where reason is 'missing', 'placeholder' or 'invalid'.
+     */
+    function validate(source) {
+        const problems = [];
+
+        SCHEMA.forEach(field => {
+            const value = valueAt(source, field.path);
+
+            if (value === undefined || value === null || value === '') {
+                if (field.required) problems.push({ path: field.path, reason: 'missing' });
+                return;
+            }
+            if (typeof value === 'string' && PLACEHOLDER_PATTERN.test(value)) {
+                problems.push({ path: field.path, reason: 'placeholder' });
+                return;
+            }
+            if (!hasType(value, field.type)) {
+                problems.push({ path: field.path, reason: 'invalid' });
+            }
+        });
+
+        return problems;
+    }
+
+    function freeze(source) {
+        Object.values(source).forEach(value => {
+            if (value && typeof value === 'object') freeze(value);
+        });
+        return Object.freeze(source);
+    }
+
+    async function fetchConfig() {
+        // Always revalidate; the file changes per deploy without changing its name
+        const response = await fetch(CONFIG_URL, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to load configuration (${response.status})`);
+        }
+        return response.json();
+    }
+
+    // Replaces the page with an explanation; nothing on it works without a valid config
+    function showError(problems) {
+        const screen = document.createElement('div');
+        screen.className = 'config-error';
+        screen.setAttribute('role', 'alert');
+
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-tools';
+        const title = document.createElement('h1');
+        title.append(icon, ` ${I18n.t('config.title')}`);
+
+        const message = document.createElement('p');
+        message.textContent = I18n.t('config.message');
+
+        const list = document.createElement('ul');
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.textContent = I18n.t(`config.${problem.reason}`, { field: problem.path });
+            list.appendChild(item);
+        });
+
+        const hint = document.createElement('p');
+        hint.className = 'config-error-hint';
+        hint.textContent = I18n.t('config.hint');
+
+        screen.append(title, message, list, hint);
+        document.body.textContent = '';
+        document.body.appendChild(screen);
+    }
+
+    // Elements marked data-feature="<flag>" are hidden when the flag is off; they stay
+    // in the page so the modules that own them still initialize
+    function applyFeatures() {
+        document.querySelectorAll('[data-feature]').forEach(element => {
+            if (!isEnabled(element.dataset.feature)) element.style.display = 'none';
+        });
+    }
+
+    /**
+     * The validated configuration, or null when it failed to load or validate.
+     * Only available once ready has resolved.
+     */
+    function get() {
+        return config;
+    }
+
+    // Features are on unless this environment's config turns them off
+    function isEnabled(name) {
+        const features = config && config.features;
+        return !features || features[name] !== false;
+    }
+
+    function domReady() {
+        return new Promise(resolve => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', resolve, { once: true });
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    // Resolves to true once a valid config is loaded and applied; never rejects
+    const ready = fetchConfig()
+        .then(source => ({ source, problems: validate(source) }))
+        .catch(error => {
+            // Missing file or broken JSON; there's no field to point at
+            console.error('Configuration error:', error);
+            return { source: null, problems: [{ path: null, reason: 'unreadable' }] };
+        })
+        .then(async ({ source, problems }) => {
+            await Promise.all([domReady(), I18n.ready]);
+
+            if (problems.length > 0) {
+                console.error('Invalid configuration:', problems);
+                showError(problems);
+                return false;
+            }
+
+            config = freeze(source);
+            applyFeatures();
+            console.log('Configuration loaded:', config.app.environment);
+            return true;
+        });
+
+    window.AppConfig = Object.freeze({
+        ready,
+        get,
+        isEnabled,
+        validate
+    });
+
+    console.log('App config module initialized');
+})();
@@ -6,26 +6,32 @@
 (function() {
     'use strict';
 
-    // Tab switching
-    const authTabs = document.querySelectorAll('.auth-tab');
-    const authForms = document.querySelectorAll('.auth-form-container');
+    // Take the sign-in token out of the address bar before anything else runs, so it
+    // doesn't stay in history or get sent on as a Referer
+    const urlParams = new URLSearchParams(window.location.search);
+    const magicToken = urlParams.get('token');
+
+    if (magicToken) {
+        urlParams.delete('token');
+        const query = urlParams.toString();
+        history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
 
-    authTabs.forEach(tab => {
-        tab.addEventListener('click', () => {
-            const targetTab = tab.dataset.tab;
+    // Polling for approval from another device
+    let approvalWatch = null;
 
-            // Update active states
-            authTabs.forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
+    // What the "send a new link" button resends: { resend, reason }
+    let linkProblem = null;
 
-            authForms.forEach(form => {
-                form.classList.remove('active');
-                if (form.id === `${targetTab}-form`) {
-                    form.classList.add('active');
-                }
-            });
+    // Tab switching
+    const authTabList = document.querySelector('.auth-tabs');
+    if (authTabList) {
+        const selectTab = A11y.tabs(authTabList);
+
+        authTabList.querySelectorAll('.auth-tab').forEach(tab => {
+            tab.addEventListener('click', () => selectTab(`${tab.dataset.tab}-form`));
         });
-    });
+    }
 
     // Email authentication form
     const emailAuthForm = document.getElementById('emailAuthForm');
@@ -34,33 +40,22 @@
             e.preventDefault();
 
             const email = document.getElementById('email').value;
-            const authLoading = document.getElementById('authLoading');
-            const authError = document.getElementById('authError');
-            const emailForm = document.getElementById('email-form');
-            const emailSuccess = document.getElementById('emailSuccess');
 
             try {
-                // Show loading state
-                emailForm.style.display = 'none';
-                authLoading.style.display = 'block';
-                authError.style.display = 'none';
+                showLoading();
 
-                // Call AWS Cognito to send magic link
-                const response = await sendMagicLink(email);
+                const result = await MagicLink.send(email);
+                Telemetry.track('auth.magicLinkSent');
 
                 // Show success message
-                authLoading.style.display = 'none';
-                emailSuccess.style.display = 'block';
-                document.getElementById('sentEmail').textContent = email;
+                showLinkSent(result, email, () => MagicLink.send(email));
 
             } catch (error) {
                 console.error('Authentication error:', error);
+                Telemetry.error(error, { action: 'sendMagicLink' });
 
                 // Show error message
-                authLoading.style.display = 'none';
-                authError.style.display = 'block';
-                document.getElementById('errorMessage').textContent =
-                    error.message || 'Failed to send magic link. Please try again.';
+                showError(error.message || I18n.t('auth.errors.sendFailed'));
             }
         });
     }
@@ -100,12 +95,30 @@
             }
         });
 
-        function handleFileSelect(file) {
-            if (file && file.name.endsWith('.sumvault')) {
-                fileNameDisplay.textContent = `Selected: ${file.name}`;
-                fileNameDisplay.style.display = 'block';
-            } else {
-                showError('Please select a valid .sumvault file');
+        const passphraseGroup = document.getElementById('vaultPassphraseGroup');
+        const passphraseInput = document.getElementById('vaultPassphrase');
+
+        async function handleFileSelect(file) {
+            passphraseGroup.style.display = 'none';
+            passphraseInput.value = '';
+
+            if (!file || !file.name.endsWith('.sumvault')) {
+                showError(I18n.t('auth.errors.invalidFile'));
+                return;
+            }
+
+            fileNameDisplay.textContent = I18n.t('auth.selectedFile', { name: file.name });
+            fileNameDisplay.style.display = 'block';
+
+            // Inspect the header up front so the passphrase field appears only when needed
+            try {
+                const vault = SumVault.parse(await readAccessKeyFile(file));
+                if (vault.encrypted) {
+                    passphraseGroup.style.display = 'block';
+                    passphraseInput.focus();
+                }
+            } catch (error) {
+                showError(SumVault.errorMessage(error));
             }
         }
 
@@ -114,37 +127,67 @@
 
             const file = fileInput.files[0];
             if (!file) {
-                showError('Please select an access key file');
+                showError(I18n.t('auth.errors.noFile'));
                 return;
             }
 
-            const authLoading = document.getElementById('authLoading');
-            const authError = document.getElementById('authError');
-            const accesskeyForm = document.getElementById('accesskey-form');
-
             try {
-                // Show loading state
-                accesskeyForm.style.display = 'none';
-                authLoading.style.display = 'block';
-                authError.style.display = 'none';
+                showLoading();
 
-                // Read and validate access key
-                const accessKey = await readAccessKeyFile(file);
+                // Read, verify and unlock the access key before it reaches the server
+                const vaultText = await readAccessKeyFile(file);
+                const accessKey = await SumVault.open(vaultText, passphraseInput.value);
 
                 // Authenticate with access key
                 await authenticateWithAccessKey(accessKey);
+                Telemetry.track('auth.signedIn', { method: 'accessKey' });
 
                 // Redirect to dashboard
                 window.location.href = 'dashboard.html';
 
             } catch (error) {
                 console.error('Access key authentication error:', error);
+                Telemetry.error(error, { action: 'accessKeyLogin' });
 
                 // Show error message
-                authLoading.style.display = 'none';
-                authError.style.display = 'block';
-                document.getElementById('errorMessage').textContent =
-                    error.message || 'Invalid access key. Please try again.';
+                showError(SumVault.errorMessage(error) || I18n.t('auth.errors.invalidAccessKey'));
+            }
+        });
+    }
+
+    // Passkey form
+    const passkeyForm = document.getElementById('passkeyForm');
+    if (passkeyForm) {
+        // Browsers without WebAuthn keep the other two methods
+        if (!Passkeys.isSupported()) {
+            document.getElementById('passkey-tab').style.display = 'none';
+        }
+
+        passkeyForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const errorEl = document.getElementById('passkeyError');
+            const submitBtn = passkeyForm.querySelector('button[type="submit"]');
+
+            errorEl.style.display = 'none';
+            submitBtn.disabled = true;
+
+            try {
+                // The browser shows its own prompt; stay on this tab so a cancel can retry
+                A11y.announce(I18n.t('auth.authenticating'));
+                const result = await Passkeys.signIn();
+                Telemetry.track('auth.signedIn', { method: 'passkey', summonerLinked: Boolean(result.summonerLinked) });
+                completeSignIn(result);
+
+            } catch (error) {
+                console.error('Passkey sign-in error:', error);
+                Telemetry.error(error, { action: 'passkeySignIn', code: error.code });
+
+                errorEl.textContent = error.message || I18n.t('auth.errors.passkeyFailed');
+                errorEl.style.display = 'block';
+                A11y.announce(errorEl.textContent, { assertive: true });
+            } finally {
+                submitBtn.disabled = false;
             }
         });
     }
@@ -162,7 +205,7 @@
                 // Link summoner account
                 await linkSummonerAccount(summonerName, region);
 
-                // Generate initial report
+                // Start the initial report; the dashboard tracks its progress
                 await triggerReportGeneration();
 
                 // Redirect to dashboard
@@ -170,207 +213,255 @@
 
             } catch (error) {
                 console.error('Setup error:', error);
-                showError(error.message || 'Failed to link account. Please try again.');
+                Telemetry.error(error, { action: 'summonerSetup' });
+                showError(error.message || I18n.t('errors.linkAccount'));
             }
         });
     }
 
     // Helper functions
-    async function sendMagicLink(email) {
-        // Check if AWS config is available
-        if (typeof AWS_CONFIG === 'undefined') {
-            throw new Error('AWS configuration not loaded');
-        }
-
-        const response = await fetch(`${AWS_CONFIG.apiEndpoint}/auth/magic-link`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ email })
-        });
-
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to send magic link');
-        }
-
-        return await response.json();
-    }
-
     async function readAccessKeyFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
-            reader.onload = (e) => {
-                try {
-                    const accessKey = JSON.parse(e.target.result);
-                    if (!accessKey.token || !accessKey.userId) {
-                        reject(new Error('Invalid access key format'));
-                    } else {
-                        resolve(accessKey);
-                    }
-                } catch (error) {
-                    reject(new Error('Failed to parse access key file'));
-                }
-            };
-
-            reader.onerror = () => reject(new Error('Failed to read file'));
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error(I18n.t('auth.errors.readFailed')));
             reader.readAsText(file);
         });
     }
 
     async function authenticateWithAccessKey(accessKey) {
-        if (typeof AWS_CONFIG === 'undefined') {
-            throw new Error('AWS configuration not loaded');
-        }
-
-        const response = await fetch(`${AWS_CONFIG.apiEndpoint}/auth/verify`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(accessKey)
+        const result = await ApiClient.post('/auth/verify', accessKey, {
+            auth: false,
+            errorMessage: I18n.t('auth.errors.authFailed')
         });
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Authentication failed');
-        }
-
-        const result = await response.json();
-
         // Store authentication token
-        localStorage.setItem('authToken', result.token);
-        localStorage.setItem('userId', result.userId);
+        Session.save(result);
 
         return result;
     }
 
     async function linkSummonerAccount(summonerName, region) {
-        if (typeof AWS_CONFIG === 'undefined') {
-            throw new Error('AWS configuration not loaded');
-        }
+        return Accounts.link(summonerName, region);
+    }
 
-        const authToken = localStorage.getItem('authToken');
-        if (!authToken) {
-            throw new Error('Not authenticated');
+    async function triggerReportGeneration(year = new Date().getFullYear()) {
+        const account = Accounts.getActive();
+        if (!account) {
+            throw new Error(I18n.t('auth.errors.missingSummoner'));
         }
 
-        const response = await fetch(`${AWS_CONFIG.apiEndpoint}/summoner/link`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-            },
-            body: JSON.stringify({
-                summonerName,
-                region
-            })
-        });
+        return ReportJobs.start(account.puuid, year);
+    }
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to link summoner account');
+    // The spinner is only visible, so say what's happening too
+    function showLoading() {
+        showState('authLoading');
+        A11y.announce(I18n.t('auth.authenticating'));
+    }
+
+    function showError(message) {
+        const authError = document.getElementById('authError');
+        const errorMessage = document.getElementById('errorMessage');
+
+        if (authError && errorMessage) {
+            document.getElementById('authLoading').style.display = 'none';
+            errorMessage.textContent = message;
+            authError.style.display = 'block';
+            A11y.announce(message, { assertive: true });
+        } else {
+            alert(message);
         }
+    }
 
-        const result = await response.json();
-        localStorage.setItem('summonerPuuid', result.puuid);
-        localStorage.setItem('summonerName', summonerName);
-        localStorage.setItem('region', region);
+    // Links opened from email
+    document.getElementById('resendLinkBtn').addEventListener('click', resendMagicLink);
 
-        return result;
+    if (magicToken) {
+        handleMagicLink(magicToken);
     }
 
-    async function triggerReportGeneration() {
-        if (typeof AWS_CONFIG === 'undefined') {
-            throw new Error('AWS configuration not loaded');
-        }
+    // Explain why the user landed back here after a session ended
+    if (urlParams.get('session') === 'expired') {
+        document.getElementById('sessionNotice').style.display = 'flex';
+    }
+
+    // Show one sign-in state in place of the tabs and forms
+    function showState(id) {
+        document.querySelector('.auth-tabs').style.display = 'none';
+        document.querySelectorAll('.auth-form-container').forEach(form => { form.style.display = 'none'; });
+
+        ['authLoading', 'authError', 'emailSuccess', 'linkProblem', 'linkApproval', 'linkApproved'].forEach(state => {
+            document.getElementById(state).style.display = state === id ? 'block' : 'none';
+        });
 
-        const authToken = localStorage.getItem('authToken');
-        const summonerPuuid = localStorage.getItem('summonerPuuid');
+        const heading = document.querySelector(`#${id} h3`);
+        if (heading) A11y.focus(heading);
+    }
+
+    // Messages for the chosen language first, so announcements and errors aren't raw keys
+    async function handleMagicLink(token) {
+        await I18n.ready;
+
+        // A broken config has already replaced the page with an explanation
+        if (!await AppConfig.ready) return;
+
+        await openMagicLink(token);
+    }
 
-        if (!authToken || !summonerPuuid) {
-            throw new Error('Missing authentication or summoner information');
+    async function openMagicLink(token) {
+        // The browser that asked for the link signs in straight away
+        if (MagicLink.getPending()) {
+            await verifyMagicLink(token);
+            return;
         }
 
-        const response = await fetch(`${AWS_CONFIG.apiEndpoint}/report/generate`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${authToken}`
-            },
-            body: JSON.stringify({
-                playerPuuid: summonerPuuid,
-                year: new Date().getFullYear()
-            })
+        // Anywhere else, ask whether to sign in here or approve the device that asked
+        showState('linkApproval');
+
+        document.getElementById('signInHereBtn').addEventListener('click', () => verifyMagicLink(token));
+        document.getElementById('approveForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            approveDevice(token);
         });
+    }
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.message || 'Failed to generate report');
+    async function verifyMagicLink(token) {
+        try {
+            showLoading();
+
+            // Keep the server's reason (expired, already used) instead of a generic message
+            const result = await MagicLink.verify(token);
+            Telemetry.track('auth.signedIn', { method: 'magicLink', summonerLinked: Boolean(result.summonerLinked) });
+            completeSignIn(result);
+
+        } catch (error) {
+            console.error('Magic link verification error:', error);
+            Telemetry.error(error, { action: 'verifyMagicLink' });
+
+            if (!showLinkProblem(error, () => MagicLink.resend(token))) {
+                showError(error.message || I18n.t('auth.errors.verifyFailed'));
+            }
         }
+    }
 
-        return await response.json();
+    async function approveDevice(token) {
+        const errorEl = document.getElementById('approvalError');
+        const code = document.getElementById('approvalCode').value.trim();
+        errorEl.style.display = 'none';
+
+        try {
+            await MagicLink.approve(token, code);
+            Telemetry.track('auth.deviceApproved');
+            showState('linkApproved');
+
+        } catch (error) {
+            console.error('Device approval error:', error);
+            Telemetry.error(error, { action: 'approveDevice' });
+
+            if (showLinkProblem(error, () => MagicLink.resend(token))) return;
+
+            errorEl.textContent = error.message || I18n.t('auth.errors.approveFailed');
+            errorEl.style.display = 'block';
+            A11y.announce(errorEl.textContent, { assertive: true });
+        }
     }
 
-    function showError(message) {
-        const authError = document.getElementById('authError');
-        const errorMessage = document.getElementById('errorMessage');
+    function completeSignIn(result) {
+        Session.save(result);
 
-        if (authError && errorMessage) {
-            errorMessage.textContent = message;
-            authError.style.display = 'block';
+        // Check if summoner is linked
+        if (result.summonerLinked) {
+            window.location.href = 'dashboard.html';
         } else {
-            alert(message);
+            // Show setup card
+            document.querySelector('.auth-card').style.display = 'none';
+            const setupCard = document.getElementById('setupCard');
+            setupCard.style.display = 'block';
+            A11y.focus(setupCard.querySelector('h2'));
         }
     }
 
-    // Check if magic link verification is in URL
-    const urlParams = new URLSearchParams(window.location.search);
-    const magicToken = urlParams.get('token');
-
-    if (magicToken) {
-        verifyMagicLink(magicToken);
+    /**
+     * "Check your email", plus the code for approving this tab from another device.
+     * resend() sends a replacement link if this one runs out before it's used.
+     */
+    function showLinkSent(result, email, resend) {
+        document.getElementById('sentEmail').textContent = email || I18n.t('auth.yourEmailAddress');
+        document.getElementById('linkCode').textContent = result.code || '';
+        document.getElementById('linkCodePanel').style.display = result.code ? 'block' : 'none';
+        showState('emailSuccess');
+
+        waitForApproval(resend);
     }
 
-    async function verifyMagicLink(token) {
-        const authLoading = document.getElementById('authLoading');
-        const authError = document.getElementById('authError');
+    async function waitForApproval(resend) {
+        const pending = MagicLink.getPending();
+        if (!pending) return;
 
-        try {
-            authLoading.style.display = 'block';
-
-            const response = await fetch(`${AWS_CONFIG.apiEndpoint}/auth/verify-magic-link`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({ token })
-            });
-
-            if (!response.ok) {
-                throw new Error('Invalid or expired magic link');
-            }
+        if (approvalWatch) approvalWatch.abort();
+        approvalWatch = new AbortController();
 
-            const result = await response.json();
+        try {
+            const result = await MagicLink.watch(pending, { signal: approvalWatch.signal });
+            Telemetry.track('auth.signedIn', { method: 'approval', summonerLinked: Boolean(result.summonerLinked) });
+            completeSignIn(result);
 
-            // Store authentication
-            localStorage.setItem('authToken', result.token);
-            localStorage.setItem('userId', result.userId);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
 
-            // Check if summoner is linked
-            if (result.summonerLinked) {
+            // Opened in another tab of this browser, which has signed in already
+            if (Session.isAuthenticated()) {
                 window.location.href = 'dashboard.html';
-            } else {
-                // Show setup card
-                document.querySelector('.auth-card').style.display = 'none';
-                document.getElementById('setupCard').style.display = 'block';
+                return;
+            }
+
+            console.error('Magic link approval error:', error);
+            if (!showLinkProblem(error, resend)) {
+                showError(error.message || I18n.t('auth.errors.verifyFailed'));
             }
+        }
+    }
+
+    /**
+     * Explain an expired or already used link and offer a new one in one tap.
+     * Returns false for any other error, which the caller shows as usual.
+     */
+    function showLinkProblem(error, resend) {
+        const { REASONS } = MagicLink;
+        if (!(error instanceof MagicLink.MagicLinkError) || ![REASONS.EXPIRED, REASONS.USED].includes(error.reason)) {
+            return false;
+        }
+
+        // A second click on a link that already signed this browser in
+        if (error.reason === REASONS.USED && Session.isAuthenticated()) {
+            window.location.href = 'dashboard.html';
+            return true;
+        }
+
+        document.getElementById('linkProblemTitle').textContent =
+            I18n.t(error.reason === REASONS.EXPIRED ? 'auth.linkExpired' : 'auth.linkAlreadyUsed');
+        document.getElementById('linkProblemMessage').textContent = error.message;
+        showState('linkProblem');
+
+        linkProblem = { resend, reason: error.reason };
+        return true;
+    }
+
+    async function resendMagicLink() {
+        const { resend, reason } = linkProblem;
+
+        try {
+            showLoading();
+            const result = await resend();
+            Telemetry.track('auth.magicLinkResent', { reason });
+            showLinkSent(result, null, resend);
 
         } catch (error) {
-            authLoading.style.display = 'none';
-            showError(error.message || 'Failed to verify magic link');
+            console.error('Magic link resend error:', error);
+            Telemetry.error(error, { action: 'resendMagicLink' });
+            showError(error.message || I18n.t('auth.errors.sendFailed'));
         }
     }
 
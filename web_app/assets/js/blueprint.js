@@ -0,0 +1,267 @@
+/**
+ * Summoner's Chronicle - Improvement Blueprint
+ * Tracks action item state for the Future Goals section, saves it through
+ * PUT /blueprint/{puuid} and queues changes made offline until they can sync
+ */
+
+(function() {
+    'use strict';
+
+    const QUEUE_KEY = 'pendingBlueprintSync';
+    const CATEGORIES = ['mechanical', 'strategy', 'champion', 'mental', 'team'];
+    const MAX_ACTION_LENGTH = 200;
+
+    let current = null;
+    let confirmed = null;
+    let listeners = [];
+    let syncChain = Promise.resolve();
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    function notify(status, detail) {
+        listeners.forEach(listener => listener(status, detail));
+    }
+
+    function readQueue() {
+        try {
+            return JSON.parse(localStorage.getItem(QUEUE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function writeQueue(queue) {
+        if (Object.keys(queue).length === 0) {
+            localStorage.removeItem(QUEUE_KEY);
+        } else {
+            localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+        }
+    }
+
+    function queueKey(puuid, year) {
+        return `${puuid}:${year}`;
+    }
+
+    // Give every goal and action a stable id so changes can be matched up server-side
+    function normalize(futureGoals) {
+        const goals = {};
+
+        CATEGORIES.forEach(category => {
+            goals[category] = ((futureGoals && futureGoals[category]) || []).map((goal, index) => {
+                const goalId = goal.id || `${category}-${index}`;
+                return {
+                    ...goal,
+                    id: goalId,
+                    actions: (goal.actions || []).map((action, i) => ({
+                        id: action.id || `${goalId}-${i}`,
+                        text: action.text,
+                        completed: Boolean(action.completed),
+                        custom: Boolean(action.custom)
+                    }))
+                };
+            });
+        });
+
+        return goals;
+    }
+
+    // The part of the blueprint the player owns: which steps exist and which are done
+    function serialize(blueprint) {
+        const goals = {};
+        CATEGORIES.forEach(category => {
+            goals[category] = blueprint.goals[category].map(goal => ({
+                id: goal.id,
+                actions: goal.actions
+            }));
+        });
+        return { year: blueprint.year, goals };
+    }
+
+    // Copy the action lists from a serialized blueprint onto matching goals
+    function overlay(goals, payloadGoals) {
+        CATEGORIES.forEach(category => {
+            (payloadGoals[category] || []).forEach(saved => {
+                const goal = goals[category].find(g => g.id === saved.id);
+                if (goal) goal.actions = clone(saved.actions);
+            });
+        });
+        return goals;
+    }
+
+    function findGoal(goalId) {
+        for (const category of CATEGORIES) {
+            const goal = current.goals[category].find(g => g.id === goalId);
+            if (goal) return goal;
+        }
+        return null;
+    }
+
+    function isTransient(error) {
+        return error instanceof ApiClient.NetworkError ||
+            error instanceof ApiClient.TimeoutError ||
+            error instanceof ApiClient.ServerError ||
+            error instanceof ApiClient.RateLimitError;
+    }
+
+    // Send every queued blueprint, oldest first; transient failures stay queued
+    async function flush() {
+        const queue = readQueue();
+        const keys = Object.keys(queue);
+        if (keys.length === 0) return;
+
+        if (!navigator.onLine) {
+            notify('queued');
+            return;
+        }
+
+        notify('saving');
+
+        for (const key of keys) {
+            const entry = queue[key];
+
+            try {
+                await ApiClient.put(`/blueprint/${encodeURIComponent(entry.puuid)}`, entry.payload, {
+                    errorMessage: I18n.t('dashboard.blueprint.error')
+                });
+
+                // Only drop the entry if nothing changed while the request was in flight
+                const latest = readQueue();
+                if (latest[key] && latest[key].updatedAt === entry.updatedAt) {
+                    delete latest[key];
+                    writeQueue(latest);
+                }
+
+                if (current && key === queueKey(current.puuid, current.year)) {
+                    confirmed = overlay(clone(confirmed), entry.payload.goals);
+                }
+
+            } catch (error) {
+                if (error instanceof ApiClient.UnauthorizedError) throw error;
+
+                if (isTransient(error)) {
+                    console.error('Blueprint sync deferred:', error);
+                    notify('queued');
+                    return;
+                }
+
+                // The server refused the change; fall back to the last saved state
+                console.error('Blueprint save error:', error);
+                const latest = readQueue();
+                delete latest[key];
+                writeQueue(latest);
+
+                if (current && key === queueKey(current.puuid, current.year)) {
+                    current.goals = clone(confirmed);
+                    notify('error', error);
+                    notify('reverted');
+                }
+                return;
+            }
+        }
+
+        notify('saved');
+    }
+
+    // Serialise syncs so rapid edits never race each other
+    function sync() {
+        syncChain = syncChain.then(flush).catch(error => {
+            console.error('Blueprint sync error:', error);
+        });
+        return syncChain;
+    }
+
+    function save() {
+        const queue = readQueue();
+        queue[queueKey(current.puuid, current.year)] = {
+            puuid: current.puuid,
+            payload: serialize(current),
+            updatedAt: Date.now()
+        };
+        writeQueue(queue);
+
+        return sync();
+    }
+
+    /**
+     * Start tracking the blueprint for an account and season.
+     * Returns the goals by category, with any unsynced local edits applied.
+     */
+    function load(puuid, year, futureGoals) {
+        current = { puuid, year, goals: normalize(futureGoals) };
+        confirmed = clone(current.goals);
+
+        // Unsynced local edits take precedence over what the server returned
+        const queued = readQueue()[queueKey(puuid, year)];
+        if (queued) overlay(current.goals, queued.payload.goals);
+
+        sync();
+        return current.goals;
+    }
+
+    function setActionCompleted(goalId, actionId, completed) {
+        const goal = current && findGoal(goalId);
+        const action = goal && goal.actions.find(a => a.id === actionId);
+        if (!action) return Promise.resolve();
+
+        action.completed = completed;
+        return save();
+    }
+
+    function addAction(goalId, text) {
+        const goal = current && findGoal(goalId);
+        const trimmed = String(text || '').trim().slice(0, MAX_ACTION_LENGTH);
+        if (!goal || !trimmed) return null;
+
+        const action = {
+            id: `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            text: trimmed,
+            completed: false,
+            custom: true
+        };
+        goal.actions.push(action);
+        save();
+
+        return action;
+    }
+
+    // Only player-added steps can be removed
+    function removeAction(goalId, actionId) {
+        const goal = current && findGoal(goalId);
+        if (!goal) return;
+
+        const index = goal.actions.findIndex(a => a.id === actionId && a.custom);
+        if (index < 0) return;
+
+        goal.actions.splice(index, 1);
+        save();
+    }
+
+    function getGoals() {
+        return current ? current.goals : null;
+    }
+
+    /**
+     * Listen for sync status: 'saving', 'saved', 'queued', 'error' (with the error)
+     * and 'reverted' (local state was rolled back and should be re-rendered).
+     */
+    function onStatus(listener) {
+        listeners.push(listener);
+    }
+
+    window.addEventListener('online', sync);
+
+    window.Blueprint = Object.freeze({
+        CATEGORIES,
+        load,
+        getGoals,
+        setActionCompleted,
+        addAction,
+        removeAction,
+        onStatus,
+        sync
+    });
+
+    console.log('Blueprint module initialized');
+})();
@@ -0,0 +1,239 @@
+/**
+ * Summoner's Chronicle - Champion Detail
+ * Drill-down drawer for a champion from the card grid: matchup and role
+ * breakdowns, the season trend, best and worst games, and a side-by-side
+ * comparison with another champion in the player's pool
+ */
+
+(function() {
+    'use strict';
+
+    const { html } = Render;
+
+    // Card stats compared side by side; higher is better for all of them
+    const COMPARE_STATS = [
+        { key: 'gamesPlayed', labelKey: 'report.champion.games', format: v => I18n.formatNumber(v) },
+        { key: 'winRate', labelKey: 'report.winRate', format: v => I18n.formatPercent(v) },
+        { key: 'kda', label: 'KDA', format: v => I18n.formatNumber(v, 2) },
+        { key: 'csPerMin', labelKey: 'report.champion.csPerMin', format: v => I18n.formatNumber(v, 1) },
+        { key: 'damagePerMin', labelKey: 'report.champion.damagePerMin', format: v => I18n.formatNumber(v, 0) },
+        { key: 'visionScore', labelKey: 'report.champion.vision', format: v => I18n.formatNumber(v, 1) }
+    ];
+
+    let context = null;
+    let requestId = 0;
+    let openModal = null;
+
+    function findChampion(name) {
+        return context.champions.find(champ => champ.name === name) || { name };
+    }
+
+    /**
+     * Breakdown for one champion in a season:
+     * { matchups: [{ opponent, games, winRate, kda }], roles: [{ role, games, winRate, kda }],
+     * trend: [{ month, games, winRate, kda }], bestGames: [game], worstGames: [game] }
+     * Games have the same shape as match history rows.
+     */
+    function fetchChampion(name) {
+        return ApiClient.get(
+            `/champions/${encodeURIComponent(context.account.puuid)}/${encodeURIComponent(name)}`,
+            { query: { year: context.year }, errorMessage: I18n.t('championDetail.errors.load') }
+        );
+    }
+
+    async function open(name) {
+        if (!context || !name) return;
+
+        const id = ++requestId;
+        const body = document.getElementById('championDrawerBody');
+        document.getElementById('championDrawerTitle').textContent = name;
+        Render.mount(body, html`
+            <div class="loading-state">
+                <div class="spinner"></div>
+                <p>${I18n.t('championDetail.loading')}</p>
+            </div>
+        `);
+        openModal('championDrawer');
+
+        try {
+            const detail = await fetchChampion(name);
+            if (id !== requestId) return;
+
+            renderDetail(findChampion(name), detail);
+
+        } catch (error) {
+            if (id !== requestId) return;
+            console.error('Champion detail error:', error);
+            if (error instanceof ApiClient.UnauthorizedError) return;
+
+            const message = error instanceof ApiClient.NotFoundError
+                ? I18n.t('championDetail.notFound', { name })
+                : error.message || I18n.t('championDetail.errors.load');
+            Render.mount(body, html`<p class="match-list-empty">${message}</p>`);
+        }
+    }
+
+    // Win rate and KDA per matchup or role, most played first
+    function renderBreakdown(title, heading, rows, labelOf) {
+        const sorted = (rows || []).slice().sort((a, b) => (b.games || 0) - (a.games || 0));
+
+        return html`
+            <h3 class="match-detail-label">${title}</h3>
+            ${sorted.length > 0 ? html`
+                <table class="champion-breakdown">
+                    <thead>
+                        <tr>
+                            <th scope="col">${heading}</th>
+                            <th scope="col">${I18n.t('report.champion.games')}</th>
+                            <th scope="col">${I18n.t('report.winRate')}</th>
+                            <th scope="col">KDA</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${sorted.map(row => html`
+                            <tr>
+                                <th scope="row">${labelOf(row)}</th>
+                                <td>${I18n.formatNumber(row.games)}</td>
+                                <td>${I18n.formatPercent(row.winRate)}</td>
+                                <td>${I18n.formatNumber(row.kda, 2)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            ` : html`<p class="match-list-empty">${I18n.t('championDetail.noBreakdown')}</p>`}
+        `;
+    }
+
+    function renderGames(title, games) {
+        return html`
+            <h3 class="match-detail-label">${title}</h3>
+            ${games && games.length > 0
+                ? html`<div class="match-list">${games.map(game => MatchHistory.renderMatchItem(game))}</div>`
+                : html`<p class="match-list-empty">${I18n.t('championDetail.noGames')}</p>`}
+        `;
+    }
+
+    function renderDetail(champion, detail) {
+        const others = context.champions.filter(champ => champ.name !== champion.name);
+        const trend = (detail.trend || []).map(point => ({ ...point, label: ReportSections.monthLabel(point.month) }));
+
+        Render.mount(document.getElementById('championDrawerBody'), html`
+            <div class="match-detail-summary">
+                <div class="champion-icon"><i class="fas fa-chess-knight"></i></div>
+                <div>
+                    <div class="match-detail-heading">${champion.role || ''}</div>
+                    ${typeof champion.gamesPlayed === 'number' ? html`
+                        <div class="match-detail-sub">
+                            ${I18n.t('report.gamesCount', { count: champion.gamesPlayed })} · ${I18n.formatPercent(champion.winRate)} · ${I18n.formatNumber(champion.kda, 2)} KDA
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+
+            ${renderBreakdown(I18n.t('championDetail.byMatchup'), I18n.t('championDetail.opponent'),
+                detail.matchups, row => row.opponent)}
+            ${renderBreakdown(I18n.t('championDetail.byRole'), I18n.t('championDetail.role'),
+                detail.roles, row => MatchHistory.roleLabel(row.role))}
+
+            <h3 class="match-detail-label">${I18n.t('championDetail.trend')}</h3>
+            <div class="champion-trend">
+                <div class="chart-container" id="championTrendWinRate"></div>
+                <div class="chart-container" id="championTrendKda"></div>
+            </div>
+
+            ${renderGames(I18n.t('championDetail.bestGames'), detail.bestGames)}
+            ${renderGames(I18n.t('championDetail.worstGames'), detail.worstGames)}
+
+            <h3 class="match-detail-label">${I18n.t('championDetail.compare')}</h3>
+            ${others.length > 0 ? html`
+                <div class="form-group">
+                    <label for="championCompareSelect">${I18n.t('championDetail.compareWith')}</label>
+                    <select id="championCompareSelect" data-champion="${champion.name}">
+                        ${others.map(champ => html`<option value="${champ.name}">${champ.name}</option>`)}
+                    </select>
+                </div>
+                <div id="championCompare"></div>
+            ` : html`<p class="match-list-empty">${I18n.t('championDetail.compareEmpty')}</p>`}
+        `);
+
+        Charts.line(document.getElementById('championTrendWinRate'), {
+            title: I18n.t('report.chart.winRate'),
+            points: trend.map(point => ({ label: point.label, value: point.winRate })),
+            format: v => I18n.formatPercent(v, 0)
+        });
+        Charts.line(document.getElementById('championTrendKda'), {
+            title: 'KDA',
+            points: trend.map(point => ({ label: point.label, value: point.kda })),
+            format: v => I18n.formatNumber(v, 1)
+        });
+
+        if (others.length > 0) {
+            renderComparison(champion, others[0]);
+        }
+    }
+
+    function renderComparison(champion, other) {
+        Render.mount(document.getElementById('championCompare'), html`
+            <table class="champion-breakdown champion-compare">
+                <caption>${I18n.t('championDetail.compareCaption', { name: champion.name, other: other.name })}</caption>
+                <thead>
+                    <tr>
+                        <td></td>
+                        <th scope="col">${champion.name}</th>
+                        <th scope="col">${other.name}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${COMPARE_STATS.map(stat => {
+                        const a = champion[stat.key];
+                        const b = other[stat.key];
+                        const comparable = typeof a === 'number' && typeof b === 'number';
+                        return html`
+                            <tr>
+                                <th scope="row">${stat.labelKey ? I18n.t(stat.labelKey) : stat.label}</th>
+                                <td class="${comparable && a > b ? 'compare-better' : ''}">${typeof a === 'number' ? stat.format(a) : '-'}</td>
+                                <td class="${comparable && b > a ? 'compare-better' : ''}">${typeof b === 'number' ? stat.format(b) : '-'}</td>
+                            </tr>
+                        `;
+                    })}
+                </tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Open the drawer from the champion cards and wire the comparison picker.
+     * Options: openModal(id) - the dashboard's modal opener, used for the drawer
+     */
+    function init(options) {
+        openModal = options.openModal;
+
+        // The whole card opens the drawer; its deep link keeps working as a link
+        document.getElementById('championsGrid').addEventListener('click', (e) => {
+            if (e.target.closest('a')) return;
+
+            const button = e.target.closest('[data-champion-detail]');
+            const card = e.target.closest('.champion-card');
+            const trigger = button || (card && card.querySelector('[data-champion-detail]'));
+            if (trigger) open(trigger.dataset.championDetail);
+        });
+
+        document.getElementById('championDrawerBody').addEventListener('change', (e) => {
+            if (e.target.id !== 'championCompareSelect') return;
+            renderComparison(findChampion(e.target.dataset.champion), findChampion(e.target.value));
+        });
+    }
+
+    // Point the drill-down at an account and season; champions are the report's pool
+    function setContext(account, year, champions = []) {
+        context = { account, year, champions };
+    }
+
+    window.ChampionDetail = Object.freeze({
+        init,
+        setContext,
+        open
+    });
+
+    console.log('Champion detail module initialized');
+})();
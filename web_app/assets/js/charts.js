@@ -0,0 +1,310 @@
+/**
+ * Summoner's Chronicle - Charts
+ * Dependency-free SVG trend lines, radar, bar and distribution charts with hover tooltips
+ * and a data table fallback for keyboard and screen reader users
+ */
+
+(function() {
+    'use strict';
+
+    const { html } = Render;
+
+    const LINE = { width: 320, height: 180, top: 14, right: 14, bottom: 28, left: 44 };
+    const RADAR = { size: 280, radius: 90, rings: 4 };
+    const BAR = { width: 360, rowHeight: 30, labelWidth: 100, valueWidth: 48 };
+    const DISTRIBUTION = { width: 320, height: 180, top: 22, right: 14, bottom: 28, left: 14, gap: 2 };
+
+    function round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function defaultFormat(value) {
+        return isNumber(value) ? I18n.formatNumber(round(value)) : '-';
+    }
+
+    // Wrap an SVG in a figure with caption, tooltip and a collapsible data table
+    function renderFigure(container, { title, summary, svg, columns, rows }) {
+        Render.mount(container, html`
+            <figure class="chart">
+                <figcaption class="chart-title">${title}</figcaption>
+                <div class="chart-canvas">
+                    <svg ${svg.attrs} role="img" aria-label="${summary}" preserveAspectRatio="xMidYMid meet">${svg.body}</svg>
+                    <div class="chart-tooltip" aria-hidden="true"></div>
+                </div>
+                <details class="chart-data">
+                    <summary>${I18n.t('charts.viewDataTable')}</summary>
+                    <table>
+                        <caption>${title}</caption>
+                        <thead>
+                            <tr>${columns.map(column => html`<th scope="col">${column}</th>`)}</tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => html`
+                                <tr>
+                                    <th scope="row">${row[0]}</th>
+                                    ${row.slice(1).map(cell => html`<td>${cell}</td>`)}
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </details>
+            </figure>
+        `);
+
+        bindTooltip(container.querySelector('.chart'));
+    }
+
+    function renderEmpty(container, message) {
+        Render.mount(container, html`<p class="chart-empty">${message}</p>`);
+    }
+
+    // One tooltip per chart, driven by data-tooltip on the SVG marks
+    function bindTooltip(figure) {
+        const canvas = figure.querySelector('.chart-canvas');
+        const tooltip = figure.querySelector('.chart-tooltip');
+
+        function show(event) {
+            const mark = event.target.closest('[data-tooltip]');
+            if (!mark) return;
+
+            const canvasRect = canvas.getBoundingClientRect();
+            const markRect = mark.getBoundingClientRect();
+
+            tooltip.textContent = mark.getAttribute('data-tooltip');
+            tooltip.style.left = `${markRect.left - canvasRect.left + markRect.width / 2}px`;
+            tooltip.style.top = `${markRect.top - canvasRect.top}px`;
+            tooltip.classList.add('visible');
+        }
+
+        function hide(event) {
+            if (event.target.closest('[data-tooltip]')) {
+                tooltip.classList.remove('visible');
+            }
+        }
+
+        canvas.addEventListener('mouseover', show);
+        canvas.addEventListener('mouseout', hide);
+        canvas.addEventListener('click', show);
+    }
+
+    /**
+     * Trend line for one metric.
+     * Options: title, points ([{ label, value }]), format(value)
+     */
+    function line(container, { title, points, format = defaultFormat }) {
+        const data = (points || []).filter(point => isNumber(point.value));
+        if (data.length < 2) {
+            renderEmpty(container, I18n.t('charts.notEnoughGames', { title: title.toLowerCase() }));
+            return;
+        }
+
+        const values = data.map(point => point.value);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        const padding = (max - min) * 0.1 || Math.abs(max) * 0.1 || 1;
+        min -= padding;
+        max += padding;
+
+        const plotWidth = LINE.width - LINE.left - LINE.right;
+        const plotHeight = LINE.height - LINE.top - LINE.bottom;
+        const x = i => LINE.left + (plotWidth * i) / (data.length - 1);
+        const y = value => LINE.top + plotHeight * (1 - (value - min) / (max - min));
+
+        const path = data.map((point, i) => `${i === 0 ? 'M' : 'L'}${round(x(i))},${round(y(point.value))}`).join(' ');
+        const ticks = [max - padding, (min + max) / 2, min + padding];
+
+        const body = html`
+            ${ticks.map(tick => html`
+                <line class="chart-grid" x1="${LINE.left}" x2="${LINE.width - LINE.right}" y1="${round(y(tick))}" y2="${round(y(tick))}"></line>
+                <text class="chart-axis" x="${LINE.left - 6}" y="${round(y(tick)) + 4}" text-anchor="end">${format(tick)}</text>
+            `)}
+            <path class="chart-line" d="${path}"></path>
+            ${data.map((point, i) => html`
+                <circle class="chart-point" cx="${round(x(i))}" cy="${round(y(point.value))}" r="4"
+                    data-tooltip="${point.label}: ${format(point.value)}"></circle>
+                <text class="chart-axis" x="${round(x(i))}" y="${LINE.height - 8}" text-anchor="middle">${point.label}</text>
+            `)}
+        `;
+
+        const first = data[0];
+        const last = data[data.length - 1];
+
+        renderFigure(container, {
+            title,
+            summary: I18n.t('charts.lineSummary', {
+                title,
+                first: format(first.value),
+                firstLabel: first.label,
+                last: format(last.value),
+                lastLabel: last.label
+            }),
+            svg: { attrs: html`viewBox="0 0 ${LINE.width} ${LINE.height}"`, body },
+            columns: [I18n.t('charts.month'), title],
+            rows: data.map(point => [point.label, format(point.value)])
+        });
+    }
+
+    /**
+     * Radar chart of scores on a shared 0-max scale.
+     * Options: title, axes ([{ label, value }]), max (default 100), format(value)
+     */
+    function radar(container, { title, axes, max = 100, format = defaultFormat }) {
+        const data = (axes || []).filter(axis => isNumber(axis.value));
+        if (data.length < 3) {
+            renderEmpty(container, I18n.t('charts.noPlaystyle'));
+            return;
+        }
+
+        const center = RADAR.size / 2;
+        const angle = i => (Math.PI * 2 * i) / data.length - Math.PI / 2;
+        const point = (i, ratio) => [
+            round(center + Math.cos(angle(i)) * RADAR.radius * ratio),
+            round(center + Math.sin(angle(i)) * RADAR.radius * ratio)
+        ];
+        const polygon = ratios => ratios.map((ratio, i) => point(i, ratio).join(',')).join(' ');
+        const ratioOf = value => Math.min(Math.max(value / max, 0), 1);
+
+        const rings = Array.from({ length: RADAR.rings }, (_, i) => (i + 1) / RADAR.rings);
+
+        const body = html`
+            ${rings.map(ring => html`<polygon class="chart-grid" points="${polygon(data.map(() => ring))}"></polygon>`)}
+            ${data.map((axis, i) => {
+                const [endX, endY] = point(i, 1);
+                const [labelX, labelY] = point(i, 1.25);
+                return html`
+                    <line class="chart-grid" x1="${center}" y1="${center}" x2="${endX}" y2="${endY}"></line>
+                    <text class="chart-axis" x="${labelX}" y="${labelY + 4}" text-anchor="middle">${axis.label}</text>
+                `;
+            })}
+            <polygon class="chart-area" points="${polygon(data.map(axis => ratioOf(axis.value)))}"></polygon>
+            ${data.map((axis, i) => {
+                const [cx, cy] = point(i, ratioOf(axis.value));
+                return html`<circle class="chart-point" cx="${cx}" cy="${cy}" r="4" data-tooltip="${axis.label}: ${format(axis.value)}"></circle>`;
+            })}
+        `;
+
+        renderFigure(container, {
+            title,
+            summary: `${title}: ${data.map(axis => `${axis.label} ${format(axis.value)}`).join(', ')}`,
+            svg: { attrs: html`viewBox="0 0 ${RADAR.size} ${RADAR.size}"`, body },
+            columns: [I18n.t('charts.axis'), I18n.t('charts.scoreOutOf', { max })],
+            rows: data.map(axis => [axis.label, format(axis.value)])
+        });
+    }
+
+    /**
+     * Horizontal bars on a 0-max scale.
+     * Options: title, items ([{ label, value, detail }]), max (default 100), format(value),
+     * valueLabel (data table column heading)
+     */
+    function bars(container, { title, items, max = 100, format = defaultFormat, valueLabel = I18n.t('charts.value') }) {
+        const data = (items || []).filter(item => isNumber(item.value));
+        if (data.length === 0) {
+            renderEmpty(container, I18n.t('charts.noChampionData'));
+            return;
+        }
+
+        const height = data.length * BAR.rowHeight + 8;
+        const trackWidth = BAR.width - BAR.labelWidth - BAR.valueWidth;
+        const widthOf = value => round(trackWidth * Math.min(Math.max(value / max, 0), 1));
+
+        const body = html`
+            ${data.map((item, i) => {
+                const top = i * BAR.rowHeight + 6;
+                const tooltip = item.detail ? `${item.label}: ${format(item.value)} (${item.detail})` : `${item.label}: ${format(item.value)}`;
+                return html`
+                    <text class="chart-axis chart-bar-label" x="${BAR.labelWidth - 8}" y="${top + 13}" text-anchor="end">${item.label}</text>
+                    <rect class="chart-track" x="${BAR.labelWidth}" y="${top}" width="${trackWidth}" height="18" rx="4"></rect>
+                    <rect class="chart-bar" x="${BAR.labelWidth}" y="${top}" width="${widthOf(item.value)}" height="18" rx="4"
+                        data-tooltip="${tooltip}"></rect>
+                    <text class="chart-axis" x="${BAR.width - BAR.valueWidth + 6}" y="${top + 13}">${format(item.value)}</text>
+                `;
+            })}
+        `;
+
+        renderFigure(container, {
+            title,
+            summary: `${title}: ${data.map(item => `${item.label} ${format(item.value)}`).join(', ')}`,
+            svg: { attrs: html`viewBox="0 0 ${BAR.width} ${height}"`, body },
+            columns: [I18n.t('charts.name'), valueLabel],
+            rows: data.map(item => [item.label, format(item.value)])
+        });
+    }
+
+    /**
+     * Histogram of how a group of players is spread across value ranges, with a
+     * marker at the player's own value.
+     * Options: title, buckets ([{ min, max, share }], share in percent of players),
+     * value (the player's), format(value)
+     */
+    function distribution(container, { title, buckets, value, format = defaultFormat }) {
+        const data = (buckets || []).filter(bucket => isNumber(bucket.min) && isNumber(bucket.max) && isNumber(bucket.share));
+        if (data.length < 2) {
+            renderEmpty(container, I18n.t('charts.noDistribution', { title: title.toLowerCase() }));
+            return;
+        }
+
+        const min = data[0].min;
+        const max = data[data.length - 1].max;
+        const tallest = Math.max(...data.map(bucket => bucket.share)) || 1;
+
+        const plotWidth = DISTRIBUTION.width - DISTRIBUTION.left - DISTRIBUTION.right;
+        const plotHeight = DISTRIBUTION.height - DISTRIBUTION.top - DISTRIBUTION.bottom;
+        const baseline = DISTRIBUTION.top + plotHeight;
+        const x = v => DISTRIBUTION.left + plotWidth * Math.min(Math.max((v - min) / (max - min || 1), 0), 1);
+
+        const range = bucket => `${format(bucket.min)} – ${format(bucket.max)}`;
+        const contains = (bucket, i) => isNumber(value) && value >= bucket.min &&
+            (value < bucket.max || (i === data.length - 1 && value <= bucket.max));
+        const playerBucket = data.find(contains);
+
+        const body = html`
+            <line class="chart-grid" x1="${DISTRIBUTION.left}" x2="${DISTRIBUTION.width - DISTRIBUTION.right}" y1="${baseline}" y2="${baseline}"></line>
+            ${data.map((bucket, i) => {
+                const left = x(bucket.min) + DISTRIBUTION.gap / 2;
+                const width = Math.max(x(bucket.max) - x(bucket.min) - DISTRIBUTION.gap, 1);
+                const height = plotHeight * (bucket.share / tallest);
+                return html`
+                    <rect class="chart-bar ${contains(bucket, i) ? 'chart-bar-player' : ''}" x="${round(left)}" y="${round(baseline - height)}"
+                        width="${round(width)}" height="${round(height)}" rx="2"
+                        data-tooltip="${range(bucket)}: ${I18n.formatPercent(bucket.share)}"></rect>
+                `;
+            })}
+            <text class="chart-axis" x="${DISTRIBUTION.left}" y="${DISTRIBUTION.height - 8}" text-anchor="start">${format(min)}</text>
+            <text class="chart-axis" x="${DISTRIBUTION.width - DISTRIBUTION.right}" y="${DISTRIBUTION.height - 8}" text-anchor="end">${format(max)}</text>
+            ${isNumber(value) ? html`
+                <line class="chart-marker" x1="${round(x(value))}" x2="${round(x(value))}" y1="${DISTRIBUTION.top - 6}" y2="${baseline}"></line>
+                <text class="chart-axis chart-marker-label" x="${round(x(value))}" y="${DISTRIBUTION.top - 10}" text-anchor="middle"
+                    data-tooltip="${I18n.t('charts.you')}: ${format(value)}">${I18n.t('charts.you')}</text>
+            ` : ''}
+        `;
+
+        renderFigure(container, {
+            title,
+            summary: playerBucket
+                ? I18n.t('charts.distributionSummary', {
+                    title,
+                    value: format(value),
+                    range: range(playerBucket),
+                    share: I18n.formatPercent(playerBucket.share)
+                })
+                : title,
+            svg: { attrs: html`viewBox="0 0 ${DISTRIBUTION.width} ${DISTRIBUTION.height}"`, body },
+            columns: [I18n.t('charts.range'), I18n.t('charts.shareOfPlayers')],
+            rows: data.map(bucket => [range(bucket), I18n.formatPercent(bucket.share)])
+        });
+    }
+
+    window.Charts = Object.freeze({
+        line,
+        radar,
+        bars,
+        distribution
+    });
+
+    console.log('Charts module initialized');
+})();
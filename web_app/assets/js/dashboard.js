@@ -6,484 +6,1348 @@
 (function() {
     'use strict';
 
+    const { html } = Render;
+
     let userData = null;
     let reportData = null;
 
+    let compareData = null;
+
+    // Season selection; null means "latest available"
+    let selectedYear = null;
+    let compareYear = null;
+    let compareEnabled = false;
+
+    // Report generation tracking
+    let jobWatchController = null;
+    let failedJob = null;
+
+    // Route pointing at a card that hasn't rendered yet
+    let pendingRoute = null;
+
+    // Marks a nav pill and its section active; set up in setupNavigation
+    let selectSection = null;
+
+    // The first route is the page loading, not the user navigating
+    let routeStarted = false;
+
+    // Reports already fetched this session, keyed by account and year
+    const reportCache = new Map();
+    const yearsCache = new Map();
+
     // Initialize dashboard
     async function initDashboard() {
-        // Check authentication
-        const authToken = localStorage.getItem('authToken');
-        if (!authToken) {
-            window.location.href = 'auth.html';
+        // Messages for the chosen language, so nothing renders in English first
+        await I18n.ready;
+
+        // A broken config has already replaced the page with an explanation
+        if (!await AppConfig.ready) return;
+
+        // Check authentication and start session tracking. Only a session that
+        // existed and couldn't be renewed is reported as expired.
+        const hadToken = Boolean(Session.getToken());
+        const hasSession = await Session.start({
+            onExpiring: showSessionWarning,
+            onRefreshed: hideSessionWarning,
+            onEnded: () => OfflineCache.clear()
+        });
+        if (!hasSession) {
+            Session.end(hadToken ? 'expired' : undefined);
             return;
         }
 
-        // Load user data and report
+        setupNavigation();
+        setupActions();
+        MatchHistory.init({ openModal });
+        ChampionDetail.init({ openModal });
+        PeerComparison.init({ openSettings: openSettingsModal });
+        document.getElementById('dashboardRetryBtn').addEventListener('click', loadDashboardData);
+        document.getElementById('forgingRetryBtn').addEventListener('click', retryGeneration);
+        window.addEventListener('online', refreshSavedCopy);
+        window.addEventListener('localechange', rerenderForLocale);
+
+        // Cached preferences are already applied; pick up changes made on other devices
+        Preferences.sync().catch(error => {
+            console.error('Preferences sync error:', error);
+            Telemetry.error(error, { action: 'syncPreferences' });
+        });
+
+        await loadDashboardData();
+    }
+
+    // Load user data and report, surfacing failures instead of leaving placeholders
+    async function loadDashboardData() {
+        hideDashboardError();
+        hideForgingPanel();
+        OfflineCache.reset();
+
+        // Stop following a job from a previous account or season
+        if (jobWatchController) {
+            jobWatchController.abort();
+            jobWatchController = null;
+        }
+
+        // Screen readers hold off reading the sections until they're filled
+        const content = document.querySelector('.content-wrapper');
+        content.setAttribute('aria-busy', 'true');
+
         try {
-            await loadUserData();
-            await loadReportData();
-            setupNavigation();
-            setupActions();
+            if (!userData) {
+                await loadUserData();
+            }
+            await Telemetry.measure('loadReportData', loadReportData);
+            setContentVisible(true);
+            renderOfflineBanner();
+            revealPendingRoute();
+            content.removeAttribute('aria-busy');
+            A11y.announce(I18n.t('dashboard.reportLoaded', { year: selectedYear }));
         } catch (error) {
             console.error('Dashboard initialization error:', error);
-            if (error.message === 'Unauthorized') {
-                localStorage.clear();
-                window.location.href = 'auth.html';
-            }
+
+            // The API client has already sent the user back to sign in
+            if (error instanceof ApiClient.UnauthorizedError) return;
+
+            // Superseded by a newer load; nothing went wrong
+            if (error.name === 'AbortError') return;
+
+            content.removeAttribute('aria-busy');
+            Telemetry.error(error, { action: 'loadDashboard' });
+
+            // The forging panel is already showing the failure
+            if (error instanceof ReportJobs.JobFailedError) return;
+
+            setContentVisible(false);
+            showDashboardError(describeLoadError(error));
+        }
+    }
+
+    // Saved copies from the service worker are labelled with when they were fetched
+    function renderOfflineBanner() {
+        const banner = document.getElementById('offlineBanner');
+        const savedAt = OfflineCache.getSavedAt();
+
+        if (!savedAt) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        document.getElementById('offlineBannerDate').textContent = I18n.formatDate(savedAt, {
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+        banner.style.display = 'flex';
+    }
+
+    // Back online while showing a saved copy: drop it and fetch live data
+    function refreshSavedCopy() {
+        if (!OfflineCache.getSavedAt()) return;
+
+        reportCache.clear();
+        yearsCache.clear();
+        userData = null;
+        loadDashboardData();
+    }
+
+    // Narratives come back in the chosen language, so fetch the report again
+    function rerenderForLocale() {
+        reportCache.clear();
+        renderAccountSwitcher();
+        loadDashboardData();
+        PeerComparison.refresh();
+    }
+
+    function setContentVisible(visible) {
+        document.querySelector('.content-wrapper').style.display = visible ? '' : 'none';
+    }
+
+    function describeLoadError(error) {
+        if (error instanceof ApiClient.NotFoundError) {
+            return I18n.t('errors.reportNotFound');
+        }
+        if (error instanceof ApiClient.RateLimitError) {
+            return I18n.t('errors.rateLimited');
+        }
+        if (error instanceof ApiClient.ServerError) {
+            return I18n.t('errors.server');
+        }
+        if (error instanceof ApiClient.TimeoutError || error instanceof ApiClient.NetworkError) {
+            return I18n.t('errors.network');
+        }
+        return error.message || I18n.t('errors.loadReport');
+    }
+
+    function showDashboardError(message) {
+        document.getElementById('dashboardErrorMessage').textContent = message;
+        document.getElementById('dashboardError').style.display = 'block';
+        A11y.announce(message, { assertive: true });
+    }
+
+    function hideDashboardError() {
+        document.getElementById('dashboardError').style.display = 'none';
+    }
+
+    // Session expiry warning with a live countdown
+    let sessionCountdown = null;
+
+    function showSessionWarning(msLeft) {
+        const warning = document.getElementById('sessionWarning');
+        const countdown = document.getElementById('sessionCountdown');
+        const expiresAt = Date.now() + msLeft;
+
+        const tick = () => {
+            const seconds = Math.max(0, Math.round((expiresAt - Date.now()) / 1000));
+            countdown.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+
+        tick();
+        clearInterval(sessionCountdown);
+        sessionCountdown = setInterval(tick, 1000);
+        warning.style.display = 'flex';
+    }
+
+    function hideSessionWarning() {
+        clearInterval(sessionCountdown);
+        document.getElementById('sessionWarning').style.display = 'none';
+    }
+
+    async function extendSession() {
+        try {
+            await Session.refresh();
+            hideSessionWarning();
+        } catch (error) {
+            console.error('Session refresh error:', error);
+            Telemetry.error(error, { action: 'extendSession' });
+            document.getElementById('sessionWarningMessage').textContent = I18n.t('dashboard.errors.extendSession');
         }
     }
 
     // Load user data
     async function loadUserData() {
-        const authToken = localStorage.getItem('authToken');
-        const response = await fetch(`${AWS_CONFIG.apiEndpoint}/user/profile`, {
-            headers: {
-                'Authorization': `Bearer ${authToken}`
+        userData = await ApiClient.get('/user/profile', {
+            errorMessage: I18n.t('dashboard.errors.loadUser')
+        });
+
+        // The server's list of linked accounts wins over what this device remembers
+        Accounts.sync(userData.linkedAccounts);
+
+        renderAccountSwitcher();
+    }
+
+    // Load report data from RiftSage for the active account
+    async function loadReportData() {
+        const account = Accounts.getActive();
+        if (!account) {
+            openModal('linkAccountModal');
+            throw new Error(I18n.t('dashboard.errors.noAccount'));
+        }
+
+        // Seasons still being generated are selectable so their progress can be followed
+        const years = mergeYears(await loadAvailableYears(account), ReportJobs.pendingYears(account.puuid));
+        if (!years.includes(selectedYear)) {
+            selectedYear = years[0];
+        }
+
+        const otherYears = years.filter(year => year !== selectedYear);
+        if (!otherYears.includes(compareYear)) {
+            compareYear = otherYears[0] || null;
+        }
+
+        // Render the picker first so another season can be chosen if this one fails to load
+        compareData = null;
+        renderSeasonControls(years);
+
+        const pendingJob = ReportJobs.getPending(account.puuid, selectedYear);
+        if (pendingJob) {
+            await trackGeneration(account, selectedYear, pendingJob.jobId);
+        }
+
+        const { report, issues } = await fetchReport(account, selectedYear);
+        reportData = report;
+
+        if (compareEnabled && compareYear) {
+            try {
+                compareData = (await fetchReport(account, compareYear)).report;
+            } catch (error) {
+                if (error instanceof ApiClient.UnauthorizedError) throw error;
+                console.error('Comparison report error:', error);
+                Telemetry.error(error, { action: 'loadComparison' });
             }
+        }
+
+        renderSeasonControls(years);
+
+        // Populate all sections with data
+        ReportSections.render(reportData, {
+            compare: compareData,
+            compareYear,
+            goals: loadGoals(),
+            editableGoals: true,
+            championDetails: AppConfig.isEnabled('championDetail'),
+            issues
         });
 
-        if (!response.ok) {
-            if (response.status === 401) {
-                throw new Error('Unauthorized');
+        const topChampions = (reportData.champions && reportData.champions.topChampions) || [];
+        MatchHistory.setContext(account, selectedYear, topChampions);
+        ChampionDetail.setContext(account, selectedYear, topChampions);
+        PeerComparison.setContext(account, selectedYear);
+    }
+
+    // Resolves to { report, issues }: the report upgraded and checked by ReportSchema
+    async function fetchReport(account, year) {
+        const cacheKey = `${account.puuid}:${year}`;
+
+        if (!reportCache.has(cacheKey)) {
+            const report = await ApiClient.get(`/report/${encodeURIComponent(account.puuid)}`, {
+                query: { year, lang: I18n.getLocale() },
+                errorMessage: I18n.t('errors.loadReport')
+            });
+            reportCache.set(cacheKey, await ReportSchema.normalize(report));
+        }
+
+        return reportCache.get(cacheKey);
+    }
+
+    // Years with a generated chronicle, newest first
+    async function loadAvailableYears(account) {
+        if (!yearsCache.has(account.puuid)) {
+            let years = [];
+            try {
+                const result = await ApiClient.get(`/report/${encodeURIComponent(account.puuid)}/years`, {
+                    errorMessage: I18n.t('dashboard.errors.loadSeasons')
+                });
+                years = (result && result.years) || [];
+            } catch (error) {
+                if (!(error instanceof ApiClient.NotFoundError)) throw error;
+            }
+
+            if (years.length === 0) {
+                years = [new Date().getFullYear()];
             }
-            throw new Error('Failed to load user data');
+            yearsCache.set(account.puuid, years.map(Number).sort((a, b) => b - a));
         }
 
-        userData = await response.json();
+        return yearsCache.get(account.puuid);
+    }
 
-        // Update header
-        document.getElementById('summonerName').textContent = userData.summonerName || 'Loading...';
-        document.getElementById('currentRank').textContent = userData.rank || 'Unranked';
+    function mergeYears(years, extraYears) {
+        return Array.from(new Set([...years, ...extraYears])).sort((a, b) => b - a);
     }
 
-    // Load report data from RiftSage
-    async function loadReportData() {
-        const authToken = localStorage.getItem('authToken');
-        const summonerPuuid = localStorage.getItem('summonerPuuid');
-
-        const response = await fetch(
-            `${AWS_CONFIG.apiEndpoint}/report/${summonerPuuid}?year=${new Date().getFullYear()}`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${authToken}`
+    // Follow a generation job on the forging panel until the report is ready
+    async function trackGeneration(account, year, jobId) {
+        setContentVisible(false);
+        showForgingPanel();
+
+        const controller = new AbortController();
+        jobWatchController = controller;
+
+        try {
+            await ReportJobs.watch(jobId, {
+                onUpdate: renderForgingProgress,
+                signal: controller.signal
+            });
+
+            ReportJobs.clearPending(account.puuid, year);
+            yearsCache.delete(account.puuid);
+            reportCache.delete(`${account.puuid}:${year}`);
+            hideForgingPanel();
+
+        } catch (error) {
+            if (!(error instanceof ReportJobs.JobFailedError)) throw error;
+
+            if (error.code !== 'failed') {
+                // The job can't be followed any further; it may still have finished
+                ReportJobs.clearPending(account.puuid, year);
+                if (await hasReport(account, year)) {
+                    hideForgingPanel();
+                    return;
                 }
+                // Nothing to retry, so the retry button starts a new job
+                jobId = null;
             }
-        );
 
-        if (!response.ok) {
-            throw new Error('Failed to load report data');
+            failedJob = { account, year, jobId };
+            showForgingFailure(error);
+            throw error;
+
+        } finally {
+            if (jobWatchController === controller) {
+                jobWatchController = null;
+            }
         }
+    }
 
-        reportData = await response.json();
+    async function hasReport(account, year) {
+        yearsCache.delete(account.puuid);
+        reportCache.delete(`${account.puuid}:${year}`);
+        try {
+            await fetchReport(account, year);
+            return true;
+        } catch (error) {
+            if (error instanceof ApiClient.NotFoundError) return false;
+            throw error;
+        }
+    }
 
-        // Populate all sections with data
-        populateOverview();
-        populatePerformance();
-        populateChampions();
-        populateTeamImpact();
-        populateGrowth();
-        populateAchievements();
-        populateFutureGoals();
+    function showForgingPanel() {
+        document.getElementById('forgingError').style.display = 'none';
+        renderForgingProgress({ stages: [] });
+        document.getElementById('forgingPanel').style.display = 'block';
+    }
+
+    function hideForgingPanel() {
+        document.getElementById('forgingPanel').style.display = 'none';
+    }
+
+    function renderForgingProgress(job) {
+        const stageStatus = new Map((job.stages || []).map(stage => [stage.id, stage]));
+        const list = document.getElementById('forgingStages');
+        list.textContent = '';
+
+        ReportJobs.STAGES.forEach(stage => {
+            const status = stageStatus.get(stage.id) || { status: 'pending', progress: 0 };
+
+            const item = document.createElement('li');
+            item.className = `forging-stage ${status.status}`;
+
+            const icon = document.createElement('i');
+            icon.className = {
+                running: 'fas fa-spinner fa-spin',
+                completed: 'fas fa-check-circle',
+                failed: 'fas fa-times-circle'
+            }[status.status] || 'far fa-circle';
+
+            const label = document.createElement('span');
+            label.className = 'forging-stage-label';
+            label.textContent = I18n.t(stage.labelKey);
+
+            const progress = document.createElement('span');
+            progress.className = 'forging-stage-progress';
+            if (status.status === 'running') {
+                progress.textContent = I18n.formatPercent(status.progress || 0);
+            } else if (status.status === 'failed') {
+                progress.textContent = I18n.t('dashboard.stageFailed');
+            }
+
+            item.append(icon, label, progress);
+            list.appendChild(item);
+        });
+
+        document.getElementById('forgingProgress').style.width = `${ReportJobs.overallProgress(job)}%`;
+    }
+
+    function showForgingFailure(error) {
+        const stage = ReportJobs.STAGES.find(s => s.id === error.stage);
+        document.getElementById('forgingErrorMessage').textContent = stage
+            ? I18n.t('dashboard.stageFailedWith', { stage: I18n.t(stage.labelKey), message: error.message })
+            : error.message;
+        document.getElementById('forgingError').style.display = 'block';
+    }
+
+    async function retryGeneration() {
+        if (!failedJob) return;
+
+        const { account, year, jobId } = failedJob;
+        const retryBtn = document.getElementById('forgingRetryBtn');
+        retryBtn.disabled = true;
+
+        try {
+            if (jobId) {
+                await ReportJobs.retry(account.puuid, year, jobId);
+            } else {
+                await ReportJobs.start(account.puuid, year);
+            }
+            failedJob = null;
+            await loadDashboardData();
+        } catch (error) {
+            console.error('Report retry error:', error);
+            Telemetry.error(error, { action: 'retryGeneration' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            // The job is gone; the next try starts a new one
+            if (error instanceof ReportJobs.JobFailedError) {
+                failedJob = { account, year, jobId: null };
+            }
+            document.getElementById('forgingErrorMessage').textContent =
+                error.message || I18n.t('dashboard.errors.retryGeneration');
+        } finally {
+            retryBtn.disabled = false;
+        }
+    }
+
+    // Season picker and comparison controls
+    function renderSeasonControls(years) {
+        fillYearSelect(document.getElementById('seasonSelect'), years, selectedYear);
+
+        const otherYears = years.filter(year => year !== selectedYear);
+        const compareToggle = document.getElementById('compareToggle');
+        const compareSelect = document.getElementById('compareYearSelect');
+
+        fillYearSelect(compareSelect, otherYears, compareYear);
+        compareToggle.disabled = otherYears.length === 0;
+        compareToggle.checked = compareEnabled && otherYears.length > 0;
+        compareSelect.disabled = !compareToggle.checked;
+
+        const note = document.getElementById('seasonNote');
+        if (compareEnabled && compareYear && !compareData) {
+            note.textContent = I18n.t('dashboard.noChronicleFor', { year: compareYear });
+        } else {
+            note.textContent = otherYears.length === 0 ? I18n.t('dashboard.onlyOneSeason') : '';
+        }
+
+        document.getElementById('seasonLabel').textContent = compareData
+            ? I18n.t('report.seasonVersus', { year: selectedYear, compareYear })
+            : I18n.t('report.seasonLabel', { year: selectedYear });
+    }
+
+    function fillYearSelect(select, years, selected) {
+        select.textContent = '';
+        years.forEach(year => {
+            const option = document.createElement('option');
+            option.value = String(year);
+            option.textContent = String(year);
+            option.selected = year === selected;
+            select.appendChild(option);
+        });
+    }
+
+    function setupSeasonControls() {
+        document.getElementById('seasonSelect').addEventListener('change', (e) => {
+            selectedYear = Number(e.target.value);
+            loadDashboardData();
+        });
+
+        document.getElementById('compareToggle').addEventListener('change', (e) => {
+            compareEnabled = e.target.checked;
+            loadDashboardData();
+        });
+
+        document.getElementById('compareYearSelect').addEventListener('change', (e) => {
+            compareYear = Number(e.target.value);
+            loadDashboardData();
+        });
+    }
+
+    // Header account switcher
+    function renderAccountSwitcher() {
+        const accounts = Accounts.list();
+        const active = Accounts.getActive();
+
+        document.getElementById('summonerName').textContent =
+            (active && active.summonerName) || (userData && userData.summonerName) || I18n.t('dashboard.noAccountLinked');
+
+        // The profile rank belongs to the primary account, so only reuse it when there is just one
+        const profileRank = accounts.length === 1 && userData ? userData.rank : null;
+        document.getElementById('currentRank').textContent =
+            (active && active.rank) || profileRank || I18n.t('dashboard.unranked');
+
+        const accountList = document.getElementById('accountList');
+        accountList.textContent = '';
+
+        accounts.forEach(account => {
+            const item = document.createElement('li');
+            item.className = 'account-item' + (active && account.puuid === active.puuid ? ' active' : '');
+
+            const selectBtn = document.createElement('button');
+            selectBtn.className = 'account-select';
+            selectBtn.setAttribute('role', 'menuitemradio');
+            selectBtn.setAttribute('aria-checked', String(Boolean(active && account.puuid === active.puuid)));
+
+            const name = document.createElement('span');
+            name.className = 'account-name';
+            name.textContent = account.summonerName || account.puuid;
+
+            const region = document.createElement('span');
+            region.className = 'account-region';
+            region.textContent = (account.region || '').toUpperCase();
+
+            selectBtn.append(name, region);
+            selectBtn.addEventListener('click', () => switchAccount(account.puuid));
+
+            const unlinkBtn = document.createElement('button');
+            unlinkBtn.className = 'account-unlink';
+            unlinkBtn.title = I18n.t('dashboard.unlinkAccount', { name: account.summonerName || account.puuid });
+            Render.mount(unlinkBtn, html`<i class="fas fa-unlink"></i>`);
+            unlinkBtn.addEventListener('click', () => unlinkAccount(account));
+
+            item.append(selectBtn, unlinkBtn);
+            accountList.appendChild(item);
+        });
+
+        document.getElementById('linkAccountBtn').disabled = accounts.length >= Accounts.MAX_ACCOUNTS;
+    }
+
+    function setupAccountSwitcher() {
+        const toggle = document.getElementById('accountSwitcherToggle');
+        const menu = document.getElementById('accountMenu');
+
+        const setMenuOpen = (open) => {
+            menu.style.display = open ? 'block' : 'none';
+            toggle.setAttribute('aria-expanded', String(open));
+        };
+
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setMenuOpen(menu.style.display === 'none');
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!menu.contains(e.target)) setMenuOpen(false);
+        });
+
+        document.getElementById('linkAccountBtn').addEventListener('click', () => {
+            setMenuOpen(false);
+            openModal('linkAccountModal');
+        });
+
+        document.getElementById('linkAccountForm').addEventListener('submit', linkAccount);
+    }
+
+    async function switchAccount(puuid) {
+        document.getElementById('accountMenu').style.display = 'none';
+        document.getElementById('accountSwitcherToggle').setAttribute('aria-expanded', 'false');
+
+        const active = Accounts.getActive();
+        if (active && active.puuid === puuid) return;
+
+        Accounts.setActive(puuid);
+        renderAccountSwitcher();
+        await loadDashboardData();
+    }
+
+    async function linkAccount(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const errorEl = document.getElementById('linkAccountError');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const summonerName = document.getElementById('linkSummonerName').value.trim();
+        const region = document.getElementById('linkRegion').value;
+
+        errorEl.style.display = 'none';
+        submitBtn.disabled = true;
+
+        try {
+            const result = await Accounts.link(summonerName, region);
+
+            // A freshly linked account has no chronicle yet
+            await ReportJobs.start(result.puuid);
+            selectedYear = new Date().getFullYear();
+
+            form.reset();
+            closeModal('linkAccountModal');
+            renderAccountSwitcher();
+            await loadDashboardData();
+
+        } catch (error) {
+            console.error('Link account error:', error);
+            Telemetry.error(error, { action: 'linkAccount' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            errorEl.textContent = error.message || I18n.t('errors.linkAccount');
+            errorEl.style.display = 'block';
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    async function unlinkAccount(account) {
+        if (!confirm(I18n.t('dashboard.confirmUnlink', { name: account.summonerName || account.puuid }))) {
+            return;
+        }
+
+        const wasActive = Accounts.getActive().puuid === account.puuid;
+
+        try {
+            await Accounts.unlink(account.puuid);
+        } catch (error) {
+            console.error('Unlink account error:', error);
+            Telemetry.error(error, { action: 'unlinkAccount' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            alert(error.message || I18n.t('dashboard.errors.unlinkAccount'));
+            return;
+        }
+
+        Array.from(reportCache.keys())
+            .filter(key => key.startsWith(`${account.puuid}:`))
+            .forEach(key => reportCache.delete(key));
+
+        renderAccountSwitcher();
+
+        if (wasActive) {
+            await loadDashboardData();
+        }
     }
 
     // Setup navigation
+    // Nav pills are links to hash routes, so back/forward and refreshes keep the section
     function setupNavigation() {
-        const navPills = document.querySelectorAll('.nav-pill');
-        const contentSections = document.querySelectorAll('.content-section');
+        // Sections this environment turns off can't be routed to
+        const navPills = Array.from(document.querySelectorAll('.nav-pill'))
+            .filter(pill => AppConfig.isEnabled(pill.dataset.feature));
 
         navPills.forEach(pill => {
-            pill.addEventListener('click', () => {
-                const sectionId = pill.dataset.section;
-
-                // Update active states
-                navPills.forEach(p => p.classList.remove('active'));
-                pill.classList.add('active');
-
-                contentSections.forEach(section => {
-                    section.classList.remove('active');
-                    if (section.id === sectionId) {
-                        section.classList.add('active');
-                    }
-                });
+            pill.addEventListener('click', () => Router.go(pill.dataset.section));
+        });
 
-                // Smooth scroll to top
-                window.scrollTo({ top: 0, behavior: 'smooth' });
-            });
+        selectSection = A11y.tabs(document.querySelector('.nav-pills'));
+        Router.start({
+            sections: navPills.map(pill => pill.dataset.section),
+            onRoute: applyRoute
         });
+        routeStarted = true;
+    }
+
+    function applyRoute(route) {
+        selectSection(route.section);
+
+        if (route.section === 'matches') {
+            MatchHistory.activate();
+        }
+        if (route.section === 'peers') {
+            PeerComparison.activate();
+        }
+
+        if (route.item) {
+            pendingRoute = route;
+            revealPendingRoute();
+        } else {
+            window.scrollTo({ top: 0, behavior: Preferences.isMotionReduced() ? 'auto' : 'smooth' });
+
+            // Land keyboard and screen reader users on the section they picked
+            if (routeStarted) {
+                A11y.focus(document.querySelector(`#${route.section} .section-title`));
+            }
+        }
+    }
+
+    // Deep-linked cards only exist once the report has rendered
+    function revealPendingRoute() {
+        if (!pendingRoute || !reportData) return;
+
+        Router.reveal(pendingRoute);
+        pendingRoute = null;
     }
 
     // Setup header actions
     function setupActions() {
         // Download button
-        document.getElementById('downloadBtn').addEventListener('click', downloadReport);
-
-        // Share button
-        document.getElementById('shareBtn').addEventListener('click', shareReport);
+        document.getElementById('downloadBtn').addEventListener('click', () => openModal('exportModal'));
+        document.getElementById('exportForm').addEventListener('submit', exportReport);
+        document.getElementById('exportForm').addEventListener('change', updateExportOptions);
+
+        // Access key export
+        document.getElementById('exportKeyBtn').addEventListener('click', () => openModal('accessKeyModal'));
+        document.getElementById('accessKeyExportForm').addEventListener('submit', exportAccessKey);
+
+        // Share links
+        document.getElementById('shareBtn').addEventListener('click', openShareModal);
+        document.getElementById('shareForm').addEventListener('submit', createShareLink);
+        document.getElementById('shareCopyBtn').addEventListener('click', copyShareLink);
+        document.getElementById('shareLinks').addEventListener('click', (e) => {
+            const revokeBtn = e.target.closest('[data-revoke-token]');
+            if (revokeBtn) revokeShareLink(revokeBtn.dataset.revokeToken);
+        });
 
-        // Settings button
-        document.getElementById('settingsBtn').addEventListener('click', () => {
-            // TODO: Implement settings modal
-            console.log('Settings clicked');
+        // Settings
+        document.getElementById('settingsBtn').addEventListener('click', openSettingsModal);
+        document.getElementById('settingsForm').addEventListener('submit', saveSettings);
+        document.getElementById('settingsForm').addEventListener('change', previewSettings);
+
+        // Passkeys, managed from settings
+        document.getElementById('addPasskeyBtn').addEventListener('click', addPasskey);
+        document.getElementById('passkeyName').addEventListener('keydown', (e) => {
+            // Enter adds the passkey instead of saving the settings form
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            addPasskey();
+        });
+        document.getElementById('passkeyList').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-passkey]');
+            if (removeBtn) removePasskey(removeBtn.dataset.removePasskey);
         });
 
         // Logout button
         document.getElementById('logoutBtn').addEventListener('click', logout);
+
+        // Session warning
+        document.getElementById('extendSessionBtn').addEventListener('click', extendSession);
+
+        setupModals();
+        setupBlueprint();
+        setupAccountSwitcher();
+        setupSeasonControls();
+    }
+
+    // Modal dialogs: close buttons, backdrop clicks and Escape
+    function setupModals() {
+        document.querySelectorAll('.modal-overlay').forEach(overlay => {
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay || e.target.closest('[data-close-modal]')) {
+                    closeModal(overlay.id);
+                }
+            });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            document.querySelectorAll('.modal-overlay').forEach(overlay => {
+                if (overlay.style.display !== 'none') closeModal(overlay.id);
+            });
+        });
     }
 
-    // Populate overview section
-    function populateOverview() {
-        if (!reportData || !reportData.overview) return;
+    function openModal(id) {
+        const overlay = document.getElementById(id);
+        overlay.style.display = 'flex';
+        document.body.classList.add('modal-open');
 
-        const overview = reportData.overview;
+        const firstField = overlay.querySelector('input, select, textarea, button:not([data-close-modal])');
+        if (firstField) firstField.focus();
+    }
 
-        // Update stats
-        document.getElementById('totalGames').textContent = overview.totalGames || '-';
-        document.getElementById('winRate').textContent = `${overview.winRate || 0}%`;
-        document.getElementById('avgKDA').textContent = overview.avgKDA?.toFixed(2) || '-';
-        document.getElementById('mainRole').textContent = overview.mainRole || '-';
+    function closeModal(id) {
+        document.getElementById(id).style.display = 'none';
+        document.body.classList.remove('modal-open');
 
-        // Update insights
-        const insightsList = document.getElementById('overviewInsights');
-        if (overview.insights && overview.insights.length > 0) {
-            insightsList.innerHTML = overview.insights
-                .map(insight => `<li><i class="fas fa-circle"></i> <span>${insight}</span></li>`)
-                .join('');
-        }
+        // Closing settings without saving drops the preview
+        if (id === 'settingsModal') Preferences.apply(Preferences.get());
+    }
+
+    // Blueprint merges in any action changes that haven't reached the server yet
+    function loadGoals() {
+        if (!reportData.futureGoals) return null;
+        return Blueprint.load(Accounts.getActive().puuid, selectedYear, reportData.futureGoals);
+    }
 
-        // Update narrative
-        document.getElementById('overviewNarrative').textContent =
-            overview.narrative || 'Your personalized narrative will appear here...';
+    function renderGoals() {
+        Blueprint.CATEGORIES.forEach(renderGoalCategory);
     }
 
-    // Populate performance section
-    function populatePerformance() {
-        if (!reportData || !reportData.performance) return;
+    function renderGoalCategory(category) {
+        ReportSections.renderGoalCategory(category, Blueprint.getGoals()[category], { editable: true });
+    }
 
-        const perf = reportData.performance;
+    function updateCategoryProgress(category) {
+        ReportSections.updateCategoryProgress(category, Blueprint.getGoals()[category]);
+    }
 
-        // Update stats
-        document.getElementById('avgKills').textContent = perf.avgKills?.toFixed(1) || '-';
-        document.getElementById('avgAssists').textContent = perf.avgAssists?.toFixed(1) || '-';
-        document.getElementById('avgDeaths').textContent = perf.avgDeaths?.toFixed(1) || '-';
-        document.getElementById('avgCS').textContent = perf.csPerMinute?.toFixed(1) || '-';
-        document.getElementById('avgVision').textContent = perf.visionScore?.toFixed(1) || '-';
-        document.getElementById('avgDamage').textContent = perf.damagePerMinute?.toFixed(0) || '-';
+    function updateGoalProgress(card) {
+        const goal = findBlueprintGoal(card.dataset.goalId);
+        if (!goal) return;
 
-        // Update insights
-        const insightsList = document.getElementById('performanceInsights');
-        if (perf.insights && perf.insights.length > 0) {
-            insightsList.innerHTML = perf.insights
-                .map(insight => `<li><i class="fas fa-circle"></i> <span>${insight}</span></li>`)
-                .join('');
+        const progress = ReportSections.goalProgress(goal);
+        card.querySelector('.goal-progress .progress-fill').style.width = `${progress}%`;
+        card.querySelector('.goal-progress-text').textContent = I18n.formatPercent(progress);
+    }
+
+    function findBlueprintGoal(goalId) {
+        const goals = Blueprint.getGoals();
+        for (const category of Blueprint.CATEGORIES) {
+            const goal = goals[category].find(g => g.id === goalId);
+            if (goal) return goal;
         }
+        return null;
+    }
 
-        // Update narrative
-        document.getElementById('performanceNarrative').textContent =
-            perf.narrative || 'Loading your performance analysis...';
+    function categoryOf(element) {
+        return element.closest('.goals-list').id.replace(/Goals$/, '');
     }
 
-    // Populate champions section
-    function populateChampions() {
-        if (!reportData || !reportData.champions) return;
+    // Action steps: ticking, adding and removing save through the Blueprint module
+    function setupBlueprint() {
+        const container = document.getElementById('goalsContainer');
+
+        container.addEventListener('change', (e) => {
+            if (e.target.type !== 'checkbox') return;
+
+            const card = e.target.closest('[data-goal-id]');
+            const actionId = e.target.closest('[data-action-id]').dataset.actionId;
+
+            // Optimistic: progress moves now, the save happens in the background
+            Blueprint.setActionCompleted(card.dataset.goalId, actionId, e.target.checked);
+            updateGoalProgress(card);
+            updateCategoryProgress(categoryOf(card));
+        });
+
+        container.addEventListener('submit', (e) => {
+            if (!e.target.matches('[data-add-action]')) return;
+            e.preventDefault();
+
+            const card = e.target.closest('[data-goal-id]');
+            const input = e.target.querySelector('input');
+            if (!Blueprint.addAction(card.dataset.goalId, input.value)) return;
+
+            const goalId = card.dataset.goalId;
+            const category = categoryOf(card);
+            renderGoalCategory(category);
+
+            // Re-rendering replaced the form; keep focus in the new one for the next step
+            const newCard = Array.from(document.querySelectorAll(`#${category}Goals [data-goal-id]`))
+                .find(el => el.dataset.goalId === goalId);
+            if (newCard) newCard.querySelector('[data-add-action] input').focus();
+        });
 
-        const championsGrid = document.getElementById('championsGrid');
-        const champions = reportData.champions.topChampions || [];
+        container.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-action]');
+            if (!removeBtn) return;
 
-        if (champions.length === 0) {
-            championsGrid.innerHTML = '<p style="text-align: center; color: var(--text-muted);">No champion data available</p>';
+            const card = removeBtn.closest('[data-goal-id]');
+            Blueprint.removeAction(card.dataset.goalId, removeBtn.closest('[data-action-id]').dataset.actionId);
+            renderGoalCategory(categoryOf(card));
+        });
+
+        Blueprint.onStatus((status, error) => {
+            renderBlueprintStatus(status, error);
+            if (status === 'reverted') renderGoals();
+        });
+    }
+
+    function renderBlueprintStatus(status, error) {
+        const statusEl = document.getElementById('blueprintStatus');
+        const messages = {
+            saving: I18n.t('dashboard.blueprint.saving'),
+            saved: I18n.t('dashboard.blueprint.saved'),
+            queued: I18n.t('dashboard.blueprint.queued'),
+            error: (error && error.message) || I18n.t('dashboard.blueprint.error')
+        };
+
+        if (!messages[status]) return;
+
+        statusEl.textContent = messages[status];
+        statusEl.className = `blueprint-status ${status}`;
+    }
+
+    // The server PDF always covers the whole report
+    function updateExportOptions() {
+        const format = document.querySelector('input[name="exportFormat"]:checked').value;
+        document.getElementById('exportSections').disabled = format === 'pdf';
+        document.getElementById('exportError').style.display = 'none';
+    }
+
+    // Export the loaded report in the chosen format
+    async function exportReport(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const format = form.querySelector('input[name="exportFormat"]:checked').value;
+        const sections = Array.from(form.querySelectorAll('input[name="exportSection"]:checked'), input => input.value);
+        const errorEl = document.getElementById('exportError');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const account = Accounts.getActive();
+
+        errorEl.style.display = 'none';
+
+        if (format !== 'pdf' && sections.length === 0) {
+            errorEl.textContent = I18n.t('dashboard.errors.noExportSections');
+            errorEl.style.display = 'block';
             return;
         }
 
-        championsGrid.innerHTML = champions.map((champ, index) => `
-            <div class="champion-card ${index === 0 ? 'featured' : ''}">
-                <div class="champion-header">
-                    <div class="champion-icon">
-                        <i class="fas fa-chess-knight"></i>
-                    </div>
-                    <div class="champion-basic-info">
-                        <h3>${champ.name}</h3>
-                        <div class="champion-role">${champ.role}</div>
-                    </div>
-                </div>
+        submitBtn.disabled = true;
 
-                <div class="champion-stats">
-                    <div class="champion-stat">
-                        <div class="stat-label">Games</div>
-                        <div class="stat-value">${champ.gamesPlayed}</div>
-                    </div>
-                    <div class="champion-stat">
-                        <div class="stat-label">Win Rate</div>
-                        <div class="stat-value">${champ.winRate}%</div>
-                    </div>
-                    <div class="champion-stat">
-                        <div class="stat-label">KDA</div>
-                        <div class="stat-value">${champ.kda.toFixed(2)}</div>
-                    </div>
-                </div>
+        try {
+            if (format === 'pdf') {
+                await downloadPdf(account);
+            } else {
+                // Blueprint holds the latest action steps, including unsynced ones
+                const report = reportData && {
+                    ...reportData,
+                    futureGoals: reportData.futureGoals && { ...reportData.futureGoals, ...Blueprint.getGoals() }
+                };
+
+                ReportExport.exportReport(format, report, {
+                    sections,
+                    player: account.summonerName || account.puuid,
+                    year: selectedYear,
+                    filename: `summoners-chronicle-${selectedYear}`
+                });
+            }
 
-                <div class="champion-performance">
-                    <div class="performance-metric">
-                        <div class="label">CS/Min</div>
-                        <div class="value">${champ.csPerMin?.toFixed(1) || '-'}</div>
-                    </div>
-                    <div class="performance-metric">
-                        <div class="label">DMG/Min</div>
-                        <div class="value">${champ.damagePerMin?.toFixed(0) || '-'}</div>
-                    </div>
-                    <div class="performance-metric">
-                        <div class="label">Vision</div>
-                        <div class="value">${champ.visionScore?.toFixed(1) || '-'}</div>
-                    </div>
-                </div>
+            closeModal('exportModal');
 
-                <div class="champion-description">
-                    <p>${champ.description || 'Your signature champion'}</p>
-                </div>
-            </div>
-        `).join('');
-
-        // Update insights
-        const insightsList = document.getElementById('championsInsights');
-        if (reportData.champions.insights && reportData.champions.insights.length > 0) {
-            insightsList.innerHTML = reportData.champions.insights
-                .map(insight => `<li><i class="fas fa-circle"></i> <span>${insight}</span></li>`)
-                .join('');
+        } catch (error) {
+            console.error('Export error:', error);
+            Telemetry.error(error, { action: 'exportReport' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            errorEl.textContent = error.message || I18n.t('dashboard.errors.export');
+            errorEl.style.display = 'block';
+        } finally {
+            submitBtn.disabled = false;
         }
+    }
 
-        // Update narrative
-        document.getElementById('championsNarrative').textContent =
-            reportData.champions.narrative || 'Loading your champion analysis...';
+    async function downloadPdf(account) {
+        const blob = await ApiClient.get(`/report/${encodeURIComponent(account.puuid)}/download`, {
+            query: { format: 'pdf', year: selectedYear },
+            responseType: 'blob',
+            timeout: 60000,
+            errorMessage: I18n.t('dashboard.errors.pdfUnavailable')
+        });
+
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `summoners-chronicle-${selectedYear}.pdf`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
     }
 
-    // Populate team impact section
-    function populateTeamImpact() {
-        if (!reportData || !reportData.teamImpact) return;
+    // Issue a fresh access key and download it as a .sumvault file
+    async function exportAccessKey(e) {
+        e.preventDefault();
 
-        const team = reportData.teamImpact;
+        const form = e.target;
+        const passphrase = document.getElementById('exportPassphrase').value;
+        const confirmation = document.getElementById('exportPassphraseConfirm').value;
+        const errorEl = document.getElementById('accessKeyExportError');
+        const submitBtn = form.querySelector('button[type="submit"]');
 
-        // Update stats
-        document.getElementById('killParticipation').textContent = `${team.killParticipation || 0}%`;
-        document.getElementById('objectiveControl').textContent = `${team.objectiveControl || 0}%`;
-        document.getElementById('teamfightPresence').textContent = `${team.teamfightPresence || 0}%`;
-        document.getElementById('supportRating').textContent = team.supportRating?.toFixed(1) || '-';
+        errorEl.style.display = 'none';
 
-        // Update insights
-        const insightsList = document.getElementById('teamInsights');
-        if (team.insights && team.insights.length > 0) {
-            insightsList.innerHTML = team.insights
-                .map(insight => `<li><i class="fas fa-circle"></i> <span>${insight}</span></li>`)
-                .join('');
+        if (passphrase && passphrase.length < 8) {
+            errorEl.textContent = I18n.t('dashboard.errors.passphraseLength');
+            errorEl.style.display = 'block';
+            return;
+        }
+        if (passphrase !== confirmation) {
+            errorEl.textContent = I18n.t('dashboard.errors.passphraseMismatch');
+            errorEl.style.display = 'block';
+            return;
         }
 
-        // Update narrative
-        document.getElementById('teamNarrative').textContent =
-            team.narrative || 'Loading your team impact analysis...';
-    }
+        submitBtn.disabled = true;
 
-    // Populate growth section
-    function populateGrowth() {
-        if (!reportData || !reportData.growth) return;
+        try {
+            const key = await ApiClient.post('/auth/access-key', {}, {
+                errorMessage: I18n.t('dashboard.errors.issueAccessKey')
+            });
 
-        const growth = reportData.growth;
+            const vaultText = await SumVault.create(key, {
+                passphrase: passphrase || undefined,
+                issuedAt: key.issuedAt,
+                expiresAt: key.expiresAt
+            });
 
-        // Update stats
-        document.getElementById('kdaImprovement').textContent = `+${growth.kdaImprovement || 0}%`;
-        document.getElementById('rankProgress').textContent = growth.rankProgress || '-';
-        document.getElementById('championPoolGrowth').textContent = `+${growth.newChampions || 0}`;
-        document.getElementById('consistencyScore').textContent = `${growth.consistency || 0}%`;
+            SumVault.download(vaultText, `summoners-chronicle-${new Date().toISOString().slice(0, 10)}.sumvault`);
 
-        // Update insights
-        const insightsList = document.getElementById('growthInsights');
-        if (growth.insights && growth.insights.length > 0) {
-            insightsList.innerHTML = growth.insights
-                .map(insight => `<li><i class="fas fa-circle"></i> <span>${insight}</span></li>`)
-                .join('');
+            form.reset();
+            closeModal('accessKeyModal');
+
+        } catch (error) {
+            console.error('Access key export error:', error);
+            Telemetry.error(error, { action: 'exportAccessKey' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            errorEl.textContent = SumVault.errorMessage(error) || I18n.t('dashboard.errors.exportAccessKey');
+            errorEl.style.display = 'block';
+        } finally {
+            submitBtn.disabled = false;
         }
+    }
 
-        // Update narrative
-        document.getElementById('growthNarrative').textContent =
-            growth.narrative || 'Loading your growth analysis...';
+    // Share links: open the modal and list the links already out there
+    function openShareModal() {
+        document.getElementById('shareError').style.display = 'none';
+        document.getElementById('shareResult').style.display = 'none';
+        openModal('shareModal');
+        loadShareLinks();
     }
 
-    // Populate achievements section
-    function populateAchievements() {
-        if (!reportData || !reportData.achievements) return;
+    async function loadShareLinks() {
+        const list = document.getElementById('shareLinks');
+        const account = Accounts.getActive();
+        if (!account) return;
 
-        const achievementsGrid = document.getElementById('achievementsGrid');
-        const achievements = reportData.achievements.list || [];
+        Render.mount(list, html`<li class="share-links-empty">${I18n.t('dashboard.shareLinks.loading')}</li>`);
 
-        if (achievements.length === 0) {
-            achievementsGrid.innerHTML = '<p style="text-align: center; color: var(--text-muted);">No achievements unlocked yet</p>';
+        try {
+            renderShareLinks(await ShareLinks.list(account.puuid));
+        } catch (error) {
+            console.error('Share links error:', error);
+            Telemetry.error(error, { action: 'loadShareLinks' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            Render.mount(list, html`<li class="share-links-empty">${error.message || I18n.t('dashboard.shareLinks.loadFailed')}</li>`);
+        }
+    }
+
+    function renderShareLinks(links) {
+        const list = document.getElementById('shareLinks');
+        const labels = Object.fromEntries(ReportSections.SECTIONS.map(section => [section.key, I18n.t(section.labelKey)]));
+
+        if (links.length === 0) {
+            Render.mount(list, html`<li class="share-links-empty">${I18n.t('dashboard.shareLinks.empty')}</li>`);
             return;
         }
 
-        achievementsGrid.innerHTML = achievements.map(achievement => `
-            <div class="achievement-card ${achievement.rarity.toLowerCase()}">
-                <div class="achievement-icon">
-                    <i class="${achievement.icon || 'fas fa-trophy'}"></i>
-                </div>
-                <div class="achievement-content">
-                    <h3>${achievement.name}</h3>
-                    <p class="achievement-desc">${achievement.description}</p>
-                    <div class="achievement-date">${achievement.date}</div>
-                </div>
-            </div>
-        `).join('');
-
-        // Outstanding games
-        const outstandingGames = document.getElementById('outstandingGames');
-        const topGames = reportData.achievements.topGames || [];
-
-        if (topGames.length > 0) {
-            outstandingGames.innerHTML = topGames.slice(0, 5).map((game, index) => `
-                <div class="match-item ${game.result}">
-                    <div class="match-basic-info">
-                        <div class="match-result">
-                            <div class="result-text">${game.result}</div>
-                            <div class="match-duration">${game.duration}</div>
-                        </div>
-                        <div class="champion-info">
-                            <div class="champion-icon">
-                                <i class="fas fa-chess-knight"></i>
-                            </div>
-                            <div class="champion-details">
-                                <div class="champion-name">${game.champion}</div>
-                                <div class="role">${game.role}</div>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="match-kda">
-                        <span class="kda-score">${game.kills}/${game.deaths}/${game.assists}</span>
-                        <span class="kda-ratio">${game.kda.toFixed(2)} KDA</span>
-                    </div>
-                    <div class="match-analysis">
-                        <div class="performance-grade ${game.grade}">${game.grade}</div>
-                    </div>
+        Render.mount(list, html`${links.map(link => html`
+            <li class="share-link">
+                <div class="share-link-info">
+                    <a href="${link.url}" target="_blank" rel="noopener">${I18n.t('dashboard.shareLinks.title', {
+                        year: link.year,
+                        sections: (link.sections || []).map(key => labels[key] || key).join(', ')
+                    })}</a>
+                    <span class="share-link-meta">
+                        ${[
+                            I18n.t('dashboard.shareLinks.expires', { date: I18n.formatDate(link.expiresAt) }),
+                            link.hideRank ? I18n.t('dashboard.shareLinks.rankHidden') : null,
+                            link.hideStats ? I18n.t('dashboard.shareLinks.statsHidden') : null
+                        ].filter(Boolean).join(' · ')}
+                    </span>
                 </div>
-            `).join('');
-        }
-
-        // Update narrative
-        document.getElementById('achievementsNarrative').textContent =
-            reportData.achievements.narrative || 'Loading your achievements...';
-    }
-
-    // Populate future goals section
-    function populateFutureGoals() {
-        if (!reportData || !reportData.futureGoals) return;
-
-        const goals = reportData.futureGoals;
-
-        // Populate each goal category
-        const categories = ['mechanical', 'strategy', 'champion', 'mental', 'team'];
-        categories.forEach(category => {
-            const goalsList = document.getElementById(`${category}Goals`);
-            const categoryGoals = goals[category] || [];
-
-            if (categoryGoals.length > 0) {
-                goalsList.innerHTML = categoryGoals.map((goal, index) => `
-                    <div class="goal-card">
-                        <div class="goal-header">
-                            <h4>${goal.title}</h4>
-                            <span class="priority-badge ${goal.priority.toLowerCase()}">${goal.priority}</span>
-                        </div>
-                        <p>${goal.description}</p>
-                        <div class="goal-progress">
-                            <div class="progress-bar">
-                                <div class="progress-fill" style="width: ${goal.progress || 0}%"></div>
-                            </div>
-                            <span>${goal.progress || 0}%</span>
-                        </div>
-                        <div class="action-items">
-                            <h5>Action Steps:</h5>
-                            ${goal.actions.map((action, i) => `
-                                <div class="action-item">
-                                    <input type="checkbox" id="${category}-${index}-${i}" ${action.completed ? 'checked' : ''}>
-                                    <label for="${category}-${index}-${i}">${action.text}</label>
-                                </div>
-                            `).join('')}
-                        </div>
-                    </div>
-                `).join('');
-            }
+                <button type="button" class="btn btn-secondary" data-revoke-token="${link.token}">
+                    <i class="fas fa-ban"></i>
+                    <span>${I18n.t('dashboard.shareLinks.revoke')}</span>
+                </button>
+            </li>
+        `)}`);
+    }
 
-            // Update progress bar
-            const progress = calculateCategoryProgress(categoryGoals);
-            document.getElementById(`${category}Progress`).style.width = `${progress}%`;
-        });
+    async function createShareLink(e) {
+        e.preventDefault();
 
-        // Update narrative
-        document.getElementById('goalsNarrative').textContent =
-            goals.narrative || 'These personalized goals are designed to help you improve...';
+        const form = e.target;
+        const errorEl = document.getElementById('shareError');
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const account = Accounts.getActive();
+
+        errorEl.style.display = 'none';
+        submitBtn.disabled = true;
+
+        try {
+            const link = await ShareLinks.create(account.puuid, {
+                year: selectedYear,
+                sections: Array.from(form.querySelectorAll('input[name="shareSection"]:checked'), input => input.value),
+                expiresInDays: Number(document.getElementById('shareExpiry').value),
+                hideRank: document.getElementById('shareHideRank').checked,
+                hideStats: document.getElementById('shareHideStats').checked
+            });
+
+            document.getElementById('shareLinkUrl').value = link.url;
+            document.querySelector('#shareCopyBtn span').textContent = I18n.t('dashboard.copy');
+            document.getElementById('shareResult').style.display = 'block';
+            loadShareLinks();
+
+        } catch (error) {
+            console.error('Share link error:', error);
+            Telemetry.error(error, { action: 'createShareLink' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            errorEl.textContent = error.message || I18n.t('dashboard.errors.createShareLink');
+            errorEl.style.display = 'block';
+        } finally {
+            submitBtn.disabled = false;
+        }
     }
 
-    // Helper function to calculate category progress
-    function calculateCategoryProgress(goals) {
-        if (goals.length === 0) return 0;
+    // Use the native share sheet where there is one, otherwise copy
+    async function copyShareLink() {
+        const url = document.getElementById('shareLinkUrl').value;
+        const button = document.getElementById('shareCopyBtn');
 
-        const totalProgress = goals.reduce((sum, goal) => sum + (goal.progress || 0), 0);
-        return Math.round(totalProgress / goals.length);
+        if (navigator.share) {
+            navigator.share({ title: I18n.t('dashboard.shareTitle'), url }).catch(err => console.error('Share error:', err));
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            button.querySelector('span').textContent = I18n.t('dashboard.copied');
+        } catch (error) {
+            // Clipboard access denied; leave the link selected for a manual copy
+            document.getElementById('shareLinkUrl').select();
+        }
     }
 
-    // Download report
-    async function downloadReport() {
-        const authToken = localStorage.getItem('authToken');
-        const summonerPuuid = localStorage.getItem('summonerPuuid');
+    async function revokeShareLink(token) {
+        if (!confirm(I18n.t('dashboard.confirmRevoke'))) return;
 
         try {
-            const response = await fetch(
-                `${AWS_CONFIG.apiEndpoint}/report/${summonerPuuid}/download?format=pdf`,
-                {
-                    headers: {
-                        'Authorization': `Bearer ${authToken}`
-                    }
-                }
-            );
+            await ShareLinks.revoke(Accounts.getActive().puuid, token);
+            loadShareLinks();
+        } catch (error) {
+            console.error('Revoke share link error:', error);
+            Telemetry.error(error, { action: 'revokeShareLink' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            const errorEl = document.getElementById('shareError');
+            errorEl.textContent = error.message || I18n.t('dashboard.errors.revokeShareLink');
+            errorEl.style.display = 'block';
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error('Failed to download report');
+    // Settings: fill the form from the saved preferences
+    function openSettingsModal() {
+        const prefs = Preferences.get();
+        const form = document.getElementById('settingsForm');
+
+        form.querySelectorAll('input[name="settingsTheme"]').forEach(input => {
+            input.checked = input.value === prefs.theme;
+        });
+        document.getElementById('settingsFontScale').value = String(prefs.fontScale);
+        document.getElementById('settingsReduceMotion').checked = prefs.reduceMotion;
+        document.getElementById('settingsCadence').value = prefs.reportCadence;
+        form.querySelectorAll('input[name="settingsFocus"]').forEach(input => {
+            input.checked = prefs.focusAreas.includes(input.value);
+        });
+        document.getElementById('settingsNotifyEmail').checked = prefs.notifications.email;
+        document.getElementById('settingsNotifyInApp').checked = prefs.notifications.inApp;
+        document.getElementById('settingsPublicProfile').checked = prefs.privacy.publicProfile;
+        document.getElementById('settingsLeaderboard').checked = prefs.privacy.leaderboard;
+        document.getElementById('settingsDiagnostics').checked = prefs.privacy.diagnostics;
+
+        document.getElementById('settingsError').style.display = 'none';
+        document.getElementById('passkeyError').style.display = 'none';
+        openModal('settingsModal');
+
+        if (AppConfig.isEnabled('passkeys')) loadPasskeys();
+    }
+
+    function readSettingsForm() {
+        const form = document.getElementById('settingsForm');
+        const theme = form.querySelector('input[name="settingsTheme"]:checked');
+
+        return {
+            theme: theme ? theme.value : undefined,
+            fontScale: Number(document.getElementById('settingsFontScale').value),
+            reduceMotion: document.getElementById('settingsReduceMotion').checked,
+            reportCadence: document.getElementById('settingsCadence').value,
+            focusAreas: Array.from(form.querySelectorAll('input[name="settingsFocus"]:checked'), input => input.value),
+            notifications: {
+                email: document.getElementById('settingsNotifyEmail').checked,
+                inApp: document.getElementById('settingsNotifyInApp').checked
+            },
+            privacy: {
+                publicProfile: document.getElementById('settingsPublicProfile').checked,
+                leaderboard: document.getElementById('settingsLeaderboard').checked,
+                diagnostics: document.getElementById('settingsDiagnostics').checked
             }
+        };
+    }
+
+    // Show theme, text size and motion changes before they're saved
+    function previewSettings() {
+        Preferences.apply(readSettingsForm());
+    }
 
-            const blob = await response.blob();
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `summoners-chronicle-${new Date().getFullYear()}.pdf`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            window.URL.revokeObjectURL(url);
+    async function saveSettings(e) {
+        e.preventDefault();
+
+        const form = e.target;
+        const errorEl = document.getElementById('settingsError');
+        const submitBtn = form.querySelector('button[type="submit"]');
+
+        errorEl.style.display = 'none';
+        submitBtn.disabled = true;
+
+        try {
+            await Preferences.save(readSettingsForm());
+            closeModal('settingsModal');
+
+            // The leaderboard is shown only to players who chose to appear on it
+            PeerComparison.refresh();
 
         } catch (error) {
-            console.error('Download error:', error);
-            alert('Failed to download report. Please try again.');
+            console.error('Settings save error:', error);
+            Telemetry.error(error, { action: 'saveSettings' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            errorEl.textContent = error.message || I18n.t('dashboard.errors.saveSettings');
+            errorEl.style.display = 'block';
+        } finally {
+            submitBtn.disabled = false;
         }
     }
 
-    // Share report
-    function shareReport() {
-        // TODO: Implement sharing functionality
-        const shareData = {
-            title: 'My Summoner\'s Chronicle',
-            text: 'Check out my League of Legends performance insights!',
-            url: window.location.href
-        };
+    // Passkeys: list what's registered, add one from this device, remove any
+    async function loadPasskeys() {
+        const list = document.getElementById('passkeyList');
 
-        if (navigator.share) {
-            navigator.share(shareData).catch(err => console.error('Share error:', err));
-        } else {
-            // Fallback: copy link
-            navigator.clipboard.writeText(window.location.href).then(() => {
-                alert('Link copied to clipboard!');
-            });
+        Render.mount(list, html`<li class="passkey-list-empty">${I18n.t('dashboard.passkeyList.loading')}</li>`);
+
+        try {
+            renderPasskeys(await Passkeys.list());
+        } catch (error) {
+            console.error('Passkeys error:', error);
+            Telemetry.error(error, { action: 'loadPasskeys' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            Render.mount(list, html`<li class="passkey-list-empty">${error.message || I18n.t('dashboard.passkeyList.loadFailed')}</li>`);
+        }
+    }
+
+    function renderPasskeys(passkeys) {
+        const list = document.getElementById('passkeyList');
+
+        if (passkeys.length === 0) {
+            Render.mount(list, html`<li class="passkey-list-empty">${I18n.t('dashboard.passkeyList.empty')}</li>`);
+            return;
+        }
+
+        Render.mount(list, html`${passkeys.map(passkey => html`
+            <li class="passkey">
+                <div class="passkey-info">
+                    <span class="passkey-name">${passkey.name || I18n.t('dashboard.passkeyList.unnamed')}</span>
+                    <span class="passkey-meta">
+                        ${[
+                            I18n.t('dashboard.passkeyList.added', { date: I18n.formatDate(passkey.createdAt) }),
+                            passkey.lastUsedAt
+                                ? I18n.t('dashboard.passkeyList.lastUsed', { date: I18n.formatDate(passkey.lastUsedAt) })
+                                : I18n.t('dashboard.passkeyList.neverUsed')
+                        ].join(' · ')}
+                    </span>
+                </div>
+                <button type="button" class="btn btn-secondary" data-remove-passkey="${passkey.id}">
+                    <i class="fas fa-trash"></i>
+                    <span>${I18n.t('dashboard.passkeyList.remove')}</span>
+                </button>
+            </li>
+        `)}`);
+    }
+
+    async function addPasskey() {
+        const errorEl = document.getElementById('passkeyError');
+        const addBtn = document.getElementById('addPasskeyBtn');
+        const nameInput = document.getElementById('passkeyName');
+
+        errorEl.style.display = 'none';
+        addBtn.disabled = true;
+
+        try {
+            await Passkeys.register(nameInput.value);
+            Telemetry.track('passkeys.added');
+            nameInput.value = '';
+            A11y.announce(I18n.t('dashboard.passkeyList.addedAnnouncement'));
+            loadPasskeys();
+
+        } catch (error) {
+            console.error('Add passkey error:', error);
+            Telemetry.error(error, { action: 'addPasskey', code: error.code });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            errorEl.textContent = error.message || I18n.t('dashboard.errors.addPasskey');
+            errorEl.style.display = 'block';
+        } finally {
+            addBtn.disabled = false;
+        }
+    }
+
+    async function removePasskey(id) {
+        if (!confirm(I18n.t('dashboard.confirmRemovePasskey'))) return;
+
+        try {
+            await Passkeys.remove(id);
+            Telemetry.track('passkeys.removed');
+            loadPasskeys();
+        } catch (error) {
+            console.error('Remove passkey error:', error);
+            Telemetry.error(error, { action: 'removePasskey' });
+            if (error instanceof ApiClient.UnauthorizedError) return;
+            const errorEl = document.getElementById('passkeyError');
+            errorEl.textContent = error.message || I18n.t('dashboard.errors.removePasskey');
+            errorEl.style.display = 'block';
         }
     }
 
     // Logout
-    function logout() {
-        if (confirm('Are you sure you want to logout?')) {
-            localStorage.clear();
-            window.location.href = '../index.html';
+    async function logout() {
+        if (confirm(I18n.t('dashboard.confirmLogout'))) {
+            // Revokes the token and signs out every open tab; linked accounts stay on this device
+            await Session.logout('../index.html');
         }
     }
 
@@ -0,0 +1,455 @@
+/**
+ * Summoner's Chronicle - Report Export
+ * Builds Markdown, JSON, CSV and print-ready HTML exports from a loaded report
+ * without a round trip to the server
+ */
+
+(function() {
+    'use strict';
+
+    const { html } = Render;
+
+    // Dashboard sections in report order; headings follow generate_markdown_report
+    const SECTIONS = [
+        { id: 'overview', title: 'Season Overview' },
+        { id: 'performance', title: 'Performance Analysis' },
+        { id: 'champions', title: 'Champion Mastery Analysis' },
+        { id: 'teamImpact', title: 'Team Impact' },
+        { id: 'growth', title: 'Growth & Consistency' },
+        { id: 'achievements', title: 'Achievements' },
+        { id: 'futureGoals', title: 'Improvement Blueprint' }
+    ];
+
+    const FORMATS = {
+        markdown: { extension: 'md', type: 'text/markdown' },
+        json: { extension: 'json', type: 'application/json' },
+        csv: { extension: 'csv', type: 'text/csv' },
+        html: { extension: 'html', type: 'text/html' }
+    };
+
+    const GOAL_CATEGORIES = {
+        mechanical: 'Mechanical Skills',
+        strategy: 'Strategic Thinking',
+        champion: 'Champion Mastery',
+        mental: 'Mental Game',
+        team: 'Team Play'
+    };
+
+    const CSV_COLUMNS = [
+        'Type', 'Champion', 'Role', 'Games', 'Win Rate', 'KDA', 'CS/Min', 'DMG/Min', 'Vision',
+        'Result', 'Kills', 'Deaths', 'Assists', 'Duration', 'Grade', 'Date', 'Match ID'
+    ];
+
+    class ExportError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ExportError';
+        }
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    function fixed(value, digits) {
+        return isNumber(value) ? value.toFixed(digits) : '-';
+    }
+
+    function percent(value) {
+        return isNumber(value) ? `${value}%` : '-';
+    }
+
+    function orDash(value) {
+        return value === undefined || value === null || value === '' ? '-' : String(value);
+    }
+
+    // Labelled figures for each section, shared by the Markdown and HTML layouts
+    function sectionFacts(id, data) {
+        switch (id) {
+            case 'overview':
+                return [
+                    ['Total Games', orDash(data.totalGames)],
+                    ['Win Rate', percent(data.winRate)],
+                    ['Average KDA', fixed(data.avgKDA, 2)],
+                    ['Main Role', orDash(data.mainRole)]
+                ];
+            case 'performance': {
+                const playstyle = data.playstyle || {};
+                return [
+                    ['Average Kills', fixed(data.avgKills, 1)],
+                    ['Average Deaths', fixed(data.avgDeaths, 1)],
+                    ['Average Assists', fixed(data.avgAssists, 1)],
+                    ['CS per Minute', fixed(data.csPerMinute, 1)],
+                    ['Vision Score', fixed(data.visionScore, 1)],
+                    ['Damage per Minute', fixed(data.damagePerMinute, 0)],
+                    ['Playstyle', orDash(playstyle.archetype)],
+                    ['Aggression', fixed(playstyle.aggressionIndex, 0)],
+                    ['Teamwork', fixed(playstyle.teamworkOrientation, 0)],
+                    ['Mechanics', fixed(playstyle.mechanicalSkill, 0)]
+                ];
+            }
+            case 'teamImpact':
+                return [
+                    ['Kill Participation', percent(data.killParticipation)],
+                    ['Objective Control', percent(data.objectiveControl)],
+                    ['Teamfight Presence', percent(data.teamfightPresence)],
+                    ['Support Rating', fixed(data.supportRating, 1)]
+                ];
+            case 'growth':
+                return [
+                    ['KDA Improvement', `+${data.kdaImprovement || 0}%`],
+                    ['Rank Progress', orDash(data.rankProgress)],
+                    ['New Champions', `+${data.newChampions || 0}`],
+                    ['Consistency', `${data.consistency || 0}%`]
+                ];
+            default:
+                return [];
+        }
+    }
+
+    // Tables for sections built around lists: [caption, headers, rows]
+    function sectionTables(id, data) {
+        switch (id) {
+            case 'champions':
+                return [[
+                    'Top Champions',
+                    ['Champion', 'Role', 'Games', 'Win Rate', 'KDA', 'CS/Min', 'DMG/Min', 'Vision'],
+                    (data.topChampions || []).map(champ => [
+                        orDash(champ.name), orDash(champ.role), orDash(champ.gamesPlayed), percent(champ.winRate),
+                        fixed(champ.kda, 2), fixed(champ.csPerMin, 1), fixed(champ.damagePerMin, 0), fixed(champ.visionScore, 1)
+                    ])
+                ]];
+            case 'growth':
+                return [[
+                    'Monthly Trend',
+                    ['Month', 'KDA', 'CS/Min', 'Win Rate'],
+                    (data.monthly || []).map(entry => [
+                        orDash(entry.month), fixed(entry.kda, 2), fixed(entry.csPerMinute, 1),
+                        isNumber(entry.winRate) ? `${Math.round(entry.winRate)}%` : '-'
+                    ])
+                ]];
+            case 'achievements':
+                return [
+                    [
+                        'Unlocked Achievements',
+                        ['Achievement', 'Rarity', 'Date', 'Description'],
+                        (data.list || []).map(a => [orDash(a.name), orDash(a.rarity), orDash(a.date), orDash(a.description)])
+                    ],
+                    [
+                        'Outstanding Performances',
+                        ['Champion', 'Result', 'K/D/A', 'KDA', 'Duration', 'Grade'],
+                        (data.topGames || []).slice(0, 5).map(game => [
+                            orDash(game.champion), orDash(game.result), `${orDash(game.kills)}/${orDash(game.deaths)}/${orDash(game.assists)}`,
+                            fixed(game.kda, 2), orDash(game.duration), orDash(game.grade)
+                        ])
+                    ]
+                ];
+            default:
+                return [];
+        }
+    }
+
+    function goalCategories(data) {
+        return Object.keys(GOAL_CATEGORIES)
+            .map(category => [category, data[category] || []])
+            .filter(([, goals]) => goals.length > 0);
+    }
+
+    function selectedSections(report, sections) {
+        const wanted = sections || SECTIONS.map(section => section.id);
+        return SECTIONS.filter(section => wanted.includes(section.id) && report[section.id]);
+    }
+
+    // Markdown
+
+    // Keep pipes and line breaks from breaking table rows
+    function mdCell(value) {
+        return String(value).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+    }
+
+    function mdTable(headers, rows) {
+        return [
+            `| ${headers.map(mdCell).join(' | ')} |`,
+            `| ${headers.map(() => '---').join(' | ')} |`,
+            ...rows.map(row => `| ${row.map(mdCell).join(' | ')} |`)
+        ].join('\n');
+    }
+
+    function markdownSection(id, data) {
+        const blocks = [];
+
+        const facts = sectionFacts(id, data);
+        if (facts.length > 0) {
+            blocks.push(facts.map(([label, value]) => `- **${label}:** ${value}`).join('\n'));
+        }
+
+        sectionTables(id, data).forEach(([caption, headers, rows]) => {
+            if (rows.length > 0) blocks.push(`### ${caption}\n\n${mdTable(headers, rows)}`);
+        });
+
+        if (id === 'futureGoals') {
+            goalCategories(data).forEach(([category, goals]) => {
+                blocks.push(`### ${GOAL_CATEGORIES[category]}`);
+                goals.forEach(goal => {
+                    const lines = [`#### ${goal.title} (${orDash(goal.priority)} priority, ${ReportSections.goalProgress(goal)}%)`, ''];
+                    if (goal.description) lines.push(goal.description, '');
+                    (goal.actions || []).forEach(action => {
+                        lines.push(`- [${action.completed ? 'x' : ' '}] ${action.text}`);
+                    });
+                    blocks.push(lines.join('\n').trim());
+                });
+            });
+        }
+
+        if (data.insights && data.insights.length > 0) {
+            blocks.push(`### Key Insights\n\n${data.insights.map(insight => `- ${insight}`).join('\n')}`);
+        }
+
+        if (data.narrative) blocks.push(data.narrative);
+
+        return blocks.join('\n\n');
+    }
+
+    function toMarkdown(report, options) {
+        const generatedAt = report.generatedAt || options.exportedAt;
+
+        let markdown = `# League of Legends ${options.year} Performance Report
+
+**Player:** ${options.player}
+**Year:** ${options.year}
+**Generated:** ${generatedAt}
+
+---
+
+`;
+
+        selectedSections(report, options.sections).forEach(section => {
+            markdown += `## ${section.title}\n\n`;
+            markdown += `${markdownSection(section.id, report[section.id])}\n\n`;
+            markdown += '---\n\n';
+        });
+
+        markdown += `
+## Report Information
+
+- **Generated At:** ${generatedAt}
+- **Exported At:** ${options.exportedAt}
+- **Environment:** ${AppConfig.get().app.environment}
+- **Version:** ${AppConfig.get().app.version}
+
+---
+
+*Generated by RiftSage AI Agent*
+`;
+
+        return markdown;
+    }
+
+    // JSON: the report as loaded, limited to the chosen sections
+    function toJson(report, options) {
+        const chosen = selectedSections(report, options.sections).map(section => section.id);
+        const output = {};
+
+        Object.keys(report).forEach(key => {
+            const isSection = SECTIONS.some(section => section.id === key);
+            if (!isSection || chosen.includes(key)) output[key] = report[key];
+        });
+
+        return JSON.stringify(output, null, 2);
+    }
+
+    // CSV
+
+    // Quote where needed and defuse cells a spreadsheet would run as a formula
+    function csvCell(value) {
+        if (value === undefined || value === null) return '';
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(report, options) {
+        const chosen = selectedSections(report, options.sections).map(section => section.id);
+        const rows = [];
+
+        if (chosen.includes('champions')) {
+            (report.champions.topChampions || []).forEach(champ => {
+                rows.push(['Champion', champ.name, champ.role, champ.gamesPlayed, champ.winRate, champ.kda,
+                    champ.csPerMin, champ.damagePerMin, champ.visionScore]);
+            });
+        }
+
+        if (chosen.includes('achievements')) {
+            (report.achievements.topGames || []).forEach(game => {
+                rows.push(['Outstanding Game', game.champion, game.role, '', '', game.kda, '', '', '',
+                    game.result, game.kills, game.deaths, game.assists, game.duration, game.grade, game.playedAt, game.matchId]);
+            });
+        }
+
+        if (rows.length === 0) {
+            throw new ExportError(I18n.t('dashboard.errors.csvNeedsSections'));
+        }
+
+        return [CSV_COLUMNS, ...rows]
+            .map(row => CSV_COLUMNS.map((_, i) => csvCell(row[i])).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    // Print-ready HTML
+
+    const PRINT_STYLES = `
+        body { font-family: Georgia, serif; color: #1a1a1a; margin: 2rem auto; max-width: 800px; line-height: 1.5; }
+        h1 { font-size: 1.8rem; margin-bottom: 0.25rem; }
+        h2 { border-bottom: 2px solid #c89b3c; padding-bottom: 0.25rem; margin-top: 2rem; }
+        h3 { font-size: 1.05rem; margin-top: 1.25rem; }
+        .meta { color: #555; margin: 0 0 1.5rem; }
+        dl { display: grid; grid-template-columns: repeat(auto-fill, minmax(170px, 1fr)); gap: 0.5rem 1rem; }
+        dt { font-size: 0.75rem; text-transform: uppercase; color: #666; }
+        dd { margin: 0; font-weight: bold; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+        th, td { border: 1px solid #ccc; padding: 0.3rem 0.5rem; text-align: left; }
+        th { background: #f3efe6; }
+        ul.steps { list-style: none; padding-left: 0; }
+        footer { margin-top: 2rem; color: #777; font-size: 0.8rem; }
+        section { break-inside: avoid-page; }
+        @media print {
+            body { margin: 0; max-width: none; }
+            h2 { break-after: avoid; }
+            table, dl { break-inside: avoid; }
+        }
+    `;
+
+    function htmlSection(section, data) {
+        const facts = sectionFacts(section.id, data);
+        const tables = sectionTables(section.id, data).filter(([, , rows]) => rows.length > 0);
+
+        return html`
+            <section>
+                <h2>${section.title}</h2>
+                ${facts.length > 0 ? html`
+                    <dl>
+                        ${facts.map(([label, value]) => html`<div><dt>${label}</dt><dd>${value}</dd></div>`)}
+                    </dl>
+                ` : ''}
+                ${tables.map(([caption, headers, rows]) => html`
+                    <h3>${caption}</h3>
+                    <table>
+                        <thead><tr>${headers.map(header => html`<th scope="col">${header}</th>`)}</tr></thead>
+                        <tbody>${rows.map(row => html`<tr>${row.map(cell => html`<td>${cell}</td>`)}</tr>`)}</tbody>
+                    </table>
+                `)}
+                ${section.id === 'futureGoals' ? goalCategories(data).map(([category, goals]) => html`
+                    <h3>${GOAL_CATEGORIES[category]}</h3>
+                    ${goals.map(goal => html`
+                        <p><strong>${goal.title}</strong> (${goal.priority || '-'} priority, ${ReportSections.goalProgress(goal)}%)</p>
+                        ${goal.description ? html`<p>${Render.inline(goal.description)}</p>` : ''}
+                        <ul class="steps">
+                            ${(goal.actions || []).map(action => html`<li>${action.completed ? '☑' : '☐'} ${Render.inline(action.text)}</li>`)}
+                        </ul>
+                    `)}
+                `) : ''}
+                ${data.insights && data.insights.length > 0 ? html`
+                    <h3>Key Insights</h3>
+                    <ul>${data.insights.map(insight => html`<li>${Render.inline(insight)}</li>`)}</ul>
+                ` : ''}
+                ${Render.markdown(data.narrative)}
+            </section>
+        `;
+    }
+
+    function toHtml(report, options) {
+        const title = `League of Legends ${options.year} Performance Report`;
+
+        return String(html`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} - ${options.player}</title>
+    <style>${PRINT_STYLES}</style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <p class="meta">${options.player} · Generated ${report.generatedAt || options.exportedAt}</p>
+    ${selectedSections(report, options.sections).map(section => htmlSection(section, report[section.id]))}
+    <footer>${AppConfig.get().app.name} · Exported ${options.exportedAt}</footer>
+</body>
+</html>
+`);
+    }
+
+    const BUILDERS = {
+        markdown: toMarkdown,
+        json: toJson,
+        csv: toCsv,
+        html: toHtml
+    };
+
+    /**
+     * Build an export as text.
+     * Options: sections (ids to include, default all), player, year
+     */
+    function build(format, report, options = {}) {
+        if (!BUILDERS[format]) throw new ExportError(I18n.t('dashboard.errors.unsupportedExportFormat', { format }));
+        if (!report) throw new ExportError(I18n.t('dashboard.errors.noReportToExport'));
+
+        return BUILDERS[format](report, {
+            ...options,
+            exportedAt: new Date().toISOString()
+        });
+    }
+
+    function saveFile(text, format, filename) {
+        const blob = new Blob([text], { type: `${FORMATS[format].type};charset=utf-8` });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    // Open the HTML export in a new tab and bring up the print dialog; download if pop-ups are blocked
+    function openPrintView(text, filename) {
+        const url = window.URL.createObjectURL(new Blob([text], { type: 'text/html;charset=utf-8' }));
+        const view = window.open(url, '_blank');
+
+        if (!view) {
+            window.URL.revokeObjectURL(url);
+            saveFile(text, 'html', filename);
+            return;
+        }
+
+        view.addEventListener('load', () => {
+            view.print();
+            window.URL.revokeObjectURL(url);
+        });
+    }
+
+    /**
+     * Build an export and hand it to the user: HTML opens as a print view,
+     * everything else downloads. Options as for build(), plus filename (without extension).
+     */
+    function exportReport(format, report, options = {}) {
+        const text = build(format, report, options);
+        const filename = `${options.filename || 'summoners-chronicle'}.${FORMATS[format].extension}`;
+
+        if (format === 'html') {
+            openPrintView(text, filename);
+        } else {
+            saveFile(text, format, filename);
+        }
+    }
+
+    window.ReportExport = Object.freeze({
+        SECTIONS,
+        FORMATS,
+        build,
+        exportReport,
+        ExportError
+    });
+
+    console.log('Report export module initialized');
+})();
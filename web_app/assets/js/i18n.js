@@ -0,0 +1,257 @@
+/**
+ * Summoner's Chronicle - Internationalization
+ * Loads locale message bundles, translates [data-i18n] markup and formats
+ * numbers, percentages and dates for the chosen language
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'locale';
+    const DEFAULT_LOCALE = 'en';
+
+    // Every locale has a bundle at assets/locales/<code>.json
+    const LOCALES = [
+        { code: 'en', label: 'English' },
+        { code: 'ko', label: '한국어' },
+        { code: 'pt-BR', label: 'Português (Brasil)' }
+    ];
+
+    // Attributes translated from data-i18n-<attribute> keys
+    const ATTRIBUTES = ['placeholder', 'title', 'aria-label', 'alt'];
+
+    // Don't keep the page hidden for longer than this waiting on a bundle
+    const REVEAL_TIMEOUT = 3000;
+
+    // Resolved from this script so it works from index.html and pages/
+    const BUNDLE_BASE = new URL('../locales/', document.currentScript.src);
+
+    let locale = detectLocale();
+    let messages = {};
+    let fallback = {};
+
+    // Closest supported locale: exact match first, then the same language
+    function supportedLocale(code) {
+        if (!code) return null;
+
+        const wanted = String(code).toLowerCase();
+        const exact = LOCALES.find(entry => entry.code.toLowerCase() === wanted);
+        if (exact) return exact.code;
+
+        const language = wanted.split('-')[0];
+        const sameLanguage = LOCALES.find(entry => entry.code.toLowerCase().split('-')[0] === language);
+        return sameLanguage ? sameLanguage.code : null;
+    }
+
+    function detectLocale() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            // Storage blocked; fall back to the browser languages
+        }
+
+        const candidates = [stored, ...(navigator.languages || [navigator.language])];
+        for (const candidate of candidates) {
+            const code = supportedLocale(candidate);
+            if (code) return code;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    async function loadBundle(code) {
+        const response = await fetch(new URL(`${code}.json`, BUNDLE_BASE));
+        if (!response.ok) {
+            throw new Error(`Failed to load ${code} messages`);
+        }
+        return response.json();
+    }
+
+    // Dotted key lookup; plural messages are objects keyed by plural category
+    function lookup(bundle, key, count) {
+        const message = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), bundle);
+
+        if (message && typeof message === 'object' && typeof count === 'number') {
+            return message[new Intl.PluralRules(locale).select(count)] ?? message.other;
+        }
+        return typeof message === 'string' ? message : undefined;
+    }
+
+    /**
+     * Message for a key in the current locale, falling back to English and then
+     * to the key itself. {name} placeholders are filled from params as given;
+     * params.count also picks the plural form and is formatted for the locale.
+     */
+    function t(key, params = {}) {
+        const message = lookup(messages, key, params.count) ?? lookup(fallback, key, params.count);
+        if (message === undefined) return key;
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return placeholder;
+            return name === 'count' && typeof value === 'number' ? formatNumber(value) : String(value);
+        });
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    // Fixed number of decimals, grouped the way the locale writes them; '-' when missing
+    function formatNumber(value, digits) {
+        if (!isNumber(value)) return '-';
+
+        const options = digits === undefined
+            ? { maximumFractionDigits: 2 }
+            : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+        return new Intl.NumberFormat(locale, options).format(value);
+    }
+
+    // Percentages arrive as points (52.4 means 52.4%)
+    function formatPercent(value, digits) {
+        if (!isNumber(value)) return '-';
+
+        const options = digits === undefined
+            ? { maximumFractionDigits: 1 }
+            : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+        return new Intl.NumberFormat(locale, { style: 'percent', ...options }).format(value / 100);
+    }
+
+    // Dates and ISO strings; text the server already wrote out is shown as given
+    function formatDate(value, options = { dateStyle: 'medium' }) {
+        if (value === undefined || value === null || value === '') return '';
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) return String(value);
+        return date.toLocaleString(locale, options);
+    }
+
+    // Fill [data-i18n] text and data-i18n-<attribute> attributes under root
+    function translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = t(element.dataset.i18n);
+        });
+
+        ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    // Language pickers are plain selects marked with data-locale-picker
+    function setupPickers() {
+        document.querySelectorAll('[data-locale-picker]').forEach(select => {
+            select.textContent = '';
+            LOCALES.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.code;
+                option.lang = entry.code;
+                option.textContent = entry.label;
+                select.appendChild(option);
+            });
+
+            select.value = locale;
+            select.addEventListener('change', () => {
+                setLocale(select.value).catch(error => {
+                    console.error('Locale change error:', error);
+                    select.value = locale;
+                });
+            });
+        });
+    }
+
+    function applyLocale() {
+        document.documentElement.lang = locale;
+        translatePage();
+        document.querySelectorAll('[data-locale-picker]').forEach(select => {
+            select.value = locale;
+        });
+    }
+
+    /**
+     * Switch language, remember it on this device and re-translate the page.
+     * Pages that render text from script listen for the 'localechange' event.
+     */
+    async function setLocale(code) {
+        const next = supportedLocale(code) || DEFAULT_LOCALE;
+        const bundle = next === DEFAULT_LOCALE ? fallback : await loadBundle(next);
+
+        messages = bundle;
+        locale = next;
+
+        try {
+            localStorage.setItem(STORAGE_KEY, locale);
+        } catch (error) {
+            // Storage blocked; the choice lasts for this page
+        }
+
+        applyLocale();
+        window.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+    }
+
+    function getLocale() {
+        return locale;
+    }
+
+    function domReady() {
+        return new Promise(resolve => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', resolve, { once: true });
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    // English is always loaded as the fallback for keys a bundle is missing
+    async function loadMessages() {
+        const [english, chosen] = await Promise.all([
+            loadBundle(DEFAULT_LOCALE).catch(error => {
+                console.error('Locale bundle error:', error);
+                return {};
+            }),
+            locale === DEFAULT_LOCALE ? null : loadBundle(locale).catch(error => {
+                console.error('Locale bundle error:', error);
+                return null;
+            })
+        ]);
+
+        fallback = english;
+        messages = chosen || english;
+    }
+
+    // Keep other languages from flashing the English markup before the bundle arrives
+    const root = document.documentElement;
+    root.lang = locale;
+    if (locale !== DEFAULT_LOCALE) {
+        root.dataset.i18nPending = '';
+    }
+    const reveal = () => delete root.dataset.i18nPending;
+    const revealTimer = setTimeout(reveal, REVEAL_TIMEOUT);
+
+    // Resolves once the page is translated; never rejects
+    const ready = Promise.all([loadMessages(), domReady()]).then(() => {
+        applyLocale();
+        setupPickers();
+    }).catch(error => {
+        console.error('Translation error:', error);
+    }).finally(() => {
+        clearTimeout(revealTimer);
+        reveal();
+    });
+
+    window.I18n = Object.freeze({
+        LOCALES,
+        ready,
+        t,
+        getLocale,
+        setLocale,
+        translatePage,
+        formatNumber,
+        formatPercent,
+        formatDate
+    });
+
+    console.log('I18n module initialized');
+})();
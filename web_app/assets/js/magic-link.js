@@ -0,0 +1,201 @@
+/**
+ * Summoner's Chronicle - Magic Links
+ * Sends, verifies and renews sign-in links, and lets the tab that asked for a
+ * link sign in when it is approved from another device
+ */
+
+(function() {
+    'use strict';
+
+    // The request this browser is waiting on: { requestId, code, expiresAt }
+    const PENDING_KEY = 'magicLinkRequest';
+    const POLL_INTERVAL_MS = 3000;
+    const MAX_POLL_INTERVAL_MS = 30000;
+
+    // Why the server refused a link; sent as "reason" next to the message
+    const REASONS = Object.freeze({
+        EXPIRED: 'expired',
+        USED: 'used',
+        INVALID: 'invalid',
+        WRONG_CODE: 'code'
+    });
+
+    class MagicLinkError extends Error {
+        constructor(message, reason) {
+            super(message);
+            this.name = 'MagicLinkError';
+            this.reason = reason;
+        }
+    }
+
+    function getPending() {
+        try {
+            const pending = JSON.parse(localStorage.getItem(PENDING_KEY));
+            return pending && new Date(pending.expiresAt) > new Date() ? pending : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function setPending(result) {
+        if (!result || !result.requestId) return;
+
+        localStorage.setItem(PENDING_KEY, JSON.stringify({
+            requestId: result.requestId,
+            code: result.code,
+            expiresAt: new Date(Date.now() + result.expiresIn * 1000).toISOString()
+        }));
+    }
+
+    function clearPending() {
+        localStorage.removeItem(PENDING_KEY);
+    }
+
+    // Turn the server's reason into a MagicLinkError; anything else passes through
+    function linkError(error) {
+        const reason = error.body && error.body.reason;
+        if (error instanceof ApiClient.ApiError && Object.values(REASONS).includes(reason)) {
+            return new MagicLinkError(error.message, reason);
+        }
+        return error;
+    }
+
+    /**
+     * Email a sign-in link. Resolves to { requestId, code, expiresIn }; the code is
+     * shown here and typed on the other device to approve this one.
+     */
+    async function send(email) {
+        const result = await ApiClient.post('/auth/magic-link', { email }, {
+            auth: false,
+            errorMessage: I18n.t('auth.errors.sendFailed')
+        });
+
+        setPending(result);
+        return result;
+    }
+
+    // Email a fresh link to whoever an expired or used link was sent to
+    async function resend(token) {
+        try {
+            const result = await ApiClient.post('/auth/magic-link/resend', { token }, {
+                auth: false,
+                errorMessage: I18n.t('auth.errors.sendFailed')
+            });
+
+            setPending(result);
+            return result;
+        } catch (error) {
+            throw linkError(error);
+        }
+    }
+
+    // Sign in on this device; resolves to the session result
+    async function verify(token) {
+        try {
+            const result = await ApiClient.post('/auth/verify-magic-link', { token }, {
+                auth: false,
+                errorMessage: I18n.t('auth.errors.invalidMagicLink')
+            });
+
+            clearPending();
+            return result;
+        } catch (error) {
+            throw linkError(error);
+        }
+    }
+
+    // Use the link to sign in the device showing this code instead of this one
+    async function approve(token, code) {
+        try {
+            return await ApiClient.post('/auth/magic-link/approve', { token, code }, {
+                auth: false,
+                errorMessage: I18n.t('auth.errors.approveFailed')
+            });
+        } catch (error) {
+            throw linkError(error);
+        }
+    }
+
+    function abortError() {
+        const error = new Error('Magic link watch cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(abortError());
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Poll the pending request until the link is approved on another device.
+     * Resolves with the session result; rejects with MagicLinkError when the link
+     * expires or is used to sign in somewhere else, or an AbortError when the signal fires.
+     */
+    async function watch(pending, { signal } = {}) {
+        let interval = POLL_INTERVAL_MS;
+
+        while (true) {
+            if (signal && signal.aborted) throw abortError();
+
+            if (new Date(pending.expiresAt) <= new Date()) {
+                clearPending();
+                throw new MagicLinkError(I18n.t('auth.errors.linkExpired'), REASONS.EXPIRED);
+            }
+
+            let request;
+            try {
+                request = await ApiClient.get(`/auth/magic-link/requests/${encodeURIComponent(pending.requestId)}`, {
+                    auth: false,
+                    errorMessage: I18n.t('auth.errors.verifyFailed')
+                });
+                interval = POLL_INTERVAL_MS;
+            } catch (error) {
+                if (error instanceof ApiClient.NotFoundError) {
+                    clearPending();
+                    throw new MagicLinkError(I18n.t('auth.errors.linkExpired'), REASONS.EXPIRED);
+                }
+                // Transient trouble: keep waiting and back off
+                console.error('Magic link poll error:', error);
+                interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS);
+                await wait(interval, signal);
+                continue;
+            }
+
+            if (signal && signal.aborted) throw abortError();
+
+            if (request.status === 'approved') {
+                clearPending();
+                return request;
+            }
+            if (request.status === 'expired' || request.status === 'used') {
+                clearPending();
+                const key = request.status === 'used' ? 'auth.errors.linkUsed' : 'auth.errors.linkExpired';
+                throw new MagicLinkError(I18n.t(key), request.status);
+            }
+
+            await wait(interval, signal);
+        }
+    }
+
+    window.MagicLink = Object.freeze({
+        REASONS,
+        send,
+        resend,
+        verify,
+        approve,
+        watch,
+        getPending,
+        clearPending,
+        MagicLinkError
+    });
+
+    console.log('Magic link module initialized');
+})();
@@ -0,0 +1,370 @@
+/**
+ * Summoner's Chronicle - Match History
+ * Paginated, filterable match list for the active account and season,
+ * with a detail drawer for individual games
+ */
+
+(function() {
+    'use strict';
+
+    const { html } = Render;
+
+    const PAGE_SIZE = 20;
+
+    // Message keys for role and queue names
+    const ROLE_LABELS = {
+        TOP: 'dashboard.top',
+        JUNGLE: 'dashboard.jungle',
+        MIDDLE: 'dashboard.mid',
+        BOTTOM: 'dashboard.bot',
+        UTILITY: 'dashboard.support'
+    };
+
+    const QUEUE_LABELS = {
+        420: 'dashboard.rankedSoloDuo',
+        440: 'dashboard.rankedFlex',
+        400: 'dashboard.normalDraft',
+        430: 'dashboard.normalBlind',
+        450: 'matches.aram'
+    };
+
+    const TIMELINE_ICONS = {
+        kill: 'fas fa-crosshairs',
+        death: 'fas fa-skull',
+        assist: 'fas fa-hands-helping',
+        objective: 'fas fa-flag'
+    };
+
+    let context = null;
+    let page = 1;
+    let filters = {};
+    let stale = true;
+    let requestId = 0;
+    let detailRequestId = 0;
+    let openModal = null;
+
+    function roleLabel(role) {
+        return ROLE_LABELS[role] ? I18n.t(ROLE_LABELS[role]) : role || '-';
+    }
+
+    function queueLabel(queueId) {
+        return I18n.t(QUEUE_LABELS[queueId] || 'matches.otherQueue');
+    }
+
+    function formatDate(value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+        return I18n.formatDate(date, { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    // Milliseconds into the game -> "mm:ss"
+    function formatGameTime(ms) {
+        const totalSeconds = Math.max(0, Math.floor((ms || 0) / 1000));
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    /**
+     * Markup for a single .match-item row, shared with Outstanding Performances.
+     * Interactive rows carry the match id and open the detail drawer.
+     */
+    function renderMatchItem(game, { interactive = false } = {}) {
+        const attrs = interactive
+            ? html`role="button" tabindex="0" data-match-id="${game.matchId}" aria-label="${game.champion} ${game.result}, ${game.kills}/${game.deaths}/${game.assists}"`
+            : '';
+
+        return html`
+            <div class="match-item ${Render.token(game.result)} ${interactive ? 'interactive' : ''}" ${attrs}>
+                <div class="match-basic-info">
+                    <div class="match-result">
+                        <div class="result-text">${game.result}</div>
+                        <div class="match-duration">${game.duration}</div>
+                    </div>
+                    <div class="champion-info">
+                        <div class="champion-icon">
+                            <i class="fas fa-chess-knight"></i>
+                        </div>
+                        <div class="champion-details">
+                            <div class="champion-name">${game.champion}</div>
+                            <div class="role">${roleLabel(game.role)}</div>
+                        </div>
+                    </div>
+                </div>
+                ${interactive ? html`
+                    <div class="match-meta">
+                        <span>${queueLabel(game.queueId)}</span>
+                        <span>${formatDate(game.playedAt)}</span>
+                    </div>
+                ` : ''}
+                <div class="match-kda">
+                    <span class="kda-score">${game.kills}/${game.deaths}/${game.assists}</span>
+                    <span class="kda-ratio">${I18n.formatNumber(game.kda, 2)} KDA</span>
+                </div>
+                <div class="match-analysis">
+                    <div class="performance-grade ${Render.token(game.grade)}">${game.grade}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    function readFilters() {
+        const [sort, order] = document.getElementById('matchSort').value.split(':');
+
+        return {
+            champion: document.getElementById('matchChampion').value.trim(),
+            role: document.getElementById('matchRole').value,
+            result: document.getElementById('matchResult').value,
+            queue: document.getElementById('matchQueue').value,
+            from: document.getElementById('matchFrom').value,
+            to: document.getElementById('matchTo').value,
+            sort,
+            order
+        };
+    }
+
+    function isActive() {
+        return document.getElementById('matches').classList.contains('active');
+    }
+
+    async function load() {
+        if (!context) return;
+
+        const id = ++requestId;
+        const list = document.getElementById('matchList');
+        Render.mount(list, html`
+            <div class="loading-state">
+                <div class="spinner"></div>
+                <p>${I18n.t('matches.loading')}</p>
+            </div>
+        `);
+        stale = false;
+
+        try {
+            const result = await ApiClient.get(`/matches/${encodeURIComponent(context.account.puuid)}`, {
+                query: { ...filters, year: context.year, page, pageSize: PAGE_SIZE },
+                errorMessage: I18n.t('matches.errors.loadList')
+            });
+            if (id !== requestId) return;
+
+            renderList(result);
+            A11y.announce(result.total > 0
+                ? document.getElementById('matchPageInfo').textContent
+                : I18n.t('matches.noResults'));
+
+        } catch (error) {
+            if (id !== requestId) return;
+            console.error('Match history error:', error);
+
+            // The API client has already sent the user back to sign in
+            if (error instanceof ApiClient.UnauthorizedError) return;
+
+            stale = true;
+            const message = error.message || I18n.t('matches.errors.loadList');
+            Render.mount(list, html`<p class="match-list-empty">${message}</p>`);
+            renderPagination(0, 0);
+            A11y.announce(message);
+        }
+    }
+
+    function renderList(result) {
+        const matches = result.matches || [];
+        const total = result.total || 0;
+        const list = document.getElementById('matchList');
+
+        if (matches.length === 0) {
+            Render.mount(list, html`<p class="match-list-empty">${I18n.t('matches.noResults')}</p>`);
+        } else {
+            Render.mount(list, html`${matches.map(game => renderMatchItem(game, { interactive: true }))}`);
+        }
+
+        renderPagination(total, Math.ceil(total / PAGE_SIZE));
+    }
+
+    function renderPagination(total, pageCount) {
+        document.getElementById('matchPageInfo').textContent = total > 0
+            ? I18n.t('matches.pageInfo', { page, pageCount, count: total })
+            : '';
+        document.getElementById('matchPrevPage').disabled = page <= 1;
+        document.getElementById('matchNextPage').disabled = page >= pageCount;
+    }
+
+    function goToPage(nextPage) {
+        page = nextPage;
+        load();
+        document.getElementById('matches').scrollIntoView({ behavior: Preferences.isMotionReduced() ? 'auto' : 'smooth', block: 'start' });
+    }
+
+    function applyFilters() {
+        filters = readFilters();
+        page = 1;
+        load();
+    }
+
+    // Match detail drawer
+    async function openMatch(matchId) {
+        if (!context || !matchId) return;
+
+        const id = ++detailRequestId;
+        const body = document.getElementById('matchDrawerBody');
+        document.getElementById('matchDrawerTitle').textContent = I18n.t('dashboard.matchDetails');
+        Render.mount(body, html`
+            <div class="loading-state">
+                <div class="spinner"></div>
+                <p>${I18n.t('matches.loadingMatch')}</p>
+            </div>
+        `);
+        openModal('matchDrawer');
+
+        try {
+            const match = await ApiClient.get(
+                `/matches/${encodeURIComponent(context.account.puuid)}/${encodeURIComponent(matchId)}`,
+                { errorMessage: I18n.t('matches.errors.loadDetail') }
+            );
+            if (id !== detailRequestId) return;
+
+            renderMatchDetail(match);
+
+        } catch (error) {
+            if (id !== detailRequestId) return;
+            console.error('Match detail error:', error);
+            if (error instanceof ApiClient.UnauthorizedError) return;
+
+            Render.mount(body, html`<p class="match-list-empty">${error.message || I18n.t('matches.errors.loadDetail')}</p>`);
+        }
+    }
+
+    function renderMatchDetail(match) {
+        const stats = match.stats || {};
+        const items = match.items || [];
+        const timeline = (match.timeline || []).slice().sort((a, b) => a.timestamp - b.timestamp);
+
+        const statLine = [
+            ['K / D / A', `${stats.kills ?? '-'} / ${stats.deaths ?? '-'} / ${stats.assists ?? '-'}`],
+            ['KDA', I18n.formatNumber(stats.kda, 2)],
+            ['CS', I18n.formatNumber(stats.cs)],
+            [I18n.t('report.champion.csPerMin'), I18n.formatNumber(stats.csPerMinute, 1)],
+            [I18n.t('matches.stats.gold'), I18n.formatNumber(stats.gold)],
+            [I18n.t('matches.stats.damageDealt'), I18n.formatNumber(stats.damageDealt)],
+            [I18n.t('matches.stats.damageTaken'), I18n.formatNumber(stats.damageTaken)],
+            [I18n.t('report.visionScore'), I18n.formatNumber(stats.visionScore)],
+            [I18n.t('matches.stats.wardsPlaced'), I18n.formatNumber(stats.wardsPlaced)],
+            [I18n.t('report.killParticipation'), I18n.formatPercent(stats.killParticipation)]
+        ];
+
+        document.getElementById('matchDrawerTitle').textContent =
+            `${match.champion || I18n.t('matches.match')} · ${match.result || ''}`.trim();
+
+        Render.mount(document.getElementById('matchDrawerBody'), html`
+            <div class="match-detail-summary">
+                <span class="performance-grade ${Render.token(match.grade)}">${match.grade || '-'}</span>
+                <div>
+                    <div class="match-detail-heading">${roleLabel(match.role)} · ${queueLabel(match.queueId)}</div>
+                    <div class="match-detail-sub">${formatDate(match.playedAt)} · ${match.duration || ''}</div>
+                </div>
+            </div>
+
+            <h3 class="match-detail-label">${I18n.t('matches.statLine')}</h3>
+            <dl class="match-stat-line">
+                ${statLine.map(([label, value]) => html`
+                    <div class="match-stat">
+                        <dt>${label}</dt>
+                        <dd>${value}</dd>
+                    </div>
+                `)}
+            </dl>
+
+            <h3 class="match-detail-label">${I18n.t('matches.items')}</h3>
+            ${items.length > 0 ? html`
+                <ul class="match-items">
+                    ${items.map(item => html`<li class="match-item-chip">${item.name || I18n.t('matches.itemId', { id: item.id })}</li>`)}
+                </ul>
+            ` : html`<p class="match-list-empty">${I18n.t('matches.noItems')}</p>`}
+
+            <h3 class="match-detail-label">${I18n.t('matches.timeline')}</h3>
+            ${timeline.length > 0 ? html`
+                <ol class="match-timeline">
+                    ${timeline.map(event => html`
+                        <li class="timeline-event ${Render.token(event.type)}">
+                            <span class="timeline-time">${formatGameTime(event.timestamp)}</span>
+                            <i class="${TIMELINE_ICONS[event.type] || 'fas fa-circle'}"></i>
+                            <span>${event.description}</span>
+                        </li>
+                    `)}
+                </ol>
+            ` : html`<p class="match-list-empty">${I18n.t('matches.noTimeline')}</p>`}
+        `);
+    }
+
+    /**
+     * Wire up filters, pagination and the drawer.
+     * Options: openModal(id) - the dashboard's modal opener, used for the drawer
+     */
+    function init(options) {
+        openModal = options.openModal;
+
+        const form = document.getElementById('matchFilters');
+        form.addEventListener('change', applyFilters);
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            applyFilters();
+        });
+        document.getElementById('matchFiltersReset').addEventListener('click', () => {
+            form.reset();
+            applyFilters();
+        });
+
+        document.getElementById('matchPrevPage').addEventListener('click', () => goToPage(page - 1));
+        document.getElementById('matchNextPage').addEventListener('click', () => goToPage(page + 1));
+
+        const list = document.getElementById('matchList');
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-match-id]');
+            if (row) openMatch(row.dataset.matchId);
+        });
+        list.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            const row = e.target.closest('[data-match-id]');
+            if (row) {
+                e.preventDefault();
+                openMatch(row.dataset.matchId);
+            }
+        });
+
+        filters = readFilters();
+    }
+
+    // Point the explorer at an account and season; champions feed the filter suggestions
+    function setContext(account, year, champions = []) {
+        const changed = !context || context.account.puuid !== account.puuid || context.year !== year;
+        context = { account, year };
+
+        Render.mount(document.getElementById('matchChampionOptions'),
+            html`${champions.map(champ => html`<option value="${champ.name}"></option>`)}`);
+
+        if (!changed) return;
+
+        // Filters from one account rarely make sense for another
+        document.getElementById('matchFilters').reset();
+        filters = readFilters();
+        page = 1;
+        stale = true;
+
+        if (isActive()) load();
+    }
+
+    // Called when the section is shown; loads lazily the first time
+    function activate() {
+        if (stale) load();
+    }
+
+    window.MatchHistory = Object.freeze({
+        init,
+        setContext,
+        activate,
+        renderMatchItem,
+        roleLabel
+    });
+
+    console.log('Match history module initialized');
+})();
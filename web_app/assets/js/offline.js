@@ -0,0 +1,66 @@
+/**
+ * Summoner's Chronicle - Offline Support
+ * Registers the service worker and tracks when the dashboard is showing
+ * saved report copies instead of live data
+ */
+
+(function() {
+    'use strict';
+
+    // Must match REPORTS_CACHE in sw.js
+    const REPORTS_CACHE = 'sc-reports-v1';
+    const SERVICE_WORKER_URL = '../sw.js';
+
+    let savedAt = null;
+
+    function register() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+            console.error('Service worker registration error:', error);
+        });
+    }
+
+    // The API client reports every response that came from a saved copy; keep the oldest
+    function handleSnapshot(event) {
+        const date = new Date(event.detail.savedAt);
+        if (Number.isNaN(date.getTime())) return;
+
+        if (!savedAt || date < savedAt) {
+            savedAt = date;
+        }
+    }
+
+    // Start a fresh load; returns nothing until a saved copy is served again
+    function reset() {
+        savedAt = null;
+    }
+
+    function getSavedAt() {
+        return savedAt;
+    }
+
+    // Drop saved reports, e.g. when the session ends on a shared device
+    function clear() {
+        savedAt = null;
+
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'clear-reports' });
+        }
+        if (window.caches) {
+            return caches.delete(REPORTS_CACHE).catch(() => false);
+        }
+        return Promise.resolve(false);
+    }
+
+    window.addEventListener(ApiClient.SNAPSHOT_EVENT, handleSnapshot);
+    register();
+
+    window.OfflineCache = Object.freeze({
+        reset,
+        getSavedAt,
+        clear
+    });
+
+    console.log('Offline module initialized');
+})();
@@ -0,0 +1,178 @@
+/**
+ * Summoner's Chronicle - Passkeys
+ * Registers WebAuthn passkeys for a signed-in player, lists and removes them,
+ * and signs in with one from the auth page. The server issues every challenge
+ * and checks every response; this only converts between WebAuthn's binary
+ * fields and the base64url strings the API sends.
+ */
+
+(function() {
+    'use strict';
+
+    class PasskeyError extends Error {
+        constructor(message, code) {
+            super(message);
+            this.name = 'PasskeyError';
+            this.code = code;
+        }
+    }
+
+    function toBase64Url(buffer) {
+        let binary = '';
+        new Uint8Array(buffer).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function fromBase64Url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    function isSupported() {
+        return Boolean(window.PublicKeyCredential && navigator.credentials && window.isSecureContext);
+    }
+
+    function requireSupport() {
+        if (!isSupported()) {
+            throw new PasskeyError(I18n.t('auth.errors.passkeyUnsupported'), 'unsupported');
+        }
+    }
+
+    // The browser's reasons for refusing, in words a player can act on
+    function ceremonyError(error) {
+        switch (error && error.name) {
+            case 'NotAllowedError':
+            case 'AbortError':
+                return new PasskeyError(I18n.t('auth.errors.passkeyCancelled'), 'cancelled');
+            case 'InvalidStateError':
+                return new PasskeyError(I18n.t('auth.errors.passkeyExists'), 'exists');
+            case 'SecurityError':
+                return new PasskeyError(I18n.t('auth.errors.passkeyUnsupported'), 'unsupported');
+            default:
+                return error;
+        }
+    }
+
+    // Credential ids in allow/exclude lists arrive as base64url strings
+    function credentialDescriptors(list) {
+        return (list || []).map(credential => ({ ...credential, id: fromBase64Url(credential.id) }));
+    }
+
+    /**
+     * Create a passkey on this device (or a security key) for the signed-in player.
+     * name labels it in settings. Resolves to { id, name, createdAt, lastUsedAt }.
+     */
+    async function register(name) {
+        requireSupport();
+
+        const options = await ApiClient.post('/auth/passkeys/register/options', {}, {
+            errorMessage: I18n.t('dashboard.errors.addPasskey')
+        });
+
+        let credential;
+        try {
+            credential = await navigator.credentials.create({
+                publicKey: {
+                    ...options,
+                    challenge: fromBase64Url(options.challenge),
+                    user: { ...options.user, id: fromBase64Url(options.user.id) },
+                    excludeCredentials: credentialDescriptors(options.excludeCredentials)
+                }
+            });
+        } catch (error) {
+            throw ceremonyError(error);
+        }
+
+        const response = credential.response;
+        return ApiClient.post('/auth/passkeys/register', {
+            name: (name || '').trim(),
+            id: credential.id,
+            rawId: toBase64Url(credential.rawId),
+            type: credential.type,
+            response: {
+                clientDataJSON: toBase64Url(response.clientDataJSON),
+                attestationObject: toBase64Url(response.attestationObject),
+                transports: typeof response.getTransports === 'function' ? response.getTransports() : []
+            }
+        }, {
+            errorMessage: I18n.t('dashboard.errors.addPasskey')
+        });
+    }
+
+    // The signed-in player's passkeys, most recently used first
+    async function list() {
+        const result = await ApiClient.get('/auth/passkeys', {
+            errorMessage: I18n.t('dashboard.passkeyList.loadFailed')
+        });
+
+        return ((result && result.passkeys) || [])
+            .sort((a, b) => new Date(b.lastUsedAt || b.createdAt) - new Date(a.lastUsedAt || a.createdAt));
+    }
+
+    function remove(id) {
+        return ApiClient.delete(`/auth/passkeys/${encodeURIComponent(id)}`, {
+            errorMessage: I18n.t('dashboard.errors.removePasskey')
+        });
+    }
+
+    /**
+     * Sign in with any passkey registered for this site. No email is needed: the
+     * browser offers the passkeys it has and the server finds the player from the
+     * one chosen. Resolves to the session result, like a magic link.
+     */
+    async function signIn() {
+        requireSupport();
+
+        const options = await ApiClient.post('/auth/passkeys/authenticate/options', {}, {
+            auth: false,
+            errorMessage: I18n.t('auth.errors.passkeyFailed')
+        });
+
+        let credential;
+        try {
+            credential = await navigator.credentials.get({
+                publicKey: {
+                    ...options,
+                    challenge: fromBase64Url(options.challenge),
+                    allowCredentials: credentialDescriptors(options.allowCredentials)
+                }
+            });
+        } catch (error) {
+            throw ceremonyError(error);
+        }
+
+        const response = credential.response;
+        return ApiClient.post('/auth/passkeys/authenticate', {
+            id: credential.id,
+            rawId: toBase64Url(credential.rawId),
+            type: credential.type,
+            response: {
+                clientDataJSON: toBase64Url(response.clientDataJSON),
+                authenticatorData: toBase64Url(response.authenticatorData),
+                signature: toBase64Url(response.signature),
+                userHandle: response.userHandle ? toBase64Url(response.userHandle) : null
+            }
+        }, {
+            auth: false,
+            errorMessage: I18n.t('auth.errors.passkeyFailed')
+        });
+    }
+
+    window.Passkeys = Object.freeze({
+        isSupported,
+        register,
+        list,
+        remove,
+        signIn,
+        PasskeyError
+    });
+
+    console.log('Passkeys module initialized');
+})();
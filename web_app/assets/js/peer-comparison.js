@@ -0,0 +1,254 @@
+/**
+ * Summoner's Chronicle - Peer Comparison
+ * Percentiles and distributions for key stats against players of the same rank
+ * tier and main role, plus the regional leaderboard for players who opted in
+ */
+
+(function() {
+    'use strict';
+
+    const { html } = Render;
+
+    // Stats the benchmarks endpoint scores, in display order
+    const STATS = [
+        { key: 'winRate', labelKey: 'report.winRate', icon: 'fas fa-trophy', percent: true },
+        { key: 'avgKDA', labelKey: 'report.averageKda', icon: 'fas fa-crosshairs', digits: 2 },
+        { key: 'csPerMinute', labelKey: 'report.csPerMinute', icon: 'fas fa-coins', digits: 1 },
+        { key: 'visionScore', labelKey: 'report.visionScore', icon: 'fas fa-eye', digits: 1 },
+        { key: 'killParticipation', labelKey: 'report.killParticipation', icon: 'fas fa-bullseye', percent: true },
+        { key: 'damagePerMinute', labelKey: 'report.damagePerMin', icon: 'fas fa-fire', digits: 0 }
+    ];
+
+    let context = null;
+    let stale = true;
+    let requestId = 0;
+
+    function formatStat(stat, value) {
+        return stat.percent ? I18n.formatPercent(value) : I18n.formatNumber(value, stat.digits);
+    }
+
+    function isActive() {
+        return document.getElementById('peers').classList.contains('active');
+    }
+
+    function leaderboardEnabled() {
+        return Preferences.get().privacy.leaderboard;
+    }
+
+    /**
+     * Benchmarks for an account and season:
+     * { tier, role, region, sampleSize, stats: { <key>: { value, percentile, median,
+     * distribution: [{ min, max, share }] } } }
+     */
+    function fetchBenchmarks(puuid, year) {
+        return ApiClient.get(`/benchmarks/${encodeURIComponent(puuid)}`, {
+            query: { year },
+            errorMessage: I18n.t('peers.errors.load')
+        });
+    }
+
+    /**
+     * Leaderboard for the account's region, tier and role. Only players who chose
+     * to appear are listed; the server leaves out names of private profiles.
+     * Resolves to { region, entries: [{ rank, summonerName, score, isPlayer }] }
+     */
+    function fetchLeaderboard(puuid, year) {
+        return ApiClient.get(`/benchmarks/${encodeURIComponent(puuid)}/leaderboard`, {
+            query: { year },
+            errorMessage: I18n.t('peers.errors.leaderboard')
+        });
+    }
+
+    async function load() {
+        if (!context) return;
+
+        const id = ++requestId;
+        const statsGrid = document.getElementById('peerStats');
+        Render.mount(statsGrid, html`
+            <div class="loading-state">
+                <div class="spinner"></div>
+                <p>${I18n.t('peers.loading')}</p>
+            </div>
+        `);
+        document.getElementById('peerCharts').textContent = '';
+        document.getElementById('peerContext').textContent = '';
+        stale = false;
+
+        try {
+            const benchmarks = await fetchBenchmarks(context.account.puuid, context.year);
+            if (id !== requestId) return;
+
+            renderBenchmarks(benchmarks);
+            A11y.announce(document.getElementById('peerContext').textContent);
+        } catch (error) {
+            if (id !== requestId) return;
+            console.error('Peer comparison error:', error);
+
+            // The API client has already sent the user back to sign in
+            if (error instanceof ApiClient.UnauthorizedError) return;
+
+            stale = true;
+            const message = error instanceof ApiClient.NotFoundError
+                ? I18n.t('peers.notEnoughData')
+                : error.message || I18n.t('peers.errors.load');
+            Render.mount(statsGrid, html`<p class="peer-empty">${message}</p>`);
+            A11y.announce(message);
+        }
+
+        await loadLeaderboard(id);
+    }
+
+    function renderBenchmarks(benchmarks) {
+        const stats = benchmarks.stats || {};
+        const scored = STATS.filter(stat => stats[stat.key] && typeof stats[stat.key].percentile === 'number');
+
+        document.getElementById('peerContext').textContent = I18n.t('peers.context', {
+            count: benchmarks.sampleSize || 0,
+            tier: benchmarks.tier || I18n.t('dashboard.unranked'),
+            role: MatchHistory.roleLabel(benchmarks.role)
+        });
+
+        if (scored.length === 0) {
+            Render.mount(document.getElementById('peerStats'), html`<p class="peer-empty">${I18n.t('peers.notEnoughData')}</p>`);
+            return;
+        }
+
+        Render.mount(document.getElementById('peerStats'), html`${scored.map(stat => {
+            const entry = stats[stat.key];
+            const percentile = Math.min(Math.max(entry.percentile, 0), 100);
+            return html`
+                <div class="stat-card peer-card">
+                    <div class="stat-icon"><i class="${Render.icon(stat.icon)}"></i></div>
+                    <div class="stat-value">${formatStat(stat, entry.value)}</div>
+                    <div class="stat-label">${I18n.t(stat.labelKey)}</div>
+                    <div class="peer-percentile" role="meter" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(percentile)}"
+                        aria-label="${I18n.t('peers.percentileLabel', { stat: I18n.t(stat.labelKey) })}">
+                        <div class="peer-percentile-fill" style="width: ${Math.round(percentile)}%"></div>
+                    </div>
+                    <div class="stat-insight">${I18n.t('peers.betterThan', { percent: I18n.formatPercent(percentile, 0) })}</div>
+                    ${typeof entry.median === 'number' ? html`
+                        <div class="peer-median">${I18n.t('peers.median', { value: formatStat(stat, entry.median) })}</div>
+                    ` : ''}
+                </div>
+            `;
+        })}`);
+
+        const charts = document.getElementById('peerCharts');
+        Render.mount(charts, html`${scored.map(stat => html`<div class="chart-container" data-peer-chart="${stat.key}"></div>`)}`);
+        scored.forEach(stat => {
+            Charts.distribution(charts.querySelector(`[data-peer-chart="${stat.key}"]`), {
+                title: I18n.t(stat.labelKey),
+                buckets: stats[stat.key].distribution,
+                value: stats[stat.key].value,
+                format: value => formatStat(stat, value)
+            });
+        });
+    }
+
+    async function loadLeaderboard(id) {
+        const container = document.getElementById('peerLeaderboard');
+
+        // Opt-in only: players who haven't chosen to appear don't see it either
+        if (!leaderboardEnabled()) {
+            Render.mount(container, html`
+                <div class="peer-optin">
+                    <p>${I18n.t('peers.leaderboardOptIn')}</p>
+                    <button type="button" class="btn btn-secondary" data-peer-settings>
+                        <i class="fas fa-cog"></i>
+                        <span>${I18n.t('peers.openSettings')}</span>
+                    </button>
+                </div>
+            `);
+            return;
+        }
+
+        Render.mount(container, html`<p class="peer-empty">${I18n.t('peers.loadingLeaderboard')}</p>`);
+
+        try {
+            const leaderboard = await fetchLeaderboard(context.account.puuid, context.year);
+            if (id !== requestId) return;
+
+            renderLeaderboard(leaderboard);
+        } catch (error) {
+            if (id !== requestId) return;
+            console.error('Leaderboard error:', error);
+            if (error instanceof ApiClient.UnauthorizedError) return;
+
+            Render.mount(container, html`<p class="peer-empty">${error.message || I18n.t('peers.errors.leaderboard')}</p>`);
+        }
+    }
+
+    function renderLeaderboard(leaderboard) {
+        const container = document.getElementById('peerLeaderboard');
+        const entries = (leaderboard && leaderboard.entries) || [];
+
+        if (entries.length === 0) {
+            Render.mount(container, html`<p class="peer-empty">${I18n.t('peers.leaderboardEmpty')}</p>`);
+            return;
+        }
+
+        Render.mount(container, html`
+            <table class="peer-leaderboard">
+                <caption>${I18n.t('peers.leaderboardCaption', { region: (leaderboard.region || '').toUpperCase() })}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">${I18n.t('peers.rank')}</th>
+                        <th scope="col">${I18n.t('common.summonerName')}</th>
+                        <th scope="col">${I18n.t('peers.score')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => html`
+                        <tr class="${entry.isPlayer ? 'peer-leaderboard-you' : ''}" ${entry.isPlayer ? html`aria-current="true"` : ''}>
+                            <td>${I18n.formatNumber(entry.rank)}</td>
+                            <th scope="row">${entry.isPlayer ? I18n.t('peers.you') : entry.summonerName || I18n.t('peers.anonymous')}</th>
+                            <td>${I18n.formatNumber(entry.score, 1)}</td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `);
+    }
+
+    /**
+     * Wire up the leaderboard opt-in prompt.
+     * Options: openSettings() - the dashboard's settings modal opener
+     */
+    function init(options) {
+        document.getElementById('peerLeaderboard').addEventListener('click', (e) => {
+            if (e.target.closest('[data-peer-settings]')) options.openSettings();
+        });
+    }
+
+    // Point the comparison at an account and season
+    function setContext(account, year) {
+        const changed = !context || context.account.puuid !== account.puuid || context.year !== year;
+        context = { account, year };
+
+        if (!changed) return;
+
+        stale = true;
+        if (isActive()) load();
+    }
+
+    // Called when the section is shown; loads lazily the first time
+    function activate() {
+        if (stale) load();
+    }
+
+    // Privacy settings changed; the leaderboard may now be shown or hidden
+    function refresh() {
+        stale = true;
+        if (isActive()) load();
+    }
+
+    window.PeerComparison = Object.freeze({
+        STATS,
+        init,
+        setContext,
+        activate,
+        refresh
+    });
+
+    console.log('Peer comparison module initialized');
+})();
@@ -0,0 +1,152 @@
+/**
+ * Summoner's Chronicle - User Preferences
+ * Loaded in <head> so the cached theme, font size and motion settings apply
+ * before first paint; syncs with /user/preferences so they follow the user
+ */
+
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'userPreferences';
+
+    const THEMES = ['dark', 'light'];
+    const FONT_SCALES = [90, 100, 115, 130];
+    const CADENCES = ['annual', 'quarterly', 'monthly'];
+    const FOCUS_AREAS = ['mechanics', 'teamplay', 'strategy'];
+
+    const DEFAULTS = Object.freeze({
+        theme: 'dark',
+        fontScale: 100,
+        reduceMotion: false,
+        reportCadence: 'annual',
+        focusAreas: [],
+        notifications: { email: true, inApp: true },
+        privacy: { publicProfile: false, leaderboard: false, diagnostics: false }
+    });
+
+    let current = null;
+
+    // Drop unknown values so a bad payload can't break the page
+    function normalize(prefs) {
+        const source = prefs || {};
+        const notifications = source.notifications || {};
+        const privacy = source.privacy || {};
+
+        return {
+            theme: THEMES.includes(source.theme) ? source.theme : DEFAULTS.theme,
+            fontScale: FONT_SCALES.includes(Number(source.fontScale)) ? Number(source.fontScale) : DEFAULTS.fontScale,
+            reduceMotion: Boolean(source.reduceMotion),
+            reportCadence: CADENCES.includes(source.reportCadence) ? source.reportCadence : DEFAULTS.reportCadence,
+            focusAreas: Array.isArray(source.focusAreas)
+                ? FOCUS_AREAS.filter(area => source.focusAreas.includes(area))
+                : [],
+            notifications: {
+                email: notifications.email !== undefined ? Boolean(notifications.email) : DEFAULTS.notifications.email,
+                inApp: notifications.inApp !== undefined ? Boolean(notifications.inApp) : DEFAULTS.notifications.inApp
+            },
+            privacy: {
+                publicProfile: Boolean(privacy.publicProfile),
+                leaderboard: Boolean(privacy.leaderboard),
+                diagnostics: Boolean(privacy.diagnostics)
+            }
+        };
+    }
+
+    function readCache() {
+        try {
+            return normalize(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+        } catch (error) {
+            return normalize(null);
+        }
+    }
+
+    function writeCache(prefs) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+        } catch (error) {
+            // Storage full or blocked; preferences still apply for this page
+        }
+    }
+
+    function systemPrefersReducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    /**
+     * Apply the visual preferences to the document. Used for saved preferences
+     * and for previewing unsaved choices in the settings form.
+     */
+    function apply(prefs) {
+        const root = document.documentElement;
+        const visual = normalize(prefs);
+
+        root.dataset.theme = visual.theme;
+        root.style.fontSize = visual.fontScale === 100 ? '' : `${visual.fontScale}%`;
+
+        if (visual.reduceMotion || systemPrefersReducedMotion()) {
+            root.dataset.reduceMotion = '';
+        } else {
+            delete root.dataset.reduceMotion;
+        }
+    }
+
+    function get() {
+        return JSON.parse(JSON.stringify(current));
+    }
+
+    // True when the user or their OS asked for less motion
+    function isMotionReduced() {
+        return current.reduceMotion || systemPrefersReducedMotion();
+    }
+
+    // Whether the user opted in to sending error reports and timings
+    function allowsDiagnostics() {
+        return current.privacy.diagnostics;
+    }
+
+    // Pull the account's preferences; keeps the cached copy if the server has none
+    async function sync() {
+        try {
+            const prefs = await ApiClient.get('/user/preferences', {
+                errorMessage: I18n.t('dashboard.errors.loadSettings')
+            });
+            current = normalize(prefs);
+            writeCache(current);
+            apply(current);
+        } catch (error) {
+            if (!(error instanceof ApiClient.NotFoundError)) throw error;
+        }
+        return get();
+    }
+
+    async function save(prefs) {
+        const next = normalize(prefs);
+
+        await ApiClient.put('/user/preferences', next, {
+            errorMessage: I18n.t('dashboard.errors.saveSettings')
+        });
+
+        current = next;
+        writeCache(current);
+        apply(current);
+        return get();
+    }
+
+    current = readCache();
+    apply(current);
+
+    window.Preferences = Object.freeze({
+        THEMES,
+        FONT_SCALES,
+        CADENCES,
+        FOCUS_AREAS,
+        get,
+        apply,
+        isMotionReduced,
+        allowsDiagnostics,
+        sync,
+        save
+    });
+
+    console.log('Preferences module initialized');
+})();
@@ -0,0 +1,163 @@
+/**
+ * Summoner's Chronicle - Safe Rendering
+ * Escaping html`` templates, a restricted markdown subset and icon allow-listing
+ * for report content that comes from the model or from player-controlled names
+ */
+
+(function() {
+    'use strict';
+
+    const ICON_STYLES = ['fas', 'far', 'fab'];
+    const ICON_NAME = /^fa-[a-z0-9]+(-[a-z0-9]+)*$/;
+    const ICON_MODIFIERS = ['fa-spin', 'fa-pulse', 'fa-fw'];
+    const DEFAULT_ICON = 'fas fa-circle';
+
+    const ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        '\'': '&#39;',
+        '`': '&#96;'
+    };
+
+    // Markup that has already been escaped or built from trusted templates
+    class SafeHtml {
+        constructor(value) {
+            this.value = value;
+        }
+
+        toString() {
+            return this.value;
+        }
+    }
+
+    function escape(value) {
+        if (value === null || value === undefined) return '';
+        return String(value).replace(/[&<>"'`]/g, char => ESCAPES[char]);
+    }
+
+    function interpolate(value) {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(interpolate).join('');
+        if (value === false) return '';
+        return escape(value);
+    }
+
+    /**
+     * Tagged template that escapes every interpolation.
+     * Nested html`` results and arrays of them are inserted as-is; everything else is text.
+     */
+    function html(strings, ...values) {
+        let out = strings[0];
+        values.forEach((value, i) => {
+            out += interpolate(value) + strings[i + 1];
+        });
+        return new SafeHtml(out);
+    }
+
+    // Bold and emphasis on already-escaped text
+    function formatInline(escaped) {
+        return escaped
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+            .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+            .replace(/\b_(?=\S)(.+?)_\b/g, '<em>$1</em>');
+    }
+
+    // Single-line markdown: **bold**, *emphasis*
+    function inline(text) {
+        return new SafeHtml(formatInline(escape(text)));
+    }
+
+    /**
+     * Block markdown: paragraphs separated by blank lines, "- " / "* " bullet lists
+     * and "1. " numbered lists, with inline bold and emphasis. Everything else is text.
+     */
+    function markdown(text) {
+        if (text === null || text === undefined || text === '') return new SafeHtml('');
+
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+
+        function flushParagraph() {
+            if (paragraph.length > 0) {
+                blocks.push(`<p>${paragraph.map(line => formatInline(escape(line))).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        }
+
+        function flushList() {
+            if (list) {
+                const items = list.items.map(item => `<li>${formatInline(escape(item))}</li>`).join('');
+                blocks.push(`<${list.tag}>${items}</${list.tag}>`);
+                list = null;
+            }
+        }
+
+        String(text).split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            const bullet = line.match(/^[-*]\s+(.*)$/);
+            const numbered = line.match(/^\d+[.)]\s+(.*)$/);
+
+            if (!line) {
+                flushParagraph();
+                flushList();
+            } else if (bullet || numbered) {
+                const tag = bullet ? 'ul' : 'ol';
+                flushParagraph();
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push((bullet || numbered)[1]);
+            } else {
+                flushList();
+                paragraph.push(line);
+            }
+        });
+
+        flushParagraph();
+        flushList();
+
+        return new SafeHtml(blocks.join(''));
+    }
+
+    // Keep only Font Awesome style, icon and modifier classes; anything else falls back
+    function icon(className, fallback = DEFAULT_ICON) {
+        const tokens = String(className || '').trim().split(/\s+/);
+        const style = tokens.find(token => ICON_STYLES.includes(token));
+        const name = tokens.find(token => ICON_NAME.test(token) && !ICON_MODIFIERS.includes(token));
+        const modifiers = tokens.filter(token => ICON_MODIFIERS.includes(token));
+
+        if (!style || !name) return fallback;
+        return [style, name, ...modifiers].join(' ');
+    }
+
+    // Reduce a server value to a single safe class-name token ("Legendary" -> "legendary")
+    function token(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .toLowerCase()
+            .replace(/[^a-z0-9-]/g, '');
+    }
+
+    // Replace an element's content; only SafeHtml is accepted
+    function mount(element, content) {
+        if (!(content instanceof SafeHtml)) {
+            throw new TypeError('Render.mount expects html`` or markdown output');
+        }
+        element.innerHTML = content.value;
+    }
+
+    window.Render = Object.freeze({
+        html,
+        escape,
+        inline,
+        markdown,
+        icon,
+        token,
+        mount,
+        SafeHtml
+    });
+
+    console.log('Render module initialized');
+})();
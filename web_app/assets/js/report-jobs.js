@@ -0,0 +1,204 @@
+/**
+ * Summoner's Chronicle - Report Generation Jobs
+ * Starts report generation, remembers pending jobs and polls their progress
+ * through the RiftSage pipeline stages
+ */
+
+(function() {
+    'use strict';
+
+    const PENDING_KEY = 'pendingReportJobs';
+    const POLL_INTERVAL_MS = 3000;
+    const MAX_POLL_INTERVAL_MS = 30000;
+    const MAX_WATCH_MS = 30 * 60 * 1000;
+
+    // Pipeline stages in execution order, matching the RiftSage Lambda functions
+    const STAGES = Object.freeze([
+        { id: 'data_collection', labelKey: 'dashboard.stages.dataCollection' },
+        { id: 'feature_engineering', labelKey: 'dashboard.stages.featureEngineering' },
+        { id: 'model_inference', labelKey: 'dashboard.stages.modelInference' },
+        { id: 'bedrock_generation', labelKey: 'dashboard.stages.narrativeGeneration' },
+        { id: 'report_compilation', labelKey: 'dashboard.stages.reportCompilation' }
+    ]);
+
+    // code is 'failed' when a stage failed and the job can be retried, or
+    // 'missing' / 'timeout' when the job is gone and a new one has to start
+    class JobFailedError extends Error {
+        constructor(message, job = null, code = 'failed') {
+            super(message);
+            this.name = 'JobFailedError';
+            this.job = job;
+            this.code = code;
+            this.stage = job && job.error ? job.error.stage : null;
+        }
+    }
+
+    function readPending() {
+        try {
+            return JSON.parse(localStorage.getItem(PENDING_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function writePending(pending) {
+        localStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+    }
+
+    function pendingKey(puuid, year) {
+        return `${puuid}:${year}`;
+    }
+
+    function getPending(puuid, year) {
+        return readPending()[pendingKey(puuid, year)] || null;
+    }
+
+    function setPending(puuid, year, jobId) {
+        const pending = readPending();
+        pending[pendingKey(puuid, year)] = { jobId, startedAt: new Date().toISOString() };
+        writePending(pending);
+    }
+
+    function clearPending(puuid, year) {
+        const pending = readPending();
+        delete pending[pendingKey(puuid, year)];
+        writePending(pending);
+    }
+
+    // Years with a generation job still in flight for an account
+    function pendingYears(puuid) {
+        return Object.keys(readPending())
+            .filter(key => key.startsWith(`${puuid}:`))
+            .map(key => Number(key.slice(puuid.length + 1)));
+    }
+
+    // Kick off generation and remember the job so the dashboard can pick it up.
+    // Narratives are written in the language the player has chosen.
+    async function start(puuid, year = new Date().getFullYear()) {
+        const result = await ApiClient.post('/report/generate', {
+            playerPuuid: puuid,
+            year,
+            language: I18n.getLocale()
+        }, {
+            errorMessage: I18n.t('dashboard.errors.generateReport')
+        });
+
+        if (result && result.jobId) {
+            setPending(puuid, year, result.jobId);
+        }
+        return result;
+    }
+
+    async function retry(puuid, year, jobId) {
+        let result;
+        try {
+            result = await ApiClient.post(`/report/jobs/${encodeURIComponent(jobId)}/retry`, {}, {
+                errorMessage: I18n.t('dashboard.errors.retryGeneration')
+            });
+        } catch (error) {
+            if (!(error instanceof ApiClient.NotFoundError)) throw error;
+            clearPending(puuid, year);
+            throw new JobFailedError(I18n.t('dashboard.errors.jobMissing'), null, 'missing');
+        }
+
+        setPending(puuid, year, result.jobId || jobId);
+        return result;
+    }
+
+    function getStatus(jobId) {
+        return ApiClient.get(`/report/jobs/${encodeURIComponent(jobId)}`, {
+            errorMessage: I18n.t('dashboard.errors.checkProgress')
+        });
+    }
+
+    // Overall completion as the mean of stage progress
+    function overallProgress(job) {
+        const stages = job.stages || [];
+        if (stages.length === 0) return 0;
+
+        const total = stages.reduce((sum, stage) => {
+            if (stage.status === 'completed') return sum + 100;
+            return sum + (stage.progress || 0);
+        }, 0);
+        return Math.round(total / STAGES.length);
+    }
+
+    function abortError() {
+        const error = new Error('Job watch cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    function wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(abortError());
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Poll a job until it completes.
+     * Calls onUpdate(job) on every status response; resolves with the final job,
+     * rejects with JobFailedError when a stage fails, the job disappears or it runs too long,
+     * or an AbortError when the signal fires.
+     */
+    async function watch(jobId, { onUpdate, signal } = {}) {
+        const startedAt = Date.now();
+        let interval = POLL_INTERVAL_MS;
+
+        while (true) {
+            if (signal && signal.aborted) throw abortError();
+
+            if (Date.now() - startedAt > MAX_WATCH_MS) {
+                throw new JobFailedError(I18n.t('dashboard.errors.generationTimeout'), null, 'timeout');
+            }
+
+            let job;
+            try {
+                job = await getStatus(jobId);
+                interval = POLL_INTERVAL_MS;
+            } catch (error) {
+                if (error instanceof ApiClient.UnauthorizedError) throw error;
+                if (error instanceof ApiClient.NotFoundError) {
+                    throw new JobFailedError(I18n.t('dashboard.errors.jobMissing'), null, 'missing');
+                }
+                // Transient trouble: keep the job alive and back off
+                console.error('Report job poll error:', error);
+                interval = Math.min(interval * 2, MAX_POLL_INTERVAL_MS);
+                await wait(interval, signal);
+                continue;
+            }
+
+            if (signal && signal.aborted) throw abortError();
+            if (onUpdate) onUpdate(job);
+
+            if (job.status === 'completed') return job;
+            if (job.status === 'failed') {
+                const message = (job.error && job.error.message) || I18n.t('dashboard.errors.generationFailed');
+                throw new JobFailedError(message, job);
+            }
+
+            await wait(interval, signal);
+        }
+    }
+
+    window.ReportJobs = Object.freeze({
+        STAGES,
+        start,
+        retry,
+        watch,
+        getStatus,
+        getPending,
+        pendingYears,
+        clearPending,
+        overallProgress,
+        JobFailedError
+    });
+
+    console.log('Report jobs module initialized');
+})();
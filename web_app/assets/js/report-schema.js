@@ -0,0 +1,203 @@
+/**
+ * Summoner's Chronicle - Report Schema
+ * Upgrades reports written for older schema versions and checks them against
+ * assets/schema/report.schema.json, the schema the report compiler writes to.
+ * Invalid fields and list entries are dropped so the rest of a section still renders.
+ */
+
+(function() {
+    'use strict';
+
+    // Resolved from this script so it works from every page
+    const SCHEMA_URL = new URL('../schema/report.schema.json', document.currentScript.src);
+
+    // Reports written before schemaVersion existed
+    const LEGACY_VERSION = 1;
+
+    const GOAL_CATEGORIES = ['mechanical', 'strategy', 'champion', 'mental', 'team'];
+
+    // Marks a value the schema rejects; its parent drops it
+    const INVALID = Symbol('invalid');
+
+    // Upgrade steps keyed by the version they upgrade from; each returns a new report
+    const MIGRATIONS = {
+        // Version 1 goals and steps were matched by position; give them the ids blueprint sync uses
+        1: report => {
+            const futureGoals = report.futureGoals;
+            if (!isObject(futureGoals)) return report;
+
+            const upgraded = { ...futureGoals };
+            GOAL_CATEGORIES.forEach(category => {
+                if (!Array.isArray(futureGoals[category])) return;
+
+                upgraded[category] = futureGoals[category].map((goal, index) => {
+                    if (!isObject(goal)) return goal;
+
+                    const id = goal.id || `${category}-${index}`;
+                    const actions = Array.isArray(goal.actions)
+                        ? goal.actions.map((action, i) => (isObject(action) ? { ...action, id: action.id || `${id}-${i}` } : action))
+                        : goal.actions;
+                    return { ...goal, id, actions };
+                });
+            });
+
+            return { ...report, futureGoals: upgraded };
+        }
+    };
+
+    let schema = null;
+
+    function isObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function hasType(value, type) {
+        switch (type) {
+            case 'object': return isObject(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    // Only local references ("#/$defs/game") are used
+    function resolve(rule) {
+        if (!rule || !rule.$ref) return rule;
+        return resolve(rule.$ref.slice(2).split('/').reduce((node, part) => node[part], schema));
+    }
+
+    /**
+     * Check one value against a schema rule, recording the path of everything rejected.
+     * Returns the value with invalid optional fields and list entries removed, or INVALID.
+     */
+    function check(value, rule, path, problems) {
+        const node = resolve(rule);
+
+        if (node.type && ![].concat(node.type).some(type => hasType(value, type))) {
+            problems.push(path);
+            return INVALID;
+        }
+        if (node.enum && !node.enum.includes(value)) {
+            problems.push(path);
+            return INVALID;
+        }
+
+        if (Array.isArray(value) && node.items) {
+            return value
+                .map((item, index) => check(item, node.items, `${path}[${index}]`, problems))
+                .filter(item => item !== INVALID);
+        }
+
+        if (isObject(value) && node.properties) {
+            // Fields the schema doesn't know are kept for newer clients
+            const result = { ...value };
+
+            Object.entries(node.properties).forEach(([key, child]) => {
+                if (value[key] === undefined || value[key] === null) return;
+
+                const checked = check(value[key], child, `${path}.${key}`, problems);
+                if (checked === INVALID) {
+                    delete result[key];
+                } else {
+                    result[key] = checked;
+                }
+            });
+
+            const missing = (node.required || []).filter(key => result[key] === undefined || result[key] === null);
+            if (missing.length > 0) {
+                missing.forEach(key => problems.push(`${path}.${key}`));
+                return INVALID;
+            }
+            return result;
+        }
+
+        return value;
+    }
+
+    // Apply every upgrade step from the report's version onwards
+    function migrate(report) {
+        let version = Number.isInteger(report.schemaVersion) ? report.schemaVersion : LEGACY_VERSION;
+        let migrated = report;
+
+        while (MIGRATIONS[version]) {
+            migrated = MIGRATIONS[version](migrated);
+            version += 1;
+        }
+
+        if (schema && version !== schema.version) {
+            console.warn(`Report schema version ${version} does not match ${schema.version}; checking it anyway`);
+        }
+        return { ...migrated, schemaVersion: version };
+    }
+
+    /**
+     * Check each top-level report field on its own.
+     * Returns { report, issues } where issues maps a field (e.g. 'champions') to the
+     * paths that were dropped from it. Only call once ready has resolved to true.
+     */
+    function validate(report) {
+        const cleaned = { ...report };
+        const issues = {};
+
+        Object.entries(schema.properties).forEach(([key, rule]) => {
+            if (report[key] === undefined || report[key] === null) return;
+
+            const problems = [];
+            const checked = check(report[key], rule, key, problems);
+            if (checked === INVALID) {
+                delete cleaned[key];
+            } else {
+                cleaned[key] = checked;
+            }
+            if (problems.length > 0) issues[key] = problems;
+        });
+
+        if (Object.keys(issues).length > 0) {
+            console.warn('Report data failed validation:', issues);
+        }
+        return { report: cleaned, issues };
+    }
+
+    /**
+     * Migrate and validate a report from the API.
+     * Resolves to { report, issues }; rejects only when there is no report object at all.
+     */
+    async function normalize(report) {
+        if (!isObject(report)) {
+            throw new Error(I18n.t('errors.invalidReport'));
+        }
+
+        const loaded = await ready;
+        const migrated = migrate(report);
+
+        // Without the schema the report is shown as it came
+        if (!loaded) return { report: migrated, issues: {} };
+        return validate(migrated);
+    }
+
+    // Resolves to true once the schema is loaded; never rejects
+    const ready = fetch(SCHEMA_URL)
+        .then(response => {
+            if (!response.ok) throw new Error(`Failed to load report schema (${response.status})`);
+            return response.json();
+        })
+        .then(source => {
+            schema = source;
+            return true;
+        })
+        .catch(error => {
+            console.error('Report schema error:', error);
+            return false;
+        });
+
+    window.ReportSchema = Object.freeze({
+        ready,
+        migrate,
+        validate,
+        normalize
+    });
+
+    console.log('Report schema module initialized');
+})();
@@ -0,0 +1,115 @@
+/**
+ * Summoner's Chronicle - Router
+ * Hash routes for report sections and the cards inside them, so back/forward,
+ * refreshes and shared links land on the same section and item
+ */
+
+(function() {
+    'use strict';
+
+    // How long a deep-linked item stays highlighted
+    const HIGHLIGHT_DURATION = 2500;
+
+    let sectionIds = [];
+    let defaultSection = null;
+    let listener = null;
+
+    function decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return value;
+        }
+    }
+
+    // "#/champions/ahri" -> { section: 'champions', item: 'ahri' }; unknown sections fall back to the default
+    function parse(hash) {
+        const [section, ...rest] = String(hash || '').replace(/^#\/?/, '').split('/');
+
+        if (!sectionIds.includes(section)) {
+            return { section: defaultSection, item: null };
+        }
+        const item = rest.join('/');
+        return { section, item: item ? decode(item) : null };
+    }
+
+    function href(section, item) {
+        return item ? `#/${section}/${encodeURIComponent(item)}` : `#/${section}`;
+    }
+
+    function current() {
+        return parse(window.location.hash);
+    }
+
+    function notify() {
+        if (listener) listener(current());
+    }
+
+    // Adds a history entry; the hashchange listener applies it
+    function go(section, item) {
+        const next = href(section, item);
+
+        if (window.location.hash === next) {
+            notify();
+        } else {
+            window.location.hash = next;
+        }
+    }
+
+    /**
+     * Route between the given section ids. onRoute receives { section, item } for
+     * the current URL right away and again after every navigation, including
+     * back and forward. Calling start again replaces the previous setup.
+     */
+    function start({ sections, defaultSection: fallback, onRoute }) {
+        sectionIds = sections;
+        defaultSection = fallback || sections[0];
+        listener = onRoute;
+
+        // Rewrite empty or unknown routes in place so they don't add a history entry
+        const route = current();
+        const canonical = href(route.section, route.item);
+        if (window.location.hash !== canonical) {
+            history.replaceState(history.state, '', canonical);
+        }
+
+        window.removeEventListener('hashchange', notify);
+        window.addEventListener('hashchange', notify);
+        notify();
+    }
+
+    /**
+     * Scroll to and briefly highlight the [data-route-item] element a route points at.
+     * Returns false when the item isn't on the page.
+     */
+    function reveal(route) {
+        const section = route.item && document.getElementById(route.section);
+        if (!section) return false;
+
+        const target = Array.from(section.querySelectorAll('[data-route-item]'))
+            .find(element => element.dataset.routeItem === route.item);
+        if (!target) return false;
+
+        target.scrollIntoView({ behavior: Preferences.isMotionReduced() ? 'auto' : 'smooth', block: 'center' });
+
+        // Move focus too so keyboard and screen reader users land on the item
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+
+        target.classList.add('route-highlight');
+        setTimeout(() => target.classList.remove('route-highlight'), HIGHLIGHT_DURATION);
+        return true;
+    }
+
+    window.Router = Object.freeze({
+        start,
+        go,
+        href,
+        current,
+        reveal
+    });
+
+    console.log('Router module initialized');
+})();
@@ -0,0 +1,534 @@
+/**
+ * Summoner's Chronicle - Report Sections
+ * Fills the chronicle sections (stats, charts, insights, narratives and goals)
+ * from report data; shared by the dashboard and the public share viewer
+ */
+
+(function() {
+    'use strict';
+
+    const { html } = Render;
+
+    // Report keys, the page section each one fills, and the message key for its nav label
+    const SECTIONS = [
+        { key: 'overview', id: 'overview', labelKey: 'report.overview' },
+        { key: 'performance', id: 'performance', labelKey: 'report.performance' },
+        { key: 'champions', id: 'champions', labelKey: 'report.champions' },
+        { key: 'teamImpact', id: 'team-impact', labelKey: 'report.teamImpact' },
+        { key: 'growth', id: 'growth', labelKey: 'report.growth' },
+        { key: 'achievements', id: 'achievements', labelKey: 'report.achievements' },
+        { key: 'futureGoals', id: 'future-goals', labelKey: 'report.futureGoals' }
+    ];
+
+    const GOAL_CATEGORIES = ['mechanical', 'strategy', 'champion', 'mental', 'team'];
+
+    // Options for the render in progress
+    let current = {};
+
+    // Section of the comparison report, or an empty object when not comparing
+    function comparisonSection(name) {
+        return (current.compare && current.compare[name]) || {};
+    }
+
+    /**
+     * Fill a stat card and, in comparison mode, show the other year's value and the delta.
+     * Options: digits (delta precision), unit (delta suffix), lowerIsBetter (invert colouring)
+     */
+    function setStat(id, value, previousValue, format, options = {}) {
+        const valueEl = document.getElementById(id);
+        valueEl.textContent = format(value);
+
+        const card = valueEl.closest('.stat-card');
+        let compareEl = card.querySelector('.stat-compare');
+
+        if (!current.compare) {
+            if (compareEl) compareEl.remove();
+            return;
+        }
+
+        if (!compareEl) {
+            compareEl = document.createElement('div');
+            compareEl.className = 'stat-compare';
+            valueEl.insertAdjacentElement('afterend', compareEl);
+        }
+
+        compareEl.textContent = `${current.compareYear}: ${previousValue === undefined || previousValue === null ? '-' : format(previousValue)}`;
+
+        if (typeof value === 'number' && typeof previousValue === 'number') {
+            const delta = value - previousValue;
+            const rounded = Number(delta.toFixed(options.digits || 0));
+            const improved = options.lowerIsBetter ? rounded < 0 : rounded > 0;
+
+            const deltaEl = document.createElement('span');
+            deltaEl.className = `stat-delta ${rounded === 0 ? 'flat' : improved ? 'up' : 'down'}`;
+            deltaEl.textContent = `${rounded > 0 ? '+' : ''}${I18n.formatNumber(rounded, options.digits || 0)}${options.unit || ''}`;
+            compareEl.appendChild(deltaEl);
+        }
+    }
+
+    // Champion names as they appear in deep links: "Lee Sin" -> "lee-sin"
+    function championSlug(name) {
+        return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+    }
+
+    // Anchor that puts a card's deep link in the address bar
+    function itemLink(sectionId, item, label) {
+        return html`
+            <a class="item-link" href="${Router.href(sectionId, item)}" title="${label}" aria-label="${label}">
+                <i class="fas fa-link"></i>
+            </a>
+        `;
+    }
+
+    // Render an insights list, replacing whatever the previous account showed
+    function renderInsights(listId, insights) {
+        const insightsList = document.getElementById(listId);
+
+        if (insights && insights.length > 0) {
+            Render.mount(insightsList, html`${insights.map(insight =>
+                html`<li><i class="fas fa-circle"></i> <span>${Render.inline(insight)}</span></li>`)}`);
+        } else {
+            Render.mount(insightsList, html`<li><i class="fas fa-circle"></i> <span>${I18n.t('report.noInsights')}</span></li>`);
+        }
+    }
+
+    // Narratives are model-written markdown; render the safe subset
+    function renderNarrative(id, narrative, fallback) {
+        Render.mount(document.getElementById(id), Render.markdown(narrative || fallback));
+    }
+
+    // "2026-03" -> "Mar" in the chosen language; anything else is shown as given
+    function monthLabel(month) {
+        const match = /^\d{4}-(\d{2})$/.exec(month || '');
+        if (!match) return month || '';
+        return I18n.formatDate(new Date(2000, Number(match[1]) - 1, 1), { month: 'short' });
+    }
+
+    // Sections with data that failed validation show what's left plus a notice
+    function setSectionNotice(sectionId, problems) {
+        const section = document.getElementById(sectionId);
+        let notice = section.querySelector('.section-notice');
+
+        if (!problems || problems.length === 0) {
+            if (notice) notice.remove();
+            return;
+        }
+
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'section-notice';
+            notice.setAttribute('role', 'status');
+            section.querySelector('.section-header').insertAdjacentElement('afterend', notice);
+        }
+        Render.mount(notice, html`
+            <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+            <span>${I18n.t('report.partialData')}</span>
+        `);
+    }
+
+    // Containers the populate functions fill
+    const SECTION_CONTENT = '.insights-list, .narrative-body, .chart-container, .champions-grid, .achievements-grid, .games-grid, .goals-list';
+
+    // Clear what a previous report or the page's loading placeholders left in a section
+    function resetSection(sectionId) {
+        const section = document.getElementById(sectionId);
+
+        section.querySelectorAll('.stat-card .stat-value').forEach(value => {
+            value.textContent = '-';
+        });
+        section.querySelectorAll('.stat-compare').forEach(compare => compare.remove());
+        section.querySelectorAll(SECTION_CONTENT).forEach(container => {
+            container.textContent = '';
+        });
+        section.querySelectorAll('.category-progress').forEach(progress => {
+            progress.querySelector('.progress-fill').style.width = '0%';
+            progress.querySelector('.progress-text').textContent = I18n.formatPercent(0);
+        });
+    }
+
+    // Populate overview section
+    function populateOverview(overview) {
+        const previous = comparisonSection('overview');
+
+        // Update stats
+        setStat('totalGames', overview.totalGames, previous.totalGames, v => (v ? I18n.formatNumber(v) : '-'));
+        setStat('winRate', overview.winRate, previous.winRate, v => I18n.formatPercent(v || 0), { unit: '%' });
+        setStat('avgKDA', overview.avgKDA, previous.avgKDA, v => I18n.formatNumber(v, 2), { digits: 2 });
+        setStat('mainRole', overview.mainRole, previous.mainRole, v => v || '-');
+
+        // Update insights
+        renderInsights('overviewInsights', overview.insights);
+
+        // Update narrative
+        renderNarrative('overviewNarrative', overview.narrative, I18n.t('report.narrativePlaceholder'));
+    }
+
+    // Populate performance section
+    function populatePerformance(perf) {
+        const previous = comparisonSection('performance');
+
+        // Update stats
+        setStat('avgKills', perf.avgKills, previous.avgKills, v => I18n.formatNumber(v, 1), { digits: 1 });
+        setStat('avgAssists', perf.avgAssists, previous.avgAssists, v => I18n.formatNumber(v, 1), { digits: 1 });
+        setStat('avgDeaths', perf.avgDeaths, previous.avgDeaths, v => I18n.formatNumber(v, 1), { digits: 1, lowerIsBetter: true });
+        setStat('avgCS', perf.csPerMinute, previous.csPerMinute, v => I18n.formatNumber(v, 1), { digits: 1 });
+        setStat('avgVision', perf.visionScore, previous.visionScore, v => I18n.formatNumber(v, 1), { digits: 1 });
+        setStat('avgDamage', perf.damagePerMinute, previous.damagePerMinute, v => I18n.formatNumber(v, 0));
+
+        // Playstyle radar from the play style profiler scores (0-100)
+        const playstyle = perf.playstyle || {};
+        Charts.radar(document.getElementById('playstyleChart'), {
+            title: playstyle.archetype || I18n.t('report.playstyleProfile'),
+            axes: [
+                { label: I18n.t('report.playstyle.aggression'), value: playstyle.aggressionIndex },
+                { label: I18n.t('report.playstyle.teamwork'), value: playstyle.teamworkOrientation },
+                { label: I18n.t('report.playstyle.mechanics'), value: playstyle.mechanicalSkill }
+            ]
+        });
+
+        // Update insights
+        renderInsights('performanceInsights', perf.insights);
+
+        // Update narrative
+        renderNarrative('performanceNarrative', perf.narrative, I18n.t('report.loadingYourPerformanceAnalysis'));
+    }
+
+    // Populate champions section
+    function populateChampions(championData) {
+        const championsGrid = document.getElementById('championsGrid');
+        const champions = championData.topChampions || [];
+        const showStats = !current.hideStats;
+
+        if (champions.length === 0) {
+            Render.mount(championsGrid, html`<p style="text-align: center; color: var(--text-muted);">${I18n.t('report.noChampionData')}</p>`);
+        } else {
+            Render.mount(championsGrid, html`${champions.map((champ, index) => html`
+                <div class="champion-card ${index === 0 ? 'featured' : ''}" data-route-item="${championSlug(champ.name)}">
+                    <div class="champion-header">
+                        <div class="champion-icon">
+                            <i class="fas fa-chess-knight"></i>
+                        </div>
+                        <div class="champion-basic-info">
+                            <h3>${champ.name}</h3>
+                            <div class="champion-role">${champ.role}</div>
+                        </div>
+                        ${itemLink('champions', championSlug(champ.name), I18n.t('report.links.champion', { name: champ.name }))}
+                    </div>
+
+                    ${showStats ? html`
+                        <div class="champion-stats">
+                            <div class="champion-stat">
+                                <div class="stat-label">${I18n.t('report.champion.games')}</div>
+                                <div class="stat-value">${I18n.formatNumber(champ.gamesPlayed)}</div>
+                            </div>
+                            <div class="champion-stat">
+                                <div class="stat-label">${I18n.t('report.winRate')}</div>
+                                <div class="stat-value">${I18n.formatPercent(champ.winRate)}</div>
+                            </div>
+                            <div class="champion-stat">
+                                <div class="stat-label">KDA</div>
+                                <div class="stat-value">${I18n.formatNumber(champ.kda, 2)}</div>
+                            </div>
+                        </div>
+
+                        <div class="champion-performance">
+                            <div class="performance-metric">
+                                <div class="label">${I18n.t('report.champion.csPerMin')}</div>
+                                <div class="value">${I18n.formatNumber(champ.csPerMin, 1)}</div>
+                            </div>
+                            <div class="performance-metric">
+                                <div class="label">${I18n.t('report.champion.damagePerMin')}</div>
+                                <div class="value">${I18n.formatNumber(champ.damagePerMin, 0)}</div>
+                            </div>
+                            <div class="performance-metric">
+                                <div class="label">${I18n.t('report.champion.vision')}</div>
+                                <div class="value">${I18n.formatNumber(champ.visionScore, 1)}</div>
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    <div class="champion-description">
+                        <p>${Render.inline(champ.description || I18n.t('report.champion.signature'))}</p>
+                    </div>
+
+                    ${current.championDetails ? html`
+                        <button type="button" class="btn btn-secondary champion-detail-btn" data-champion-detail="${champ.name}">
+                            <i class="fas fa-search-plus"></i>
+                            <span>${I18n.t('report.champion.viewDetails')}</span>
+                        </button>
+                    ` : ''}
+                </div>
+            `)}`);
+        }
+
+        if (showStats) {
+            Charts.bars(document.getElementById('championWinRateChart'), {
+                title: I18n.t('report.chart.winRate'),
+                valueLabel: I18n.t('report.chart.winRate'),
+                format: v => I18n.formatPercent(v, 0),
+                items: champions.map(champ => ({
+                    label: champ.name,
+                    value: champ.winRate,
+                    detail: I18n.t('report.gamesCount', { count: champ.gamesPlayed })
+                }))
+            });
+        }
+
+        // Update insights
+        renderInsights('championsInsights', championData.insights);
+
+        // Update narrative
+        renderNarrative('championsNarrative', championData.narrative, I18n.t('report.loadingYourChampionAnalysis'));
+    }
+
+    // Populate team impact section
+    function populateTeamImpact(team) {
+        const previous = comparisonSection('teamImpact');
+
+        // Update stats
+        setStat('killParticipation', team.killParticipation, previous.killParticipation, v => I18n.formatPercent(v || 0), { unit: '%' });
+        setStat('objectiveControl', team.objectiveControl, previous.objectiveControl, v => I18n.formatPercent(v || 0), { unit: '%' });
+        setStat('teamfightPresence', team.teamfightPresence, previous.teamfightPresence, v => I18n.formatPercent(v || 0), { unit: '%' });
+        setStat('supportRating', team.supportRating, previous.supportRating, v => I18n.formatNumber(v, 1), { digits: 1 });
+
+        // Update insights
+        renderInsights('teamInsights', team.insights);
+
+        // Update narrative
+        renderNarrative('teamNarrative', team.narrative, I18n.t('report.loadingYourTeamImpact'));
+    }
+
+    // Populate growth section
+    function populateGrowth(growth) {
+        // Update stats
+        document.getElementById('kdaImprovement').textContent = `+${I18n.formatPercent(growth.kdaImprovement || 0)}`;
+        document.getElementById('rankProgress').textContent = growth.rankProgress || '-';
+        document.getElementById('championPoolGrowth').textContent = `+${I18n.formatNumber(growth.newChampions || 0)}`;
+        document.getElementById('consistencyScore').textContent = I18n.formatPercent(growth.consistency || 0);
+
+        // Month-by-month trends
+        if (!current.hideStats) {
+            const months = (growth.monthly || []).map(entry => ({ ...entry, label: monthLabel(entry.month) }));
+            Charts.line(document.getElementById('growthKdaChart'), {
+                title: 'KDA',
+                points: months.map(entry => ({ label: entry.label, value: entry.kda })),
+                format: v => I18n.formatNumber(v, 2)
+            });
+            Charts.line(document.getElementById('growthCsChart'), {
+                title: I18n.t('report.chart.csPerMinute'),
+                points: months.map(entry => ({ label: entry.label, value: entry.csPerMinute })),
+                format: v => I18n.formatNumber(v, 1)
+            });
+            Charts.line(document.getElementById('growthWinRateChart'), {
+                title: I18n.t('report.chart.winRate'),
+                points: months.map(entry => ({ label: entry.label, value: entry.winRate })),
+                format: v => I18n.formatPercent(v, 0)
+            });
+        }
+
+        // Update insights
+        renderInsights('growthInsights', growth.insights);
+
+        // Update narrative
+        renderNarrative('growthNarrative', growth.narrative, I18n.t('report.loadingYourGrowthAnalysis'));
+    }
+
+    // Populate achievements section
+    function populateAchievements(achievementData) {
+        const achievementsGrid = document.getElementById('achievementsGrid');
+        const achievements = achievementData.list || [];
+
+        if (achievements.length === 0) {
+            Render.mount(achievementsGrid, html`<p style="text-align: center; color: var(--text-muted);">${I18n.t('report.noAchievements')}</p>`);
+        } else {
+            Render.mount(achievementsGrid, html`${achievements.map(achievement => html`
+                <div class="achievement-card ${Render.token(achievement.rarity)}">
+                    <div class="achievement-icon">
+                        <i class="${Render.icon(achievement.icon, 'fas fa-trophy')}"></i>
+                    </div>
+                    <div class="achievement-content">
+                        <h3>${achievement.name}</h3>
+                        <p class="achievement-desc">${Render.inline(achievement.description)}</p>
+                        <div class="achievement-date">${I18n.formatDate(achievement.date)}</div>
+                    </div>
+                </div>
+            `)}`);
+        }
+
+        // Outstanding games
+        const outstandingGames = document.getElementById('outstandingGames');
+        const topGames = achievementData.topGames || [];
+
+        if (topGames.length === 0) {
+            Render.mount(outstandingGames, html`<p style="text-align: center; color: var(--text-muted);">${I18n.t('report.noStandoutGames')}</p>`);
+        } else {
+            Render.mount(outstandingGames, html`${topGames.slice(0, 5).map(game => game.matchId ? html`
+                <div class="outstanding-game" data-route-item="${game.matchId}">
+                    ${MatchHistory.renderMatchItem(game)}
+                    ${itemLink('achievements', game.matchId, I18n.t('report.links.game'))}
+                </div>
+            ` : MatchHistory.renderMatchItem(game))}`);
+        }
+
+        // Update narrative
+        renderNarrative('achievementsNarrative', achievementData.narrative, I18n.t('report.loadingYourAchievements'));
+    }
+
+    // Populate future goals section
+    function populateFutureGoals(goals) {
+        const byCategory = current.goals || goals;
+        GOAL_CATEGORIES.forEach(category => {
+            renderGoalCategory(category, byCategory[category] || [], { editable: current.editableGoals });
+        });
+
+        // Update narrative
+        renderNarrative('goalsNarrative', goals.narrative, I18n.t('report.goalsNarrativePlaceholder'));
+    }
+
+    // Share of completed steps, or the server's figure for goals without steps
+    function goalProgress(goal) {
+        const actions = goal.actions || [];
+        if (actions.length === 0) {
+            const progress = Number(goal.progress);
+            return Number.isFinite(progress) ? Math.min(Math.max(Math.round(progress), 0), 100) : 0;
+        }
+
+        const done = actions.filter(action => action.completed).length;
+        return Math.round((done / actions.length) * 100);
+    }
+
+    function categoryProgress(goals) {
+        if (!goals || goals.length === 0) return 0;
+
+        const total = goals.reduce((sum, goal) => sum + goalProgress(goal), 0);
+        return Math.round(total / goals.length);
+    }
+
+    /**
+     * Render one goal category. Editable categories get checkboxes and the
+     * add/remove step controls the dashboard wires up; otherwise steps are read-only.
+     */
+    function renderGoalCategory(category, categoryGoals, { editable = false } = {}) {
+        const goalsList = document.getElementById(`${category}Goals`);
+
+        if (categoryGoals.length === 0) {
+            goalsList.textContent = '';
+        } else {
+            Render.mount(goalsList, html`${categoryGoals.map(goal => html`
+                <div class="goal-card" data-goal-id="${goal.id}" data-route-item="${goal.id}">
+                    <div class="goal-header">
+                        <h4>${goal.title}</h4>
+                        <span class="priority-badge ${Render.token(goal.priority)}">${goal.priority}</span>
+                        ${itemLink('future-goals', goal.id, I18n.t('report.links.goal', { goal: goal.title }))}
+                    </div>
+                    <p>${Render.inline(goal.description)}</p>
+                    <div class="goal-progress">
+                        <div class="progress-bar">
+                            <div class="progress-fill" style="width: ${goalProgress(goal)}%"></div>
+                        </div>
+                        <span class="goal-progress-text">${I18n.formatPercent(goalProgress(goal))}</span>
+                    </div>
+                    <div class="action-items">
+                        <h5>${I18n.t('report.goals.actionSteps')}</h5>
+                        ${(goal.actions || []).map(action => editable ? html`
+                            <div class="action-item ${action.custom ? 'custom' : ''}" data-action-id="${action.id}">
+                                <input type="checkbox" id="action-${action.id}" ${action.completed ? html`checked` : ''}>
+                                <label for="action-${action.id}">${Render.inline(action.text)}</label>
+                                ${action.custom ? html`
+                                    <button type="button" class="icon-btn action-remove" data-remove-action title="${I18n.t('report.goals.removeStep')}" aria-label="${I18n.t('report.goals.removeStep')}">
+                                        <i class="fas fa-times"></i>
+                                    </button>
+                                ` : ''}
+                            </div>
+                        ` : html`
+                            <div class="action-item read-only ${action.completed ? 'completed' : ''}">
+                                <i class="${action.completed ? 'fas fa-check-square' : 'far fa-square'}" aria-hidden="true"></i>
+                                <span>${Render.inline(action.text)}</span>
+                                <span class="visually-hidden">${I18n.t(action.completed ? 'report.goals.done' : 'report.goals.notDone')}</span>
+                            </div>
+                        `)}
+                        ${editable ? html`
+                            <form class="action-add" data-add-action>
+                                <input type="text" maxlength="200" placeholder="${I18n.t('report.goals.addOwnStep')}" aria-label="${I18n.t('report.goals.addOwnStepTo', { goal: goal.title })}">
+                                <button type="submit" class="icon-btn" title="${I18n.t('report.goals.addStep')}" aria-label="${I18n.t('report.goals.addStep')}">
+                                    <i class="fas fa-plus"></i>
+                                </button>
+                            </form>
+                        ` : ''}
+                    </div>
+                </div>
+            `)}`);
+        }
+
+        updateCategoryProgress(category, categoryGoals);
+    }
+
+    function updateCategoryProgress(category, categoryGoals) {
+        const progress = categoryProgress(categoryGoals);
+        const bar = document.getElementById(`${category}Progress`);
+
+        bar.style.width = `${progress}%`;
+        bar.closest('.category-progress').querySelector('.progress-text').textContent = I18n.formatPercent(progress);
+    }
+
+    const POPULATE = {
+        overview: populateOverview,
+        performance: populatePerformance,
+        champions: populateChampions,
+        teamImpact: populateTeamImpact,
+        growth: populateGrowth,
+        achievements: populateAchievements,
+        futureGoals: populateFutureGoals
+    };
+
+    /**
+     * Fill every section the report has data for.
+     * Options: sections (report keys to fill, default all), compare and compareYear
+     * (another season's report for stat deltas), hideStats (skip per-champion numbers and
+     * charts), goals (goals by category to show instead of the report's), editableGoals,
+     * championDetails (add a button that opens the champion drill-down to each card),
+     * issues (paths ReportSchema dropped, by report key; those sections get a notice)
+     */
+    function render(report, options = {}) {
+        current = options;
+        const keys = options.sections || SECTIONS.map(section => section.key);
+        const issues = options.issues || {};
+
+        SECTIONS.forEach(section => {
+            if (!keys.includes(section.key)) return;
+
+            const problems = (issues[section.key] || []).slice();
+
+            // One section failing to render must not stop the others
+            if (report && report[section.key]) {
+                const start = performance.now();
+                try {
+                    POPULATE[section.key](report[section.key]);
+                    Telemetry.timing('sectionRender', performance.now() - start, { section: section.key });
+                } catch (error) {
+                    console.error(`Failed to render ${section.key}:`, error);
+                    Telemetry.error(error, { action: 'renderSection', section: section.key });
+                    problems.push(section.key);
+                    resetSection(section.id);
+                }
+            } else {
+                // Don't leave the previous season's or account's data on show
+                resetSection(section.id);
+            }
+
+            setSectionNotice(section.id, problems);
+        });
+    }
+
+    window.ReportSections = Object.freeze({
+        SECTIONS,
+        render,
+        renderGoalCategory,
+        updateCategoryProgress,
+        goalProgress,
+        categoryProgress,
+        monthLabel
+    });
+
+    console.log('Report sections module initialized');
+})();
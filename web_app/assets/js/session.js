@@ -0,0 +1,299 @@
+/**
+ * Summoner's Chronicle - Session Management
+ * Tracks JWT expiry, refreshes tokens before they lapse, keeps tabs in sync
+ * and revokes tokens on logout
+ */
+
+(function() {
+    'use strict';
+
+    const TOKEN_KEY = 'authToken';
+    const REFRESH_TOKEN_KEY = 'refreshToken';
+    const EXPIRES_AT_KEY = 'tokenExpiresAt';
+    const USER_ID_KEY = 'userId';
+    const REFRESH_LOCK_KEY = 'sessionRefreshLock';
+    const SESSION_KEYS = [TOKEN_KEY, REFRESH_TOKEN_KEY, EXPIRES_AT_KEY, USER_ID_KEY];
+
+    const REFRESH_LEAD_MS = 5 * 60 * 1000;
+    const WARNING_LEAD_MS = 2 * 60 * 1000;
+    const REFRESH_LOCK_TTL_MS = 30 * 1000;
+    const MAX_TIMER_MS = 2147483647;
+    const AUTH_PAGE = 'auth.html';
+
+    let refreshTimer = null;
+    let warningTimer = null;
+    let expiryTimer = null;
+    let refreshPromise = null;
+    let callbacks = {};
+    let ending = false;
+
+    // Decode the payload of a JWT without verifying it; the server remains the authority
+    function decodeToken(token) {
+        if (!token) return null;
+
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+
+        try {
+            const base64 = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+            const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+            const json = decodeURIComponent(atob(padded).split('')
+                .map(c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0'))
+                .join(''));
+            return JSON.parse(json);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function getToken() {
+        return localStorage.getItem(TOKEN_KEY);
+    }
+
+    // Expiry in epoch ms from the JWT `exp` claim, falling back to the server-provided expiresIn
+    function getExpiry() {
+        const payload = decodeToken(getToken());
+        if (payload && typeof payload.exp === 'number') {
+            return payload.exp * 1000;
+        }
+
+        const storedExpiry = Number(localStorage.getItem(EXPIRES_AT_KEY));
+        return storedExpiry > 0 ? storedExpiry : null;
+    }
+
+    function isExpired() {
+        const expiry = getExpiry();
+        return expiry !== null && expiry <= Date.now();
+    }
+
+    function isAuthenticated() {
+        return Boolean(getToken()) && !isExpired();
+    }
+
+    // Persist the result of a sign-in or refresh call
+    function save(result) {
+        localStorage.setItem(TOKEN_KEY, result.token);
+
+        if (result.refreshToken) {
+            localStorage.setItem(REFRESH_TOKEN_KEY, result.refreshToken);
+        }
+        if (result.userId) {
+            localStorage.setItem(USER_ID_KEY, result.userId);
+        }
+        if (result.expiresIn) {
+            localStorage.setItem(EXPIRES_AT_KEY, String(Date.now() + result.expiresIn * 1000));
+        } else {
+            localStorage.removeItem(EXPIRES_AT_KEY);
+        }
+    }
+
+    function clear() {
+        SESSION_KEYS.forEach(key => localStorage.removeItem(key));
+        localStorage.removeItem(REFRESH_LOCK_KEY);
+    }
+
+    function clearTimers() {
+        clearTimeout(refreshTimer);
+        clearTimeout(warningTimer);
+        clearTimeout(expiryTimer);
+    }
+
+    function schedule(callback, delay) {
+        return setTimeout(callback, Math.min(Math.max(delay, 0), MAX_TIMER_MS));
+    }
+
+    function scheduleTimers() {
+        clearTimers();
+
+        const expiry = getExpiry();
+        if (expiry === null) return;
+
+        const remaining = expiry - Date.now();
+        const canRefresh = Boolean(localStorage.getItem(REFRESH_TOKEN_KEY)) || remaining > 0;
+
+        if (canRefresh) {
+            refreshTimer = schedule(() => refresh().catch(() => {}), remaining - REFRESH_LEAD_MS);
+        }
+        warningTimer = schedule(() => {
+            if (callbacks.onExpiring) callbacks.onExpiring(getExpiry() - Date.now());
+        }, remaining - WARNING_LEAD_MS);
+        expiryTimer = schedule(() => end('expired'), remaining);
+    }
+
+    // Only one tab refreshes at a time; the others pick up the new token via the storage event
+    function acquireRefreshLock() {
+        const lock = Number(localStorage.getItem(REFRESH_LOCK_KEY));
+        if (lock && Date.now() - lock < REFRESH_LOCK_TTL_MS) {
+            return false;
+        }
+        localStorage.setItem(REFRESH_LOCK_KEY, String(Date.now()));
+        return true;
+    }
+
+    function waitForRefreshInOtherTab() {
+        const previousToken = getToken();
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                window.removeEventListener('storage', onStorage);
+                resolve(getToken() !== previousToken && isAuthenticated());
+            }, REFRESH_LOCK_TTL_MS);
+
+            function onStorage(event) {
+                if (event.key !== TOKEN_KEY) return;
+                clearTimeout(timer);
+                window.removeEventListener('storage', onStorage);
+                resolve(Boolean(event.newValue));
+            }
+
+            window.addEventListener('storage', onStorage);
+        });
+    }
+
+    /**
+     * Exchange the current token for a fresh one via /auth/refresh.
+     * Resolves true when a new token is stored, false when no refresh was possible.
+     */
+    function refresh() {
+        if (refreshPromise) return refreshPromise;
+
+        refreshPromise = (async () => {
+            if (!acquireRefreshLock()) {
+                return waitForRefreshInOtherTab();
+            }
+
+            try {
+                const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+                const token = getToken();
+                if (!token && !refreshToken) return false;
+
+                // Sent without the client's auth handling so a 401 here cannot recurse into another refresh
+                const result = await ApiClient.post('/auth/refresh', { refreshToken }, {
+                    auth: false,
+                    headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+                    errorMessage: 'Failed to refresh session'
+                });
+
+                save(result);
+                scheduleTimers();
+                if (callbacks.onRefreshed) callbacks.onRefreshed();
+                return true;
+
+            } catch (error) {
+                if (error instanceof ApiClient.UnauthorizedError) {
+                    end('expired');
+                }
+                throw error;
+
+            } finally {
+                localStorage.removeItem(REFRESH_LOCK_KEY);
+            }
+        })().finally(() => {
+            refreshPromise = null;
+        });
+
+        return refreshPromise;
+    }
+
+    // Drop the local session and return to sign-in (or another page)
+    function end(reason, redirectTo) {
+        if (ending) return;
+        ending = true;
+
+        clearTimers();
+        clear();
+
+        if (callbacks.onEnded) callbacks.onEnded(reason);
+
+        if (redirectTo) {
+            window.location.href = redirectTo;
+        } else if (!window.location.pathname.endsWith(`/${AUTH_PAGE}`)) {
+            window.location.href = reason === 'expired' ? `${AUTH_PAGE}?session=expired` : AUTH_PAGE;
+        }
+    }
+
+    // Revoke the token server-side, then end the session everywhere
+    async function logout(redirectTo) {
+        const token = getToken();
+
+        if (token) {
+            try {
+                await ApiClient.post('/auth/logout', {
+                    refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY)
+                }, {
+                    auth: false,
+                    headers: { 'Authorization': `Bearer ${token}` },
+                    timeout: 5000,
+                    errorMessage: 'Failed to revoke session'
+                });
+            } catch (error) {
+                // The token still expires on its own; never trap the user in a signed-in state
+                console.error('Logout revoke error:', error);
+            }
+        }
+
+        end('logout', redirectTo);
+    }
+
+    // Another tab signed out, signed in as someone else, or refreshed the token
+    function handleStorage(event) {
+        if (event.key === null) {
+            end('logout');
+            return;
+        }
+        if (event.key !== TOKEN_KEY) return;
+
+        if (!event.newValue) {
+            end('logout');
+        } else {
+            scheduleTimers();
+            if (callbacks.onRefreshed) callbacks.onRefreshed();
+        }
+    }
+
+    /**
+     * Start lifecycle tracking on an authenticated page.
+     *
+     * Callbacks:
+     *   onExpiring(msLeft) - the session will lapse soon and could not be refreshed
+     *   onRefreshed()      - a new token is in place (this tab or another)
+     *   onEnded(reason)    - the session ended ('expired' or 'logout')
+     *
+     * Resolves false when there is no usable session.
+     */
+    async function start(options = {}) {
+        callbacks = options;
+
+        if (!getToken()) return false;
+
+        if (isExpired()) {
+            if (!localStorage.getItem(REFRESH_TOKEN_KEY)) return false;
+            const renewed = await refresh().catch(() => false);
+            if (!renewed) return false;
+        }
+
+        window.addEventListener('storage', handleStorage);
+        scheduleTimers();
+        return true;
+    }
+
+    ApiClient.configureSession({
+        getToken,
+        refresh: () => refresh(),
+        onUnauthorized: () => end('expired')
+    });
+
+    window.Session = Object.freeze({
+        start,
+        save,
+        refresh,
+        logout,
+        end,
+        getToken,
+        getExpiry,
+        isAuthenticated,
+        decodeToken
+    });
+
+    console.log('Session module initialized');
+})();
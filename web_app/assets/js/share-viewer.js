@@ -0,0 +1,153 @@
+/**
+ * Summoner's Chronicle - Share Viewer JavaScript
+ * Renders the sections a share link covers, read-only and without signing in
+ */
+
+(function() {
+    'use strict';
+
+    // Marks a nav pill and its section active; set up in setupNavigation
+    let selectSection = null;
+
+    // The first route is the page loading, not the user navigating
+    let routeStarted = false;
+
+    async function initViewer() {
+        await I18n.ready;
+        if (!await AppConfig.ready) return;
+
+        setupNavigation();
+
+        const token = new URLSearchParams(window.location.search).get('token');
+        if (!token) {
+            showError(I18n.t('share.errors.incomplete'));
+            return;
+        }
+
+        // Narratives come back in the chosen language, so load the chronicle again
+        window.addEventListener('localechange', () => loadShared(token));
+        await loadShared(token);
+    }
+
+    async function loadShared(token) {
+        try {
+            const shared = await ShareLinks.open(token);
+            const { report, issues } = await ReportSchema.normalize(shared.report || {});
+            renderShared({ ...shared, report }, issues);
+        } catch (error) {
+            console.error('Shared chronicle error:', error);
+            showError(describeError(error));
+        }
+    }
+
+    function describeError(error) {
+        // Expired and revoked links come back as 404 or 410
+        if (error instanceof ApiClient.NotFoundError || error.status === 410) {
+            return I18n.t('share.errors.gone');
+        }
+        if (error instanceof ApiClient.TimeoutError || error instanceof ApiClient.NetworkError) {
+            return I18n.t('errors.network');
+        }
+        return I18n.t('share.errors.load');
+    }
+
+    function showError(message) {
+        document.getElementById('viewerErrorMessage').textContent = message;
+        document.getElementById('viewerError').style.display = 'block';
+        document.querySelector('.nav-pills-container').style.display = 'none';
+        document.querySelector('.content-wrapper').style.display = 'none';
+        A11y.announce(message, { assertive: true });
+    }
+
+    function renderShared(shared, issues) {
+        const player = shared.player || {};
+        const sections = ReportSections.SECTIONS.filter(section =>
+            (shared.sections || []).includes(section.key) && shared.report && shared.report[section.key]);
+
+        if (sections.length === 0) {
+            showError(I18n.t('share.errors.noSections'));
+            return;
+        }
+
+        // Header
+        const name = player.summonerName || I18n.t('share.aSummoner');
+        document.getElementById('summonerName').textContent = name;
+        const rankBadge = document.getElementById('currentRank');
+        if (!shared.hideRank && player.rank) {
+            rankBadge.textContent = player.rank;
+            rankBadge.style.display = '';
+        }
+        document.getElementById('seasonLabel').textContent = I18n.t('report.seasonLabel', { year: shared.year });
+
+        if (shared.expiresAt) {
+            document.getElementById('shareNote').textContent =
+                I18n.t('share.note', { name, date: I18n.formatDate(shared.expiresAt) });
+        }
+
+        // The server leaves hidden data out; hide the empty cards that would show for it
+        if (shared.hideStats) {
+            document.querySelectorAll('[data-share-stats]').forEach(el => { el.style.display = 'none'; });
+        }
+        if (shared.hideRank) {
+            document.querySelectorAll('[data-share-rank]').forEach(el => { el.style.display = 'none'; });
+        }
+
+        // Only the shared sections get a nav pill
+        const visibleIds = sections.map(section => section.id);
+        document.querySelectorAll('.nav-pill').forEach(pill => {
+            pill.style.display = visibleIds.includes(pill.dataset.section) ? '' : 'none';
+        });
+
+        ReportSections.render(shared.report, {
+            sections: sections.map(section => section.key),
+            hideStats: shared.hideStats,
+            issues
+        });
+
+        updateMetadata(name, shared.year);
+        document.querySelector('.content-wrapper').style.display = '';
+
+        // Links like share.html?token=...#/champions/ahri open on that section and card
+        // Rendering again for a new language shouldn't move focus
+        routeStarted = false;
+        Router.start({ sections: visibleIds, onRoute: applyRoute });
+        routeStarted = true;
+    }
+
+    // Name the tab and any preview built by a client that runs scripts
+    function updateMetadata(name, year) {
+        document.title = I18n.t('share.documentTitle', { name, year });
+
+        document.querySelectorAll('meta[property="og:title"], meta[name="twitter:title"]').forEach(meta => {
+            meta.setAttribute('content', I18n.t('share.previewTitle', { name, year }));
+        });
+    }
+
+    function applyRoute(route) {
+        selectSection(route.section);
+
+        if (!route.item || !Router.reveal(route)) {
+            window.scrollTo({ top: 0, behavior: Preferences.isMotionReduced() ? 'auto' : 'smooth' });
+
+            if (routeStarted) {
+                A11y.focus(document.querySelector(`#${route.section} .section-title`));
+            }
+        }
+    }
+
+    function setupNavigation() {
+        document.querySelectorAll('.nav-pill').forEach(pill => {
+            pill.addEventListener('click', () => Router.go(pill.dataset.section));
+        });
+        selectSection = A11y.tabs(document.querySelector('.nav-pills'));
+    }
+
+    // Initialize on page load
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initViewer);
+    } else {
+        initViewer();
+    }
+
+    console.log('Share viewer module initialized');
+})();
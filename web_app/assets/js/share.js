@@ -0,0 +1,91 @@
+/**
+ * Summoner's Chronicle - Share Links
+ * Creates, lists and revokes scoped public links to a chronicle, and loads
+ * the shared view for the read-only viewer page
+ */
+
+(function() {
+    'use strict';
+
+    const EXPIRY_OPTIONS = [1, 7, 30, 90];
+    const VIEWER_PAGE = 'share.html';
+
+    // Public viewer address for a token; both pages live in pages/
+    function viewerUrl(token) {
+        const url = new URL(VIEWER_PAGE, window.location.href);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set('token', token);
+        return url.toString();
+    }
+
+    function withUrl(link) {
+        return { ...link, url: viewerUrl(link.token) };
+    }
+
+    /**
+     * Create a share link for one season.
+     * Options: year, sections (report keys), expiresInDays, hideRank, hideStats.
+     * The server strips hidden data from what the link returns.
+     */
+    async function create(puuid, { year, sections, expiresInDays, hideRank = false, hideStats = false }) {
+        if (!sections || sections.length === 0) {
+            throw new Error(I18n.t('dashboard.errors.noShareSections'));
+        }
+        if (!EXPIRY_OPTIONS.includes(expiresInDays)) {
+            throw new Error(I18n.t('dashboard.errors.noShareExpiry'));
+        }
+
+        const link = await ApiClient.post(`/share/${encodeURIComponent(puuid)}`, {
+            year,
+            sections,
+            expiresInDays,
+            hideRank,
+            hideStats
+        }, {
+            errorMessage: I18n.t('dashboard.errors.createShareLink')
+        });
+
+        return withUrl(link);
+    }
+
+    // Links that are still active for an account, newest first
+    async function list(puuid) {
+        const result = await ApiClient.get(`/share/${encodeURIComponent(puuid)}`, {
+            errorMessage: I18n.t('dashboard.shareLinks.loadFailed')
+        });
+
+        return ((result && result.links) || [])
+            .map(withUrl)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    function revoke(puuid, token) {
+        return ApiClient.delete(`/share/${encodeURIComponent(puuid)}/${encodeURIComponent(token)}`, {
+            errorMessage: I18n.t('dashboard.errors.revokeShareLink')
+        });
+    }
+
+    /**
+     * Load a shared chronicle without signing in, with narratives in the viewer's
+     * language. Resolves to { player, year, sections, hideRank, hideStats, expiresAt, report }.
+     */
+    function open(token) {
+        return ApiClient.get(`/shared/${encodeURIComponent(token)}`, {
+            query: { lang: I18n.getLocale() },
+            auth: false,
+            errorMessage: I18n.t('share.errors.load')
+        });
+    }
+
+    window.ShareLinks = Object.freeze({
+        EXPIRY_OPTIONS,
+        viewerUrl,
+        create,
+        list,
+        revoke,
+        open
+    });
+
+    console.log('Share links module initialized');
+})();
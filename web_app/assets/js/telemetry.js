@@ -0,0 +1,194 @@
+/**
+ * Summoner's Chronicle - Telemetry
+ * Opt-in diagnostics: batches events, timings, uncaught errors and failed API
+ * calls and sends them to the collector with sendBeacon. Nothing is recorded
+ * unless the player turned on "Share diagnostics" in their privacy settings.
+ */
+
+(function() {
+    'use strict';
+
+    const COLLECTOR_PATH = '/telemetry';
+    const BATCH_SIZE = 20;
+    const MAX_QUEUE = 100;
+
+    // An error loop on one page shouldn't flood the collector
+    const MAX_ERRORS_PER_PAGE = 25;
+
+    const MAX_MESSAGE_LENGTH = 300;
+    const MAX_STACK_LINES = 6;
+    const SESSION_KEY = 'telemetrySession';
+
+    // Emails and anything token-like (JWTs, magic link and share tokens, PUUIDs)
+    const EMAIL_PATTERN = /[^\s@/]+@[^\s@/]+\.[a-z]{2,}/gi;
+    const TOKEN_PATTERN = /[A-Za-z0-9_\-.]{24,}/g;
+
+    let queue = [];
+    let errorCount = 0;
+
+    function isEnabled() {
+        return Preferences.allowsDiagnostics() && AppConfig.isEnabled('telemetry');
+    }
+
+    // Random per tab, so events can be grouped without identifying the player
+    function sessionId() {
+        let id = sessionStorage.getItem(SESSION_KEY);
+        if (!id) {
+            id = Math.random().toString(36).slice(2, 12);
+            sessionStorage.setItem(SESSION_KEY, id);
+        }
+        return id;
+    }
+
+    function scrub(text, maxLength = MAX_MESSAGE_LENGTH) {
+        return String(text || '')
+            .replace(EMAIL_PATTERN, '[email]')
+            .replace(TOKEN_PATTERN, '[id]')
+            .slice(0, maxLength);
+    }
+
+    // "/report/<puuid>/download" -> "/report/:id/download"; champion names and literals stay
+    function routeOf(path) {
+        return String(path || '').split('?')[0].split('/')
+            .map(part => (/\d/.test(part) || part.length >= 24 ? ':id' : part))
+            .join('/');
+    }
+
+    function page() {
+        return window.location.pathname.split('/').pop() || 'index.html';
+    }
+
+    function section() {
+        const active = document.querySelector('.content-section.active');
+        return active ? active.id : null;
+    }
+
+    function record(type, name, data = {}) {
+        if (!isEnabled()) return;
+
+        queue.push({
+            type,
+            name,
+            page: page(),
+            section: section(),
+            at: new Date().toISOString(),
+            ...data
+        });
+
+        if (queue.length > MAX_QUEUE) queue.shift();
+        if (queue.length >= BATCH_SIZE) flush();
+    }
+
+    /**
+     * Record something that happened, e.g. track('magic_link_verify', { outcome: 'success' }).
+     * Data should be counts, outcomes and ids from the app, never player input.
+     */
+    function track(name, data) {
+        record('event', name, data);
+    }
+
+    /**
+     * Record a failure. Context: action (what the app was doing), route (API path),
+     * plus anything else worth grouping by.
+     */
+    function error(err, context = {}) {
+        if (errorCount >= MAX_ERRORS_PER_PAGE) return;
+        errorCount++;
+
+        const stack = err && err.stack
+            ? err.stack.split('\n').slice(0, MAX_STACK_LINES).map(line => scrub(line, 200))
+            : undefined;
+
+        record('error', (err && err.name) || 'Error', {
+            ...context,
+            route: context.route ? routeOf(context.route) : undefined,
+            status: (err && err.status) || context.status,
+            message: scrub(err && err.message ? err.message : err),
+            stack
+        });
+    }
+
+    function timing(name, durationMs, context = {}) {
+        record('timing', name, { ...context, duration: Math.round(durationMs) });
+    }
+
+    // Time an async step; the duration is recorded whether it succeeds or fails
+    async function measure(name, fn, context = {}) {
+        const start = performance.now();
+        let outcome = 'success';
+        try {
+            return await fn();
+        } catch (err) {
+            outcome = 'failure';
+            throw err;
+        } finally {
+            timing(name, performance.now() - start, { ...context, outcome });
+        }
+    }
+
+    function collectorUrl() {
+        const config = AppConfig.get();
+        return config ? `${config.apiEndpoint.replace(/\/$/, '')}${COLLECTOR_PATH}` : null;
+    }
+
+    /**
+     * Send everything queued. Uses sendBeacon so it survives the page going away;
+     * the body is sent as text/plain to avoid a CORS preflight the beacon can't make.
+     */
+    function flush() {
+        const url = collectorUrl();
+        if (queue.length === 0 || !url) return;
+
+        if (!isEnabled()) {
+            queue = [];
+            return;
+        }
+
+        const events = queue;
+        queue = [];
+
+        const config = AppConfig.get();
+        const payload = JSON.stringify({
+            session: sessionId(),
+            app: { version: config.app.version, environment: config.app.environment },
+            locale: I18n.getLocale(),
+            events
+        });
+        const blob = new Blob([payload], { type: 'text/plain;charset=UTF-8' });
+
+        if (navigator.sendBeacon && navigator.sendBeacon(url, blob)) return;
+
+        // Beacon unavailable or its queue is full
+        fetch(url, { method: 'POST', body: blob, keepalive: true, credentials: 'omit' }).catch(() => {});
+    }
+
+    window.addEventListener('error', (event) => {
+        error(event.error || event.message, { action: 'uncaught' });
+    });
+
+    window.addEventListener('unhandledrejection', (event) => {
+        error(event.reason, { action: 'unhandledrejection' });
+    });
+
+    // Every API call that failed after retries, with its route
+    window.addEventListener(ApiClient.FAILURE_EVENT, (event) => {
+        const { method, path, error: err } = event.detail;
+        record('api_failure', `${method} ${routeOf(path)}`, { status: err.status, error: err.name });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
+
+    window.Telemetry = Object.freeze({
+        isEnabled,
+        track,
+        error,
+        timing,
+        measure,
+        flush
+    });
+
+    console.log('Telemetry module initialized');
+})();
@@ -0,0 +1,288 @@
+/**
+ * Summoner's Chronicle - Access Key Vault
+ * Reads and writes versioned .sumvault files with an optional passphrase layer
+ *
+ * File layout (JSON):
+ *   format      - always "sumvault"
+ *   version     - file format version (currently 2)
+ *   issuedAt    - ISO timestamp the key was issued
+ *   expiresAt   - ISO timestamp after which the key is refused
+ *   encryption  - null, or PBKDF2/AES-GCM parameters when passphrase-protected
+ *   payload     - { token, userId } in plain files, base64 ciphertext in encrypted ones
+ *   integrity   - base64 SHA-256 over the header and payload
+ *
+ * In encrypted files the header is also bound to the ciphertext as AES-GCM
+ * additional data, so editing the expiry breaks decryption.
+ */
+
+(function() {
+    'use strict';
+
+    const FORMAT = 'sumvault';
+    const CURRENT_VERSION = 2;
+    const SUPPORTED_VERSIONS = [2];
+    const PBKDF2_ITERATIONS = 310000;
+    const MIN_PBKDF2_ITERATIONS = 100000;
+    const MAX_PBKDF2_ITERATIONS = 5000000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+    const CLOCK_SKEW_MS = 5 * 60 * 1000;
+    const DEFAULT_LIFETIME_DAYS = 30;
+
+    // message is for logs; errorMessage() gives the player's language from code and params
+    class VaultError extends Error {
+        constructor(code, message, params = {}) {
+            super(message);
+            this.name = 'VaultError';
+            this.code = code;
+            this.params = params;
+        }
+    }
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    function toBase64(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    function fromBase64(value) {
+        const binary = atob(value);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // "wrong-passphrase" -> auth.errors.vault.wrongPassphrase; other errors keep their own message
+    function errorMessage(error) {
+        if (!(error instanceof VaultError)) return error && error.message;
+
+        const key = `auth.errors.vault.${error.code.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())}`;
+        const message = I18n.t(key, error.params);
+        return message === key ? error.message : message;
+    }
+
+    function requireCrypto() {
+        if (!window.crypto || !window.crypto.subtle) {
+            throw new VaultError('unsupported-browser', 'This browser cannot open secure access keys. Please use a modern browser over HTTPS.');
+        }
+        return window.crypto.subtle;
+    }
+
+    // Header fields in a fixed order so the digest and AES-GCM additional data are stable
+    function headerString(vault) {
+        return JSON.stringify([
+            vault.format,
+            vault.version,
+            vault.issuedAt,
+            vault.expiresAt,
+            vault.encryption
+        ]);
+    }
+
+    function payloadString(payload) {
+        return typeof payload === 'string' ? payload : JSON.stringify(payload);
+    }
+
+    async function computeIntegrity(vault) {
+        const subtle = requireCrypto();
+        const data = encoder.encode(`${headerString(vault)}.${payloadString(vault.payload)}`);
+        return toBase64(await subtle.digest('SHA-256', data));
+    }
+
+    async function deriveKey(passphrase, salt, iterations, usage) {
+        const subtle = requireCrypto();
+        const baseKey = await subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+        return subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            [usage]
+        );
+    }
+
+    /**
+     * Parse a .sumvault file and check its structure without decrypting it.
+     * Returns the vault object; `encrypted` tells the caller whether a passphrase is needed.
+     */
+    function parse(text) {
+        let vault;
+        try {
+            vault = JSON.parse(text);
+        } catch (error) {
+            throw new VaultError('malformed', 'Failed to parse access key file');
+        }
+
+        if (!vault || typeof vault !== 'object') {
+            throw new VaultError('malformed', 'Invalid access key format');
+        }
+
+        // Version 1 files were bare { token, userId } objects
+        if (vault.format === undefined && vault.token && vault.userId) {
+            throw new VaultError('legacy', 'This access key uses an outdated, unprotected format. Sign in with email and export a new key from your dashboard.');
+        }
+
+        if (vault.format !== FORMAT) {
+            throw new VaultError('malformed', 'Invalid access key format');
+        }
+
+        if (!SUPPORTED_VERSIONS.includes(vault.version)) {
+            throw new VaultError('unsupported-version', `Unsupported access key version (${vault.version}). Please export a new key.`, { version: vault.version });
+        }
+
+        if (!vault.issuedAt || !vault.expiresAt || !vault.payload || !vault.integrity) {
+            throw new VaultError('malformed', 'Access key file is incomplete');
+        }
+
+        if (vault.encryption) {
+            const { iterations, salt, iv } = vault.encryption;
+            if (!Number.isInteger(iterations) || iterations < MIN_PBKDF2_ITERATIONS ||
+                iterations > MAX_PBKDF2_ITERATIONS || !salt || !iv || typeof vault.payload !== 'string') {
+                throw new VaultError('malformed', 'Access key encryption settings are invalid');
+            }
+        }
+
+        return { ...vault, encrypted: Boolean(vault.encryption) };
+    }
+
+    function checkValidity(vault, now = Date.now()) {
+        const issuedAt = Date.parse(vault.issuedAt);
+        const expiresAt = Date.parse(vault.expiresAt);
+
+        if (Number.isNaN(issuedAt) || Number.isNaN(expiresAt)) {
+            throw new VaultError('malformed', 'Access key has invalid dates');
+        }
+        if (issuedAt - CLOCK_SKEW_MS > now) {
+            throw new VaultError('not-yet-valid', 'Access key is not valid yet. Check your device clock.');
+        }
+        if (expiresAt <= now) {
+            throw new VaultError('expired', 'This access key has expired. Sign in with email and export a new one.');
+        }
+    }
+
+    /**
+     * Validate and unlock a .sumvault file.
+     * Resolves to the credentials ({ token, userId }) ready for /auth/verify.
+     */
+    async function open(text, passphrase) {
+        const vault = parse(text);
+
+        const integrity = await computeIntegrity(vault);
+        if (integrity !== vault.integrity) {
+            throw new VaultError('integrity', 'Access key file is corrupted or has been modified');
+        }
+
+        checkValidity(vault);
+
+        let credentials = vault.payload;
+
+        if (vault.encrypted) {
+            if (!passphrase) {
+                throw new VaultError('passphrase-required', 'This access key is protected. Enter its passphrase.');
+            }
+
+            const { salt, iv, iterations } = vault.encryption;
+            const key = await deriveKey(passphrase, fromBase64(salt), iterations, 'decrypt');
+
+            try {
+                const plaintext = await requireCrypto().decrypt(
+                    { name: 'AES-GCM', iv: fromBase64(iv), additionalData: encoder.encode(headerString(vault)) },
+                    key,
+                    fromBase64(vault.payload)
+                );
+                credentials = JSON.parse(decoder.decode(plaintext));
+            } catch (error) {
+                throw new VaultError('wrong-passphrase', 'Incorrect passphrase for this access key');
+            }
+        }
+
+        if (!credentials || !credentials.token || !credentials.userId) {
+            throw new VaultError('malformed', 'Invalid access key format');
+        }
+
+        return credentials;
+    }
+
+    /**
+     * Build a .sumvault file for the given credentials.
+     *
+     * Options:
+     *   passphrase - encrypt the payload when provided
+     *   issuedAt   - ISO timestamp (default now)
+     *   expiresAt  - ISO timestamp (default 30 days from now)
+     */
+    async function create(credentials, options = {}) {
+        const subtle = requireCrypto();
+        const issuedAt = options.issuedAt || new Date().toISOString();
+        const expiresAt = options.expiresAt ||
+            new Date(Date.now() + DEFAULT_LIFETIME_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+        const vault = {
+            format: FORMAT,
+            version: CURRENT_VERSION,
+            issuedAt,
+            expiresAt,
+            encryption: null,
+            payload: { token: credentials.token, userId: credentials.userId }
+        };
+
+        if (options.passphrase) {
+            const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+            const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+            vault.encryption = {
+                algorithm: 'AES-GCM',
+                kdf: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: PBKDF2_ITERATIONS,
+                salt: toBase64(salt),
+                iv: toBase64(iv)
+            };
+
+            const key = await deriveKey(options.passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+            const ciphertext = await subtle.encrypt(
+                { name: 'AES-GCM', iv, additionalData: encoder.encode(headerString(vault)) },
+                key,
+                encoder.encode(JSON.stringify(vault.payload))
+            );
+            vault.payload = toBase64(ciphertext);
+        }
+
+        vault.integrity = await computeIntegrity(vault);
+
+        return JSON.stringify(vault, null, 2);
+    }
+
+    // Trigger a browser download of a vault file
+    function download(text, filename = 'summoners-chronicle.sumvault') {
+        const blob = new Blob([text], { type: 'application/json' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    window.SumVault = Object.freeze({
+        parse,
+        open,
+        create,
+        download,
+        VaultError,
+        errorMessage,
+        CURRENT_VERSION
+    });
+
+    console.log('Vault module initialized');
+})();
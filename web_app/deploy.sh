@@ -335,26 +335,44 @@ step_configure_aws_config() {
         --region "${AWS_REGION}" 2>/dev/null || echo "")
 
     if [ -z "$RIFTSAGE_API_ENDPOINT" ]; then
-        log_warning "RiftSage API endpoint not found - using placeholder"
-        RIFTSAGE_API_ENDPOINT="https://api.placeholder.com"
+        log_warning "RiftSage API endpoint not found - the app will show a configuration error until apiEndpoint is set in config/config.json"
     fi
 
-    # Update aws-config.js
-    local config_file="${SCRIPT_DIR}/config/aws-config.js"
+    # Fill in config/config.json; features and app details in the file are kept
+    local config_file="${SCRIPT_DIR}/config/config.json"
     local temp_config=$(mktemp)
 
-    sed -e "s|REGION_PLACEHOLDER|${AWS_REGION}|g" \
-        -e "s|USER_POOL_ID_PLACEHOLDER|${USER_POOL_ID}|g" \
-        -e "s|CLIENT_ID_PLACEHOLDER|${CLIENT_ID}|g" \
-        -e "s|IDENTITY_POOL_ID_PLACEHOLDER|${IDENTITY_POOL_ID}|g" \
-        -e "s|API_ENDPOINT_PLACEHOLDER|${RIFTSAGE_API_ENDPOINT}|g" \
-        -e "s|REPORTS_BUCKET_PLACEHOLDER|riftsage-reports-${ENVIRONMENT}-${AWS_ACCOUNT_ID}|g" \
-        -e "s|CLOUDFRONT_DOMAIN_PLACEHOLDER||g" \
-        -e "s|ENVIRONMENT_PLACEHOLDER|${ENVIRONMENT}|g" \
-        "${config_file}" > "$temp_config"
+    jq --arg region "${AWS_REGION}" \
+       --arg userPoolId "${USER_POOL_ID}" \
+       --arg clientId "${CLIENT_ID}" \
+       --arg identityPoolId "${IDENTITY_POOL_ID}" \
+       --arg apiEndpoint "${RIFTSAGE_API_ENDPOINT}" \
+       --arg reportsBucket "riftsage-reports-${ENVIRONMENT}-${AWS_ACCOUNT_ID}" \
+       --arg environment "${ENVIRONMENT}" \
+       '.region = $region
+        | .cognito.userPoolId = $userPoolId
+        | .cognito.clientId = $clientId
+        | .cognito.identityPoolId = $identityPoolId
+        | (if $apiEndpoint != "" then .apiEndpoint = $apiEndpoint else . end)
+        | .reportsBucket = $reportsBucket
+        | .app.environment = $environment' \
+       "${config_file}" > "$temp_config"
 
     mv "$temp_config" "${config_file}"
 
+    # The app refuses to start with placeholders left in; flag them before upload
+    if grep -qi "placeholder" "${config_file}"; then
+        log_warning "config/config.json still contains placeholder values"
+    fi
+
+    # Link previews need absolute URLs; set SITE_URL when serving from a custom domain
+    SITE_URL="${SITE_URL:-http://${WEBAPP_BUCKET}.s3-website-${AWS_REGION}.amazonaws.com}"
+    local share_page="${SCRIPT_DIR}/pages/share.html"
+    local temp_share=$(mktemp)
+
+    sed -e "s|SITE_URL_PLACEHOLDER|${SITE_URL%/}|g" "${share_page}" > "$temp_share"
+    mv "$temp_share" "${share_page}"
+
     mark_step_completed "$step_name"
     save_state "$step_name" "completed"
     log_success "AWS configuration updated"
@@ -372,13 +390,17 @@ step_upload_webapp_files() {
     log_info "Step 5: Uploading web app files to S3..."
     save_state "$step_name" "in_progress"
 
-    # Sync files to S3
+    # Sync files to S3 (locale bundles, the report schema and the runtime config are the only JSON the app serves)
     aws s3 sync "${SCRIPT_DIR}/" "s3://${WEBAPP_BUCKET}/" \
         --exclude ".git/*" \
         --exclude "*.sh" \
         --exclude "*.md" \
         --exclude "*.json" \
+        --include "assets/locales/*.json" \
+        --include "config/config.json" \
+        --include "assets/schema/*.json" \
         --exclude "cloudformation-template.yaml" \
+        --exclude "mock_server/*" \
         --exclude ".deployment-state.json" \
         --exclude "deployed-resources.json" \
         --delete \
@@ -389,6 +411,9 @@ step_upload_webapp_files() {
         --recursive \
         --exclude "*" \
         --include "*.html" \
+        --include "assets/locales/*.json" \
+        --include "config/config.json" \
+        --include "assets/schema/*.json" \
         --metadata-directive REPLACE \
         --cache-control "max-age=300" \
         --region "${AWS_REGION}"
@@ -402,6 +427,12 @@ step_upload_webapp_files() {
         --cache-control "max-age=31536000" \
         --region "${AWS_REGION}"
 
+    # The service worker must never be served stale or clients keep old shells
+    aws s3 cp "${SCRIPT_DIR}/sw.js" "s3://${WEBAPP_BUCKET}/sw.js" \
+        --content-type "application/javascript" \
+        --cache-control "no-cache" \
+        --region "${AWS_REGION}"
+
     mark_step_completed "$step_name"
     save_state "$step_name" "completed"
     log_success "Web app files uploaded"
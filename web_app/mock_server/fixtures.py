@@ -0,0 +1,618 @@
+"""
+Summoner's Chronicle - Mock Backend Fixtures
+Deterministic match histories and the reports, benchmarks and drill-downs built
+from them. Reports carry the fields report_compilation.py writes (player_puuid,
+year, title, generated_at, sections) alongside the dashboard section data.
+"""
+
+import json
+import random
+from datetime import datetime, timedelta, timezone
+from pathlib import Path
+from typing import Dict, List, Optional
+
+# Same schema file the app validates against and the report compiler is packaged with
+SCHEMA_PATH = Path(__file__).resolve().parent.parent / 'assets' / 'schema' / 'report.schema.json'
+SCHEMA_VERSION = json.loads(SCHEMA_PATH.read_text())['version']
+
+ROLES = ['TOP', 'JUNGLE', 'MIDDLE', 'BOTTOM', 'UTILITY']
+
+ROLE_NAMES = {
+    'TOP': 'Top',
+    'JUNGLE': 'Jungle',
+    'MIDDLE': 'Mid',
+    'BOTTOM': 'Bot',
+    'UTILITY': 'Support'
+}
+
+CHAMPIONS = {
+    'TOP': ['Aatrox', 'Camille', 'Ornn', 'Gwen'],
+    'JUNGLE': ['Lee Sin', 'Viego', 'Sejuani', "Kha'Zix"],
+    'MIDDLE': ['Ahri', 'Orianna', 'Syndra', 'Sylas'],
+    'BOTTOM': ['Jinx', "Kai'Sa", 'Ezreal', 'Xayah'],
+    'UTILITY': ['Thresh', 'Nautilus', 'Lulu', 'Rakan']
+}
+
+# Queue ids and how often each shows up in a season
+QUEUES = [(420, 0.6), (440, 0.2), (400, 0.1), (450, 0.1)]
+
+GRADES = ['S+', 'S', 'A', 'B', 'C', 'D']
+
+ITEMS = [
+    (3157, "Zhonya's Hourglass"), (3089, "Rabadon's Deathcap"), (6653, "Liandry's Torment"),
+    (3031, 'Infinity Edge'), (3071, 'Black Cleaver'), (3190, 'Locket of the Iron Solari'),
+    (3020, "Sorcerer's Shoes"), (3047, 'Plated Steelcaps'), (3111, "Mercury's Treads"),
+    (6672, 'Kraken Slayer'), (3065, 'Spirit Visage'), (3107, 'Redemption')
+]
+
+TIERS = ['Iron', 'Bronze', 'Silver', 'Gold', 'Platinum', 'Emerald', 'Diamond']
+
+# Order report_compilation.py assembles the generated sections in
+SECTION_ORDER = ['role_performance', 'improvement_blueprint', 'mental_resilience', 'champion_mastery']
+
+SECTION_TITLES = {
+    'role_performance': '## Role Performance Snapshot',
+    'improvement_blueprint': '## Improvement Blueprint',
+    'mental_resilience': '## Mental Resilience & Consistency',
+    'champion_mastery': '## Champion Mastery Analysis'
+}
+
+# Sections a partially generated report still has
+PARTIAL_SECTIONS = ['overview', 'champions']
+
+
+def seeded(*parts) -> random.Random:
+    """Random generator that gives the same data for the same inputs"""
+    return random.Random(':'.join(str(part) for part in parts))
+
+
+def slug(value: str) -> str:
+    return ''.join(ch if ch.isalnum() else '-' for ch in value.lower()).strip('-')
+
+
+def puuid_for(summoner_name: str, region: str) -> str:
+    """Stable fake PUUID for a summoner"""
+    rng = seeded('puuid', summoner_name.lower(), region.lower())
+    return ''.join(rng.choice('abcdef0123456789') for _ in range(32))
+
+
+def rank_for(puuid: str) -> str:
+    rng = seeded('rank', puuid)
+    return f"{rng.choice(TIERS[2:])} {rng.choice(['I', 'II', 'III', 'IV'])}"
+
+
+def kda_of(kills: int, deaths: int, assists: int) -> float:
+    return round((kills + assists) / max(deaths, 1), 2)
+
+
+def grade_for(kda: float, win: bool) -> str:
+    score = kda + (1.5 if win else 0)
+    if score >= 7:
+        return 'S+'
+    if score >= 5:
+        return 'S'
+    if score >= 3.5:
+        return 'A'
+    if score >= 2.5:
+        return 'B'
+    if score >= 1.5:
+        return 'C'
+    return 'D'
+
+
+def format_duration(seconds: int) -> str:
+    return f"{seconds // 60}:{seconds % 60:02d}"
+
+
+def pick_queue(rng: random.Random) -> int:
+    roll = rng.random()
+    for queue_id, share in QUEUES:
+        if roll < share:
+            return queue_id
+        roll -= share
+    return QUEUES[0][0]
+
+
+def build_timeline(rng: random.Random, match: Dict) -> List[Dict]:
+    """Kills, deaths, assists and objectives spread across the game"""
+    length_ms = match['durationSeconds'] * 1000
+    events = []
+
+    for event_type, count, text in [
+        ('kill', match['kills'], f"{match['champion']} takes down {match['opponent']}"),
+        ('death', match['deaths'], f"{match['champion']} is slain"),
+        ('assist', min(match['assists'], 6), f"{match['champion']} assists a takedown")
+    ]:
+        for _ in range(count):
+            events.append({'timestamp': rng.randint(60000, length_ms), 'type': event_type, 'description': text})
+
+    for objective in rng.sample(['Dragon', 'Rift Herald', 'Baron Nashor', 'Tower', 'Inhibitor'], 3):
+        events.append({'timestamp': rng.randint(300000, length_ms), 'type': 'objective', 'description': f"Team secures {objective}"})
+
+    return sorted(events, key=lambda event: event['timestamp'])
+
+
+def build_matches(puuid: str, year: int, count: int = 140) -> List[Dict]:
+    """A season of games, newest first; the player leans on a main role and a few champions"""
+    rng = seeded('matches', puuid, year)
+    main_role = rng.choice(ROLES)
+    second_role = rng.choice([role for role in ROLES if role != main_role])
+    start = datetime(year, 1, 8, tzinfo=timezone.utc)
+    now = datetime.now(timezone.utc)
+    season_days = max(min((now - start).days, 350), 30) if year == now.year else 350
+
+    matches = []
+    for index in range(count):
+        role = main_role if rng.random() < 0.7 else second_role
+        pool = CHAMPIONS[role]
+        champion = pool[0] if rng.random() < 0.45 else rng.choice(pool)
+        opponent = rng.choice([name for name in CHAMPIONS[role] + CHAMPIONS[rng.choice(ROLES)] if name != champion])
+
+        # Later games go a little better so the growth charts have a trend
+        progress = index / count
+        win = rng.random() < 0.45 + 0.12 * progress
+        kills = max(0, int(rng.gauss(7 if win else 4, 3)))
+        deaths = max(0, int(rng.gauss(3.5 if win else 6, 2)))
+        assists = max(0, int(rng.gauss(9 if win else 6, 4)))
+        duration = rng.randint(19 * 60, 41 * 60)
+        minutes = duration / 60
+        cs_per_minute = round(max(1.0, rng.gauss(1.2 if role == 'UTILITY' else 6.5 + 1.2 * progress, 0.8)), 1)
+        kda = kda_of(kills, deaths, assists)
+        queue_id = pick_queue(rng)
+        played_at = start + timedelta(days=season_days * progress, hours=rng.randint(10, 23), minutes=rng.randint(0, 59))
+
+        match = {
+            'matchId': f"KR_{7000000000 + seeded('id', puuid, year).randint(0, 99999999) + index * 137}",
+            'champion': champion,
+            'opponent': opponent,
+            'role': role,
+            'queueId': queue_id,
+            'result': 'Victory' if win else 'Defeat',
+            'win': win,
+            'kills': kills,
+            'deaths': deaths,
+            'assists': assists,
+            'kda': kda,
+            'grade': grade_for(kda, win),
+            'duration': format_duration(duration),
+            'durationSeconds': duration,
+            'playedAt': played_at.replace(microsecond=0).isoformat().replace('+00:00', 'Z'),
+            'cs': int(cs_per_minute * minutes),
+            'csPerMinute': cs_per_minute,
+            'gold': int(rng.gauss(380, 60) * minutes),
+            'damageDealt': int(rng.gauss(650 if role != 'UTILITY' else 300, 150) * minutes),
+            'damageTaken': int(rng.gauss(700 if role in ('TOP', 'JUNGLE') else 450, 120) * minutes),
+            'visionScore': max(5, int(rng.gauss(60 if role == 'UTILITY' else 24, 8))),
+            'wardsPlaced': max(2, int(rng.gauss(30 if role == 'UTILITY' else 11, 4))),
+            'killParticipation': round(min(95.0, max(20.0, rng.gauss(62 if win else 50, 10))), 1),
+            'items': [{'id': item_id, 'name': name} for item_id, name in rng.sample(ITEMS, 6)]
+        }
+        match['timeline'] = build_timeline(seeded('timeline', match['matchId']), match)
+        matches.append(match)
+
+    return sorted(matches, key=lambda match: match['playedAt'], reverse=True)
+
+
+def match_summary(match: Dict) -> Dict:
+    """Row shape used by match lists, standout games and drill-downs"""
+    keys = ['matchId', 'champion', 'role', 'queueId', 'result', 'kills', 'deaths', 'assists',
+            'kda', 'grade', 'duration', 'playedAt']
+    return {key: match[key] for key in keys}
+
+
+def match_detail(match: Dict) -> Dict:
+    stats_keys = ['kills', 'deaths', 'assists', 'kda', 'cs', 'csPerMinute', 'gold', 'damageDealt',
+                  'damageTaken', 'visionScore', 'wardsPlaced', 'killParticipation']
+    detail = match_summary(match)
+    detail['stats'] = {key: match[key] for key in stats_keys}
+    detail['items'] = match['items']
+    detail['timeline'] = match['timeline']
+    return detail
+
+
+def average(values: List[float], digits: int = 1) -> float:
+    return round(sum(values) / len(values), digits) if values else 0.0
+
+
+def win_rate(matches: List[Dict]) -> float:
+    return round(100 * sum(1 for match in matches if match['win']) / len(matches), 1) if matches else 0.0
+
+
+def summarize(matches: List[Dict]) -> Dict:
+    """Games, win rate and KDA for a group of matches"""
+    return {
+        'games': len(matches),
+        'winRate': win_rate(matches),
+        'kda': kda_of(sum(m['kills'] for m in matches), sum(m['deaths'] for m in matches), sum(m['assists'] for m in matches))
+    }
+
+
+def group_by(matches: List[Dict], key: str) -> Dict[str, List[Dict]]:
+    groups: Dict[str, List[Dict]] = {}
+    for match in matches:
+        groups.setdefault(match[key], []).append(match)
+    return groups
+
+
+def monthly(matches: List[Dict]) -> List[Dict]:
+    by_month = group_by([{**match, 'month': match['playedAt'][:7]} for match in matches], 'month')
+    return [
+        {
+            'month': month,
+            **summarize(games),
+            'csPerMinute': average([m['csPerMinute'] for m in games])
+        }
+        for month, games in sorted(by_month.items())
+    ]
+
+
+def top_champions(matches: List[Dict], limit: int = 6) -> List[Dict]:
+    by_champion = group_by(matches, 'champion')
+    ranked = sorted(by_champion.items(), key=lambda item: len(item[1]), reverse=True)[:limit]
+
+    champions = []
+    for index, (name, games) in enumerate(ranked):
+        role = max(group_by(games, 'role').items(), key=lambda item: len(item[1]))[0]
+        stats = summarize(games)
+        champions.append({
+            'name': name,
+            'role': ROLE_NAMES[role],
+            'gamesPlayed': stats['games'],
+            'winRate': stats['winRate'],
+            'kda': stats['kda'],
+            'csPerMin': average([m['csPerMinute'] for m in games]),
+            'damagePerMin': round(sum(m['damageDealt'] for m in games) / sum(m['durationSeconds'] / 60 for m in games)),
+            'visionScore': average([m['visionScore'] for m in games]),
+            'description': (f"Your signature pick: **{stats['games']} games** at {stats['winRate']}% win rate."
+                            if index == 0 else f"A reliable option with a {stats['kda']} KDA.")
+        })
+    return champions
+
+
+def build_goals(rng: random.Random, main_champion: str, main_role: str) -> Dict:
+    def goal(goal_id, title, description, priority, actions):
+        return {
+            'id': goal_id,
+            'title': title,
+            'description': description,
+            'priority': priority,
+            'actions': [
+                {'id': f"{goal_id}-a{index + 1}", 'text': text, 'completed': rng.random() < 0.3}
+                for index, text in enumerate(actions)
+            ]
+        }
+
+    return {
+        'mechanical': [
+            goal('mech-1', 'Raise CS at 10 minutes to 80', 'Your early farm trails players at your rank.', 'High',
+                 ['Play 10 minutes of last-hit practice before ranked', 'Review two lost lanes per week'])
+        ],
+        'strategy': [
+            goal('strat-1', 'Track the enemy jungler', 'Most of your early deaths come from ganks you could have seen coming.', 'High',
+                 ['Ping the jungler\'s last seen position every back', 'Ward the river before 3:00'])
+        ],
+        'champion': [
+            goal('champ-1', f"Master {main_champion}", f"You win more on {main_champion} than anything else.", 'Medium',
+                 [f"Learn two matchups you lose on {main_champion}", 'Watch one high-elo replay'])
+        ],
+        'mental': [
+            goal('mental-1', 'Stop after two losses in a row', 'Your win rate drops sharply in the third game after a loss.', 'Medium',
+                 ['Take a 15 minute break after a loss streak'])
+        ],
+        'team': [
+            goal('team-1', f"Join more {ROLE_NAMES[main_role].lower()} side fights", 'Kill participation dips in games you lose.', 'Low',
+                 ['Shove and rotate after first tower falls'])
+        ]
+    }
+
+
+def narrative(title: str, lines: List[str]) -> str:
+    return f"**{title}.** " + ' '.join(lines)
+
+
+def compiled_sections(report: Dict, generated_at: str, only: Optional[List[str]] = None) -> List[Dict]:
+    """Markdown sections in the shape report_compilation.py assembles from the insights table"""
+    overview = report['overview']
+    champions = report['champions']['topChampions']
+    content = {
+        'role_performance': f"You played **{overview['totalGames']} games** mostly as {overview['mainRole']}, "
+                            f"winning {overview['winRate']}% with a {overview['avgKDA']} KDA.",
+        'improvement_blueprint': "1. Raise early CS\n2. Track the enemy jungler\n3. Take breaks after loss streaks",
+        'mental_resilience': "Your results hold steady through long sessions but dip after two losses in a row.",
+        'champion_mastery': f"{champions[0]['name']} is your best champion across {champions[0]['gamesPlayed']} games."
+                            if champions else "Play more games to build a champion pool."
+    }
+
+    types = [section for section in SECTION_ORDER if only is None or section in only]
+    return [
+        {
+            'type': section_type,
+            'content': content[section_type],
+            'generated_at': generated_at,
+            'section_id': f"{report['year']}_{section_type}"
+        }
+        for section_type in types
+    ]
+
+
+def build_report(puuid: str, year: int, partial: bool = False) -> Dict:
+    """Full dashboard report for a season; partial keeps only the sections that finished"""
+    matches = build_matches(puuid, year)
+    rng = seeded('report', puuid, year)
+    main_role = max(group_by(matches, 'role').items(), key=lambda item: len(item[1]))[0]
+    stats = summarize(matches)
+    champions = top_champions(matches)
+    months = monthly(matches)
+    first, last = months[0], months[-1]
+    generated_at = datetime(year, 12, 31, 18, tzinfo=timezone.utc).isoformat() if year < datetime.now().year \
+        else datetime.now(timezone.utc).replace(microsecond=0).isoformat()
+    top_games = sorted(matches, key=lambda match: (match['win'], match['kda']), reverse=True)[:5]
+
+    report = {
+        'overview': {
+            'totalGames': stats['games'],
+            'winRate': stats['winRate'],
+            'avgKDA': stats['kda'],
+            'mainRole': ROLE_NAMES[main_role],
+            'insights': [
+                f"You played **{ROLE_NAMES[main_role]}** in {round(100 * len(group_by(matches, 'role')[main_role]) / len(matches))}% of games",
+                f"Your best month was {max(months, key=lambda m: m['winRate'])['month']}"
+            ],
+            'narrative': narrative('A season of steady climbing', [
+                f"Across {stats['games']} games you won {stats['winRate']}% of the time.",
+                'Your second half of the year was noticeably stronger than the first.'
+            ])
+        },
+        'performance': {
+            'avgKills': average([m['kills'] for m in matches]),
+            'avgDeaths': average([m['deaths'] for m in matches]),
+            'avgAssists': average([m['assists'] for m in matches]),
+            'csPerMinute': average([m['csPerMinute'] for m in matches]),
+            'visionScore': average([m['visionScore'] for m in matches]),
+            'damagePerMinute': round(sum(m['damageDealt'] for m in matches) / sum(m['durationSeconds'] / 60 for m in matches)),
+            'playstyle': {
+                'archetype': rng.choice(['Calculated Aggressor', 'Team Anchor', 'Lane Bully', 'Vision Controller']),
+                'aggressionIndex': rng.randint(45, 90),
+                'teamworkOrientation': rng.randint(45, 90),
+                'mechanicalSkill': rng.randint(45, 90)
+            },
+            'insights': ['You die less than average in won games', 'Your damage output peaks mid-game'],
+            'narrative': narrative('Sharp but streaky', ['Your mechanics carry games when you get ahead early.'])
+        },
+        'champions': {
+            'topChampions': champions,
+            'insights': [f"{champions[0]['name']} accounts for {round(100 * champions[0]['gamesPlayed'] / stats['games'])}% of your games"],
+            'narrative': narrative('A focused pool', ['You stick to a handful of champions and it shows in your results.'])
+        },
+        'teamImpact': {
+            'killParticipation': average([m['killParticipation'] for m in matches]),
+            'objectiveControl': round(rng.uniform(45, 70), 1),
+            'teamfightPresence': round(rng.uniform(55, 80), 1),
+            'supportRating': round(rng.uniform(5.5, 8.5), 1),
+            'insights': ['You show up for most dragon fights'],
+            'narrative': narrative('Reliable in fights', ['Your team can count on you when objectives are contested.'])
+        },
+        'growth': {
+            'kdaImprovement': round(100 * (last['kda'] - first['kda']) / max(first['kda'], 0.1), 1),
+            'rankProgress': f"{TIERS[2]} IV → {rank_for(puuid)}",
+            'newChampions': rng.randint(2, 9),
+            'consistency': round(rng.uniform(60, 85), 1),
+            'monthly': months,
+            'insights': ['Your CS per minute rose every quarter'],
+            'narrative': narrative('Clear improvement', ['Month over month your numbers trend upward.'])
+        },
+        'achievements': {
+            'list': [
+                {'name': 'Pentakill', 'description': 'Five kills in a single teamfight', 'icon': 'fas fa-crown', 'rarity': 'legendary',
+                 'date': top_games[0]['playedAt']},
+                {'name': 'Win Streak', 'description': 'Won **7 games** in a row', 'icon': 'fas fa-fire', 'rarity': 'epic',
+                 'date': matches[len(matches) // 3]['playedAt']},
+                {'name': 'Vision Keeper', 'description': 'Vision score over 80 in a game', 'icon': 'fas fa-eye', 'rarity': 'rare',
+                 'date': matches[len(matches) // 2]['playedAt']}
+            ],
+            'topGames': [match_summary(match) for match in top_games],
+            'narrative': narrative('Highlights', ['A few games this season were truly special.'])
+        },
+        'futureGoals': {
+            **build_goals(rng, champions[0]['name'], main_role),
+            'narrative': narrative('Next season', ['Focus on early game consistency to keep climbing.'])
+        }
+    }
+
+    if partial:
+        report = {key: value for key, value in report.items() if key in PARTIAL_SECTIONS}
+
+    compiled = {
+        'schemaVersion': SCHEMA_VERSION,
+        'player_puuid': puuid,
+        'year': year,
+        'title': f'League of Legends {year} Performance Report',
+        'generated_at': generated_at,
+        'generatedAt': generated_at
+    }
+    # Compiled from the full numbers even when only some dashboard sections finished
+    summary = {
+        'year': year,
+        'overview': {'totalGames': stats['games'], 'winRate': stats['winRate'], 'avgKDA': stats['kda'], 'mainRole': ROLE_NAMES[main_role]},
+        'champions': {'topChampions': champions}
+    }
+    compiled['sections'] = compiled_sections(summary, generated_at, SECTION_ORDER[:2] if partial else None)
+
+    return {**compiled, **report}
+
+
+def build_markdown(report: Dict, environment: str = 'local') -> str:
+    """Markdown export, laid out like report_compilation.generate_markdown_report"""
+    markdown = f"""# {report['title']}
+
+**Player:** {report['player_puuid']}
+**Year:** {report['year']}
+**Generated:** {report['generated_at']}
+
+---
+
+"""
+    for section in report['sections']:
+        title = SECTION_TITLES.get(section['type'], f"## {section['type'].title()}")
+        markdown += f"{title}\n\n{section['content']}\n\n---\n\n"
+
+    markdown += f"""
+## Report Information
+
+- **Generated At:** {report['generated_at']}
+- **Environment:** {environment}
+- **Version:** 1.0
+
+---
+
+*Generated by RiftSage AI Agent*
+"""
+    return markdown
+
+
+def build_pdf(report: Dict) -> bytes:
+    """Single-page PDF with the report title and compiled sections as plain text"""
+    lines = [report['title'], f"Player: {report['player_puuid']}", '']
+    for section in report['sections']:
+        lines.append(SECTION_TITLES.get(section['type'], section['type']).lstrip('# '))
+        lines.extend(section['content'].replace('**', '').split('\n'))
+        lines.append('')
+
+    def escape(text: str) -> str:
+        ascii_text = text.encode('ascii', 'replace').decode('ascii')
+        return ascii_text.replace('\\', '\\\\').replace('(', '\\(').replace(')', '\\)')
+
+    text = 'BT /F1 11 Tf 14 TL 50 790 Td ' + ' '.join(f"({escape(line)}) '" for line in lines) + ' ET'
+    objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        f"<< /Length {len(text)} >>\nstream\n{text}\nendstream",
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ]
+
+    pdf = '%PDF-1.4\n'
+    offsets = []
+    for number, body in enumerate(objects, start=1):
+        offsets.append(len(pdf))
+        pdf += f"{number} 0 obj\n{body}\nendobj\n"
+
+    xref = len(pdf)
+    pdf += f"xref\n0 {len(objects) + 1}\n0000000000 65535 f \n"
+    pdf += ''.join(f"{offset:010d} 00000 n \n" for offset in offsets)
+    pdf += f"trailer\n<< /Size {len(objects) + 1} /Root 1 0 R >>\nstartxref\n{xref}\n%%EOF\n"
+    return pdf.encode('ascii')
+
+
+def filter_matches(matches: List[Dict], query: Dict[str, str]) -> List[Dict]:
+    """Apply the match history filters and sort the dashboard sends"""
+    champion = query.get('champion', '').strip().lower()
+    result = query.get('result', '')
+    selected = [
+        match for match in matches
+        if (not champion or champion in match['champion'].lower())
+        and (not query.get('role') or match['role'] == query['role'])
+        and (not result or match['win'] == (result == 'win'))
+        and (not query.get('queue') or str(match['queueId']) == query['queue'])
+        and (not query.get('from') or match['playedAt'][:10] >= query['from'])
+        and (not query.get('to') or match['playedAt'][:10] <= query['to'])
+    ]
+
+    sort_keys = {
+        'date': lambda match: match['playedAt'],
+        'kda': lambda match: match['kda'],
+        'duration': lambda match: match['durationSeconds'],
+        'grade': lambda match: -GRADES.index(match['grade'])
+    }
+    sort = sort_keys.get(query.get('sort', 'date'), sort_keys['date'])
+    return sorted(selected, key=sort, reverse=query.get('order', 'desc') != 'asc')
+
+
+def distribution(rng: random.Random, center: float, spread: float, buckets: int = 8) -> List[Dict]:
+    """Share of peers per value range, roughly bell shaped"""
+    width = spread * 4 / buckets
+    low = center - spread * 2
+    weights = [max(0.5, 10 * (1 - abs(index - (buckets - 1) / 2) / (buckets / 2)) + rng.uniform(-1, 1)) for index in range(buckets)]
+    total = sum(weights)
+    return [
+        {'min': round(low + index * width, 2), 'max': round(low + (index + 1) * width, 2), 'share': round(100 * weight / total, 1)}
+        for index, weight in enumerate(weights)
+    ]
+
+
+def build_benchmarks(puuid: str, year: int, region: str) -> Dict:
+    matches = build_matches(puuid, year)
+    rng = seeded('benchmarks', puuid, year)
+    main_role = max(group_by(matches, 'role').items(), key=lambda item: len(item[1]))[0]
+    values = {
+        'winRate': (win_rate(matches), 50.0, 6.0),
+        'avgKDA': (summarize(matches)['kda'], 2.6, 0.7),
+        'csPerMinute': (average([m['csPerMinute'] for m in matches]), 6.2, 1.0),
+        'visionScore': (average([m['visionScore'] for m in matches]), 25.0, 6.0),
+        'killParticipation': (average([m['killParticipation'] for m in matches]), 55.0, 8.0),
+        'damagePerMinute': (round(sum(m['damageDealt'] for m in matches) / sum(m['durationSeconds'] / 60 for m in matches)), 560.0, 120.0)
+    }
+
+    stats = {}
+    for key, (value, median, spread) in values.items():
+        percentile = max(1.0, min(99.0, 50 + 34 * (value - median) / spread))
+        stats[key] = {
+            'value': value,
+            'percentile': round(percentile, 1),
+            'median': median,
+            'distribution': distribution(rng, median, spread)
+        }
+
+    return {
+        'tier': rank_for(puuid).split(' ')[0],
+        'role': main_role,
+        'region': region,
+        'sampleSize': rng.randint(8000, 40000),
+        'stats': stats
+    }
+
+
+def build_leaderboard(puuid: str, year: int, region: str, summoner_name: str) -> Dict:
+    rng = seeded('leaderboard', puuid, year)
+    player_rank = rng.randint(4, 12)
+    entries = []
+    for rank in range(1, 16):
+        if rank == player_rank:
+            entries.append({'rank': rank, 'summonerName': summoner_name, 'score': round(90 - rank * 2.1, 1), 'isPlayer': True})
+        else:
+            # Players with private profiles appear without a name
+            name = None if rng.random() < 0.2 else f"{rng.choice(['Faker', 'Rookie', 'Caps', 'Chovy', 'Zeus', 'Keria'])}{rng.randint(1, 99)}"
+            entries.append({'rank': rank, 'summonerName': name, 'score': round(90 - rank * 2.1, 1), 'isPlayer': False})
+    return {'region': region, 'entries': entries}
+
+
+def build_champion_detail(puuid: str, year: int, champion: str) -> Optional[Dict]:
+    games = [match for match in build_matches(puuid, year) if match['champion'] == champion]
+    if not games:
+        return None
+
+    by_kda = sorted(games, key=lambda match: (match['win'], match['kda']), reverse=True)
+    return {
+        'champion': champion,
+        'matchups': [{'opponent': name, **summarize(group)} for name, group in group_by(games, 'opponent').items()],
+        'roles': [{'role': role, **summarize(group)} for role, group in group_by(games, 'role').items()],
+        'trend': monthly(games),
+        'bestGames': [match_summary(match) for match in by_kda[:3]],
+        'worstGames': [match_summary(match) for match in reversed(by_kda[-3:])] if len(games) > 3 else []
+    }
+
+
+def strip_stats(report: Dict) -> Dict:
+    """Shared view with per-champion numbers and trend data left out"""
+    shared = dict(report)
+    if 'champions' in shared:
+        shared['champions'] = {
+            **shared['champions'],
+            'topChampions': [
+                {key: value for key, value in champ.items() if key in ('name', 'role', 'description')}
+                for champ in shared['champions']['topChampions']
+            ]
+        }
+    if 'growth' in shared:
+        shared['growth'] = {key: value for key, value in shared['growth'].items() if key != 'monthly'}
+    return shared
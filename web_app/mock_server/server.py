@@ -0,0 +1,871 @@
+"""
+Summoner's Chronicle - Local Mock Backend
+Serves the web app and a stand-in for every API route it calls, so the whole
+flow (sign-in, account linking, report generation, dashboard, sharing) runs
+without AWS. Data comes from fixtures.py and lives in memory until restart.
+
+Usage:
+    python3 mock_server/server.py [--port 8000] [--scenario default]
+
+Scenarios (also switchable while running via /__mock/scenario?name=<scenario>):
+    default          Signed-in users get a linked account with two seasons of reports
+    empty            New users have no linked accounts and no reports
+    partial          Reports only have the overview and champion sections
+    expired-token    Every authenticated request, refresh included, fails with 401
+    slow-generation  Each report generation stage takes about 25 seconds
+    server-errors    Every API route outside /auth fails with 500
+"""
+
+import argparse
+import base64
+import json
+import logging
+import re
+import secrets
+import time
+from datetime import datetime, timedelta, timezone
+from http import HTTPStatus
+from http.server import SimpleHTTPRequestHandler, ThreadingHTTPServer
+from pathlib import Path
+from threading import Lock
+from typing import Dict, Optional
+from urllib.parse import parse_qsl, unquote, urlsplit
+
+import fixtures
+
+logging.basicConfig(level=logging.INFO, format='%(asctime)s %(levelname)s %(message)s')
+logger = logging.getLogger('mock_server')
+
+WEB_ROOT = Path(__file__).resolve().parent.parent
+API_PREFIX = '/api'
+
+SCENARIOS = ['default', 'empty', 'partial', 'expired-token', 'slow-generation', 'server-errors']
+
+# Pipeline stages in the order the Step Functions workflow runs them
+STAGES = ['data_collection', 'feature_engineering', 'model_inference', 'bedrock_generation', 'report_compilation']
+
+ACCESS_TOKEN_TTL = 3600
+MAGIC_LINK_TTL = 15 * 60
+MAX_CODE_ATTEMPTS = 5
+PASSKEY_CHALLENGE_TTL = 5 * 60
+ACCESS_KEY_TTL_DAYS = 90
+
+DEFAULT_ACCOUNT = {'summonerName': 'Hide on Bush', 'region': 'kr'}
+
+
+class ApiError(Exception):
+    """Ends a request with an HTTP status and a { message } body, plus { reason } when given"""
+
+    def __init__(self, status: int, message: str, reason: Optional[str] = None):
+        super().__init__(message)
+        self.status = status
+        self.message = message
+        self.reason = reason
+
+
+def now() -> datetime:
+    return datetime.now(timezone.utc)
+
+
+def iso(moment: datetime) -> str:
+    return moment.replace(microsecond=0).isoformat().replace('+00:00', 'Z')
+
+
+def make_token(user_id: str, ttl: int) -> str:
+    """Unsigned JWT; the dashboard only reads the exp claim"""
+    def encode(part: Dict) -> str:
+        return base64.urlsafe_b64encode(json.dumps(part).encode()).decode().rstrip('=')
+
+    payload = {'sub': user_id, 'exp': int(time.time()) + ttl, 'jti': secrets.token_hex(8)}
+    return f"{encode({'alg': 'none', 'typ': 'JWT'})}.{encode(payload)}.mock"
+
+
+def b64url(data: bytes) -> str:
+    return base64.urlsafe_b64encode(data).decode().rstrip('=')
+
+
+def from_b64url(value: str) -> bytes:
+    return base64.urlsafe_b64decode(value + '=' * (-len(value) % 4))
+
+
+class MockState:
+    """Everything the mock remembers; reset when the scenario changes, except sessions"""
+
+    def __init__(self, scenario: str):
+        self.lock = Lock()
+        self.scenario = scenario
+        self.sessions: Dict[str, Dict] = {}
+        self.refresh_tokens: Dict[str, str] = {}
+        self.magic_links: Dict[str, Dict] = {}
+        self.sign_in_requests: Dict[str, Dict] = {}
+        self.access_keys: Dict[str, str] = {}
+        self.passkeys: Dict[str, Dict] = {}
+        self.passkey_challenges: Dict[str, Dict] = {}
+        self.reset()
+
+    def reset(self):
+        self.users: Dict[str, Dict] = {}
+        self.jobs: Dict[str, Dict] = {}
+        self.reports: set = set()
+        self.blueprints: Dict[tuple, Dict] = {}
+        self.shares: Dict[str, Dict] = {}
+
+    def switch(self, scenario: str):
+        self.scenario = scenario
+        self.reset()
+        logger.info(f"Scenario switched to '{scenario}'")
+
+    def stage_seconds(self) -> int:
+        return 25 if self.scenario == 'slow-generation' else 2
+
+    def user(self, user_id: str, email: str) -> Dict:
+        """The user for a session, created with the scenario's starting accounts"""
+        if user_id not in self.users:
+            user = {'userId': user_id, 'email': email, 'accounts': [], 'preferences': None}
+            self.users[user_id] = user
+
+            if self.scenario != 'empty':
+                account = self.link(user, DEFAULT_ACCOUNT['summonerName'], DEFAULT_ACCOUNT['region'])
+                year = now().year
+                self.reports.update({(account['puuid'], year), (account['puuid'], year - 1)})
+
+        return self.users[user_id]
+
+    def link(self, user: Dict, summoner_name: str, region: str) -> Dict:
+        puuid = fixtures.puuid_for(summoner_name, region)
+        account = {
+            'puuid': puuid,
+            'summonerName': summoner_name,
+            'region': region,
+            'rank': fixtures.rank_for(puuid)
+        }
+        user['accounts'] = [a for a in user['accounts'] if a['puuid'] != puuid] + [account]
+        return account
+
+    def issue_session(self, user_id: str, email: str) -> Dict:
+        token = make_token(user_id, ACCESS_TOKEN_TTL)
+        refresh_token = secrets.token_urlsafe(32)
+        self.sessions[token] = {'userId': user_id, 'email': email, 'expiresAt': time.time() + ACCESS_TOKEN_TTL}
+        self.refresh_tokens[refresh_token] = token
+        user = self.user(user_id, email)
+        return {
+            'token': token,
+            'refreshToken': refresh_token,
+            'userId': user_id,
+            'expiresIn': ACCESS_TOKEN_TTL,
+            'summonerLinked': len(user['accounts']) > 0
+        }
+
+    def job_status(self, job: Dict) -> Dict:
+        """Stage progress worked out from how long the job has been running"""
+        elapsed = time.time() - job['startedAt']
+        per_stage = job['stageSeconds']
+        stages = []
+
+        for index, stage in enumerate(STAGES):
+            done = elapsed - index * per_stage
+            if done >= per_stage:
+                stages.append({'id': stage, 'status': 'completed', 'progress': 100})
+            elif done > 0:
+                stages.append({'id': stage, 'status': 'running', 'progress': int(100 * done / per_stage)})
+            else:
+                stages.append({'id': stage, 'status': 'pending', 'progress': 0})
+
+        completed = all(stage['status'] == 'completed' for stage in stages)
+        if completed:
+            self.reports.add((job['puuid'], job['year']))
+
+        return {'jobId': job['jobId'], 'status': 'completed' if completed else 'running', 'stages': stages}
+
+
+class MockHandler(SimpleHTTPRequestHandler):
+    """Static files from web_app plus the API under /api"""
+
+    state: MockState = None
+    port: int = 8000
+
+    # (method, pattern, handler name, needs a session)
+    ROUTES = [
+        ('POST', r'/auth/magic-link', 'magic_link', False),
+        ('POST', r'/auth/magic-link/resend', 'resend_magic_link', False),
+        ('POST', r'/auth/magic-link/approve', 'approve_magic_link', False),
+        ('GET', r'/auth/magic-link/requests/(?P<request_id>[^/]+)', 'sign_in_request', False),
+        ('POST', r'/auth/verify-magic-link', 'verify_magic_link', False),
+        ('POST', r'/auth/verify', 'verify_access_key', False),
+        ('POST', r'/auth/refresh', 'refresh', False),
+        ('POST', r'/auth/logout', 'logout', False),
+        ('POST', r'/auth/access-key', 'access_key', True),
+        ('POST', r'/auth/passkeys/register/options', 'passkey_register_options', True),
+        ('POST', r'/auth/passkeys/register', 'register_passkey', True),
+        ('POST', r'/auth/passkeys/authenticate/options', 'passkey_authenticate_options', False),
+        ('POST', r'/auth/passkeys/authenticate', 'authenticate_passkey', False),
+        ('GET', r'/auth/passkeys', 'list_passkeys', True),
+        ('DELETE', r'/auth/passkeys/(?P<credential_id>[^/]+)', 'remove_passkey', True),
+        ('GET', r'/user/profile', 'profile', True),
+        ('GET', r'/user/preferences', 'get_preferences', True),
+        ('PUT', r'/user/preferences', 'put_preferences', True),
+        ('POST', r'/summoner/link', 'link_summoner', True),
+        ('DELETE', r'/summoner/link/(?P<puuid>[^/]+)', 'unlink_summoner', True),
+        ('POST', r'/report/generate', 'generate_report', True),
+        ('GET', r'/report/jobs/(?P<job_id>[^/]+)', 'job_status', True),
+        ('POST', r'/report/jobs/(?P<job_id>[^/]+)/retry', 'retry_job', True),
+        ('GET', r'/report/(?P<puuid>[^/]+)/years', 'report_years', True),
+        ('GET', r'/report/(?P<puuid>[^/]+)/download', 'download_report', True),
+        ('GET', r'/report/(?P<puuid>[^/]+)', 'get_report', True),
+        ('PUT', r'/blueprint/(?P<puuid>[^/]+)', 'save_blueprint', True),
+        ('POST', r'/share/(?P<puuid>[^/]+)', 'create_share', True),
+        ('GET', r'/share/(?P<puuid>[^/]+)', 'list_shares', True),
+        ('DELETE', r'/share/(?P<puuid>[^/]+)/(?P<token>[^/]+)', 'revoke_share', True),
+        ('GET', r'/shared/(?P<token>[^/]+)', 'open_share', False),
+        ('GET', r'/matches/(?P<puuid>[^/]+)/(?P<match_id>[^/]+)', 'match_detail', True),
+        ('GET', r'/matches/(?P<puuid>[^/]+)', 'match_list', True),
+        ('GET', r'/benchmarks/(?P<puuid>[^/]+)/leaderboard', 'leaderboard', True),
+        ('GET', r'/benchmarks/(?P<puuid>[^/]+)', 'benchmarks', True),
+        ('GET', r'/champions/(?P<puuid>[^/]+)/(?P<name>[^/]+)', 'champion_detail', True),
+        ('POST', r'/telemetry', 'telemetry', False)
+    ]
+
+    def __init__(self, *args, **kwargs):
+        super().__init__(*args, directory=str(WEB_ROOT), **kwargs)
+
+    def log_message(self, format, *args):
+        logger.info(format % args)
+
+    # ----- Plumbing -----
+
+    def end_headers(self):
+        self.send_header('Access-Control-Allow-Origin', '*')
+        self.send_header('Access-Control-Allow-Headers', 'Authorization, Content-Type')
+        self.send_header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS')
+        self.send_header('Cache-Control', 'no-store')
+        super().end_headers()
+
+    def send_body(self, status: int, body: bytes, content_type: str, filename: Optional[str] = None):
+        self.send_response(status)
+        self.send_header('Content-Type', content_type)
+        self.send_header('Content-Length', str(len(body)))
+        if filename:
+            self.send_header('Content-Disposition', f'attachment; filename="{filename}"')
+        self.end_headers()
+        self.wfile.write(body)
+
+    def send_json(self, status: int, data):
+        if data is None:
+            self.send_response(HTTPStatus.NO_CONTENT)
+            self.end_headers()
+            return
+        self.send_body(status, json.dumps(data).encode(), 'application/json')
+
+    def read_json(self) -> Dict:
+        length = int(self.headers.get('Content-Length') or 0)
+        if length == 0:
+            return {}
+        try:
+            return json.loads(self.rfile.read(length))
+        except json.JSONDecodeError:
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'Request body is not valid JSON')
+
+    def do_OPTIONS(self):
+        self.send_response(HTTPStatus.NO_CONTENT)
+        self.end_headers()
+
+    def do_GET(self):
+        path = urlsplit(self.path).path
+        if path.startswith(API_PREFIX + '/'):
+            self.handle_api('GET')
+        elif path == '/config/config.json':
+            self.send_json(HTTPStatus.OK, self.local_config())
+        elif path == '/__mock/scenario':
+            self.switch_scenario()
+        else:
+            super().do_GET()
+
+    def do_POST(self):
+        self.handle_api('POST')
+
+    def do_PUT(self):
+        self.handle_api('PUT')
+
+    def do_DELETE(self):
+        self.handle_api('DELETE')
+
+    def local_config(self) -> Dict:
+        """config.json pointed at this server, with the deployed file's feature flags"""
+        try:
+            deployed = json.loads((WEB_ROOT / 'config' / 'config.json').read_text())
+        except (OSError, json.JSONDecodeError):
+            deployed = {}
+
+        return {
+            'region': 'local',
+            'cognito': {'userPoolId': 'local-pool', 'clientId': 'local-client', 'identityPoolId': 'local-identity'},
+            'apiEndpoint': f"http://localhost:{self.port}{API_PREFIX}",
+            'reportsBucket': 'local-reports',
+            'cloudFrontDomain': '',
+            'app': {**deployed.get('app', {'name': "Summoner's Chronicle", 'version': '1.0.0'}), 'environment': 'local'},
+            'features': deployed.get('features', {})
+        }
+
+    def switch_scenario(self):
+        name = dict(parse_qsl(urlsplit(self.path).query)).get('name', '')
+        if name not in SCENARIOS:
+            self.send_json(HTTPStatus.BAD_REQUEST, {'message': f"Unknown scenario '{name}'", 'scenarios': SCENARIOS})
+            return
+        with self.state.lock:
+            self.state.switch(name)
+        self.send_json(HTTPStatus.OK, {'scenario': name})
+
+    def handle_api(self, method: str):
+        url = urlsplit(self.path)
+        if not url.path.startswith(API_PREFIX + '/'):
+            self.send_json(HTTPStatus.METHOD_NOT_ALLOWED, {'message': 'Method not allowed'})
+            return
+
+        path = url.path[len(API_PREFIX):].rstrip('/')
+        query = dict(parse_qsl(url.query))
+        state = self.state
+
+        try:
+            for route_method, pattern, name, needs_session in self.ROUTES:
+                match = re.fullmatch(pattern, path)
+                if route_method != method or not match:
+                    continue
+
+                with state.lock:
+                    if state.scenario == 'server-errors' and not path.startswith('/auth/'):
+                        raise ApiError(HTTPStatus.INTERNAL_SERVER_ERROR, 'Internal server error')
+
+                    session = self.require_session() if needs_session else None
+                    params = {key: unquote(value) for key, value in match.groupdict().items()}
+                    result = getattr(self, f"api_{name}")(session=session, query=query, **params)
+
+                if isinstance(result, tuple):
+                    self.send_body(HTTPStatus.OK, *result)
+                else:
+                    self.send_json(HTTPStatus.OK, result)
+                return
+
+            raise ApiError(HTTPStatus.NOT_FOUND, f"No mock route for {method} {path}")
+
+        except ApiError as error:
+            body = {'message': error.message}
+            if error.reason:
+                body['reason'] = error.reason
+            self.send_json(error.status, body)
+        except Exception as error:
+            logger.exception(f"Mock handler failed for {method} {path}")
+            self.send_json(HTTPStatus.INTERNAL_SERVER_ERROR, {'message': str(error)})
+
+    def bearer(self) -> Optional[str]:
+        header = self.headers.get('Authorization', '')
+        return header[len('Bearer '):] if header.startswith('Bearer ') else None
+
+    def require_session(self) -> Dict:
+        if self.state.scenario == 'expired-token':
+            raise ApiError(HTTPStatus.UNAUTHORIZED, 'Token expired')
+
+        session = self.state.sessions.get(self.bearer() or '')
+        if not session:
+            raise ApiError(HTTPStatus.UNAUTHORIZED, 'Not signed in')
+        if session['expiresAt'] <= time.time():
+            raise ApiError(HTTPStatus.UNAUTHORIZED, 'Token expired')
+        return session
+
+    def current_user(self, session: Dict) -> Dict:
+        return self.state.user(session['userId'], session['email'])
+
+    def owned_account(self, session: Dict, puuid: str) -> Dict:
+        account = next((a for a in self.current_user(session)['accounts'] if a['puuid'] == puuid), None)
+        if not account:
+            raise ApiError(HTTPStatus.FORBIDDEN, 'This summoner is not linked to your account')
+        return account
+
+    def year_of(self, query: Dict) -> int:
+        try:
+            return int(query.get('year') or now().year)
+        except ValueError:
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'year must be a number')
+
+    def report_for(self, puuid: str, year: int) -> Dict:
+        if (puuid, year) not in self.state.reports:
+            raise ApiError(HTTPStatus.NOT_FOUND, f"No report for {year} yet")
+
+        report = fixtures.build_report(puuid, year, partial=self.state.scenario == 'partial')
+
+        # Saved blueprint progress replaces the generated action lists
+        saved = self.state.blueprints.get((puuid, year))
+        if saved and 'futureGoals' in report:
+            for category, goals in saved.items():
+                for saved_goal in goals:
+                    goal = next((g for g in report['futureGoals'].get(category, []) if g['id'] == saved_goal.get('id')), None)
+                    if goal:
+                        goal['actions'] = saved_goal.get('actions', [])
+        return report
+
+    # ----- Auth -----
+
+    def api_magic_link(self, session, query):
+        email = (self.read_json().get('email') or '').strip().lower()
+        if '@' not in email:
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'Enter a valid email address')
+        return self.send_magic_link(email)
+
+    def api_resend_magic_link(self, session, query):
+        """A new link for whoever an old one went to; the address is never revealed"""
+        link = self.state.magic_links.get(self.read_json().get('token') or '')
+        if not link:
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'This sign-in link is not valid', 'invalid')
+
+        link['used'] = True
+        return self.send_magic_link(link['email'])
+
+    def send_magic_link(self, email: str) -> Dict:
+        """Email a link, and give the requesting tab a request id to poll and a code to show"""
+        token = secrets.token_urlsafe(24)
+        request_id = secrets.token_urlsafe(24)
+        expires_at = time.time() + MAGIC_LINK_TTL
+
+        self.state.magic_links[token] = {'email': email, 'expiresAt': expires_at, 'used': False,
+                                         'requestId': request_id, 'codeAttempts': 0}
+        self.state.sign_in_requests[request_id] = {'code': f"{secrets.randbelow(10 ** 6):06d}", 'expiresAt': expires_at,
+                                                   'status': 'pending', 'session': None}
+
+        logger.info(f"Magic link for {email}: http://localhost:{self.port}/pages/auth.html?token={token}")
+        return {
+            'message': 'Magic link sent',
+            'requestId': request_id,
+            'code': self.state.sign_in_requests[request_id]['code'],
+            'expiresIn': MAGIC_LINK_TTL
+        }
+
+    def usable_link(self, token: str) -> Dict:
+        link = self.state.magic_links.get(token)
+        if not link:
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'This sign-in link is not valid', 'invalid')
+        if link['used']:
+            raise ApiError(HTTPStatus.GONE, 'This sign-in link has already been used', 'used')
+        if link['expiresAt'] <= time.time():
+            raise ApiError(HTTPStatus.GONE, 'This sign-in link has expired', 'expired')
+        return link
+
+    def api_verify_magic_link(self, session, query):
+        link = self.usable_link(self.read_json().get('token') or '')
+        link['used'] = True
+
+        # The tab that asked for the link stops waiting
+        request = self.state.sign_in_requests.get(link['requestId'])
+        if request:
+            request['status'] = 'used'
+
+        user_id = 'user-' + fixtures.slug(link['email'])
+        return self.state.issue_session(user_id, link['email'])
+
+    def api_approve_magic_link(self, session, query):
+        """Sign in the requesting tab instead; the code it shows proves the approver can see it"""
+        body = self.read_json()
+        link = self.usable_link(body.get('token') or '')
+        request = self.state.sign_in_requests[link['requestId']]
+
+        if str(body.get('code') or '').strip() != request['code']:
+            link['codeAttempts'] += 1
+            if link['codeAttempts'] >= MAX_CODE_ATTEMPTS:
+                link['used'] = True
+                request['status'] = 'expired'
+                raise ApiError(HTTPStatus.GONE, 'Too many wrong codes; this sign-in link no longer works', 'used')
+            raise ApiError(HTTPStatus.BAD_REQUEST, "That code doesn't match the one on your other device", 'code')
+
+        link['used'] = True
+        user_id = 'user-' + fixtures.slug(link['email'])
+        request['status'] = 'approved'
+        request['session'] = self.state.issue_session(user_id, link['email'])
+        return {'message': 'Approved'}
+
+    def api_sign_in_request(self, session, query, request_id):
+        request = self.state.sign_in_requests.get(request_id)
+        if not request:
+            raise ApiError(HTTPStatus.NOT_FOUND, 'Sign-in request not found')
+
+        if request['status'] == 'pending' and request['expiresAt'] <= time.time():
+            request['status'] = 'expired'
+
+        # The session is handed over once; later polls see it as used
+        if request['status'] == 'approved':
+            request['status'] = 'used'
+            return {'status': 'approved', **request['session']}
+        return {'status': request['status']}
+
+    def api_verify_access_key(self, session, query):
+        body = self.read_json()
+        user_id = self.state.access_keys.get(body.get('token') or '')
+        if not user_id or user_id != body.get('userId'):
+            raise ApiError(HTTPStatus.UNAUTHORIZED, 'This access key is not valid')
+
+        email = self.state.users.get(user_id, {}).get('email', f"{user_id}@localhost")
+        return self.state.issue_session(user_id, email)
+
+    def api_refresh(self, session, query):
+        if self.state.scenario == 'expired-token':
+            raise ApiError(HTTPStatus.UNAUTHORIZED, 'Token expired')
+
+        old_token = self.state.refresh_tokens.pop(self.read_json().get('refreshToken') or '', None)
+        old_session = self.state.sessions.pop(old_token, None) if old_token else None
+        if not old_session:
+            raise ApiError(HTTPStatus.UNAUTHORIZED, 'Session can no longer be refreshed')
+        return self.state.issue_session(old_session['userId'], old_session['email'])
+
+    def api_logout(self, session, query):
+        self.state.sessions.pop(self.bearer() or '', None)
+        self.state.refresh_tokens.pop(self.read_json().get('refreshToken') or '', None)
+        return None
+
+    def api_access_key(self, session, query):
+        token = secrets.token_urlsafe(32)
+        self.state.access_keys[token] = session['userId']
+        issued = now()
+        return {
+            'token': token,
+            'userId': session['userId'],
+            'issuedAt': iso(issued),
+            'expiresAt': iso(issued + timedelta(days=ACCESS_KEY_TTL_DAYS))
+        }
+
+    # ----- Passkeys -----
+
+    def passkey_challenge(self, ceremony: str, user_id: Optional[str] = None) -> str:
+        challenge = b64url(secrets.token_bytes(32))
+        self.state.passkey_challenges[challenge] = {
+            'ceremony': ceremony,
+            'userId': user_id,
+            'expiresAt': time.time() + PASSKEY_CHALLENGE_TTL
+        }
+        return challenge
+
+    def client_data(self, response: Dict, ceremony: str) -> Dict:
+        """
+        Checks clientDataJSON against a challenge this server issued and the page's
+        origin. Attestation and signatures are not checked: the mock keeps no public
+        keys, so any authenticator (or the browser's virtual one) works.
+        """
+        try:
+            client_data = json.loads(from_b64url(response.get('clientDataJSON') or ''))
+        except ValueError:
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'Malformed passkey response')
+
+        challenge = self.state.passkey_challenges.pop(client_data.get('challenge') or '', None)
+        if (not challenge or challenge['ceremony'] != ceremony or challenge['expiresAt'] <= time.time()
+                or client_data.get('type') != ceremony):
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'This passkey request has expired. Please try again.')
+
+        if urlsplit(client_data.get('origin') or '').netloc != self.headers.get('Host'):
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'Passkey created for a different site')
+
+        return {**client_data, 'userId': challenge['userId']}
+
+    def passkey_view(self, passkey: Dict) -> Dict:
+        return {key: passkey[key] for key in ('id', 'name', 'createdAt', 'lastUsedAt')}
+
+    def api_passkey_register_options(self, session, query):
+        existing = [p for p in self.state.passkeys.values() if p['userId'] == session['userId']]
+        return {
+            'challenge': self.passkey_challenge('webauthn.create', session['userId']),
+            'rp': {'name': "Summoner's Chronicle"},
+            'user': {'id': b64url(session['userId'].encode()), 'name': session['email'], 'displayName': session['email']},
+            'pubKeyCredParams': [{'type': 'public-key', 'alg': -7}, {'type': 'public-key', 'alg': -257}],
+            'timeout': PASSKEY_CHALLENGE_TTL * 1000,
+            'attestation': 'none',
+            # Discoverable, so sign-in works without typing an email first
+            'authenticatorSelection': {'residentKey': 'required', 'requireResidentKey': True, 'userVerification': 'preferred'},
+            'excludeCredentials': [{'type': 'public-key', 'id': p['id'], 'transports': p['transports']} for p in existing]
+        }
+
+    def api_register_passkey(self, session, query):
+        body = self.read_json()
+        response = body.get('response') or {}
+        client_data = self.client_data(response, 'webauthn.create')
+        if client_data['userId'] != session['userId']:
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'This passkey request has expired. Please try again.')
+
+        credential_id = body.get('id') or ''
+        if not credential_id or credential_id in self.state.passkeys:
+            raise ApiError(HTTPStatus.CONFLICT, 'This passkey is already registered')
+
+        passkey = {
+            'id': credential_id,
+            'userId': session['userId'],
+            'email': session['email'],
+            'name': (body.get('name') or '').strip()[:40] or None,
+            'transports': response.get('transports') or [],
+            'createdAt': iso(now()),
+            'lastUsedAt': None
+        }
+        self.state.passkeys[credential_id] = passkey
+        return self.passkey_view(passkey)
+
+    def api_list_passkeys(self, session, query):
+        passkeys = [p for p in self.state.passkeys.values() if p['userId'] == session['userId']]
+        return {'passkeys': [self.passkey_view(p) for p in passkeys]}
+
+    def api_remove_passkey(self, session, query, credential_id):
+        passkey = self.state.passkeys.get(credential_id)
+        if not passkey or passkey['userId'] != session['userId']:
+            raise ApiError(HTTPStatus.NOT_FOUND, 'Passkey not found')
+        del self.state.passkeys[credential_id]
+        return None
+
+    def api_passkey_authenticate_options(self, session, query):
+        # No allowCredentials: the browser offers every passkey it has for this site
+        return {
+            'challenge': self.passkey_challenge('webauthn.get'),
+            'timeout': PASSKEY_CHALLENGE_TTL * 1000,
+            'userVerification': 'preferred',
+            'allowCredentials': []
+        }
+
+    def api_authenticate_passkey(self, session, query):
+        body = self.read_json()
+        self.client_data(body.get('response') or {}, 'webauthn.get')
+
+        passkey = self.state.passkeys.get(body.get('id') or '')
+        if not passkey:
+            raise ApiError(HTTPStatus.UNAUTHORIZED, 'This passkey is no longer registered. Sign in with email and add it again.')
+
+        passkey['lastUsedAt'] = iso(now())
+        return self.state.issue_session(passkey['userId'], passkey['email'])
+
+    # ----- User and accounts -----
+
+    def api_profile(self, session, query):
+        user = self.current_user(session)
+        main = user['accounts'][0] if user['accounts'] else {}
+        return {
+            'userId': user['userId'],
+            'email': user['email'],
+            'summonerName': main.get('summonerName'),
+            'rank': main.get('rank'),
+            'linkedAccounts': user['accounts']
+        }
+
+    def api_get_preferences(self, session, query):
+        preferences = self.current_user(session)['preferences']
+        if preferences is None:
+            raise ApiError(HTTPStatus.NOT_FOUND, 'No saved preferences')
+        return preferences
+
+    def api_put_preferences(self, session, query):
+        self.current_user(session)['preferences'] = self.read_json()
+        return None
+
+    def api_link_summoner(self, session, query):
+        body = self.read_json()
+        summoner_name = (body.get('summonerName') or '').strip()
+        region = (body.get('region') or '').strip().lower()
+        if not summoner_name or not region:
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'Summoner name and region are required')
+        if summoner_name.lower() in ('unknown', 'notfound'):
+            raise ApiError(HTTPStatus.NOT_FOUND, f"Summoner '{summoner_name}' was not found in {region.upper()}")
+
+        account = self.state.link(self.current_user(session), summoner_name, region)
+        return {'puuid': account['puuid'], 'summonerName': account['summonerName'], 'rank': account['rank']}
+
+    def api_unlink_summoner(self, session, query, puuid):
+        self.owned_account(session, puuid)
+        user = self.current_user(session)
+        user['accounts'] = [a for a in user['accounts'] if a['puuid'] != puuid]
+        return None
+
+    # ----- Reports -----
+
+    def api_generate_report(self, session, query):
+        body = self.read_json()
+        puuid = body.get('playerPuuid') or ''
+        self.owned_account(session, puuid)
+
+        job_id = secrets.token_hex(8)
+        self.state.jobs[job_id] = {
+            'jobId': job_id,
+            'puuid': puuid,
+            'year': int(body.get('year') or now().year),
+            'startedAt': time.time(),
+            'stageSeconds': self.state.stage_seconds()
+        }
+        return {'jobId': job_id}
+
+    def api_job_status(self, session, query, job_id):
+        job = self.state.jobs.get(job_id)
+        if not job:
+            raise ApiError(HTTPStatus.NOT_FOUND, 'Report job not found')
+        return self.state.job_status(job)
+
+    def api_retry_job(self, session, query, job_id):
+        job = self.state.jobs.get(job_id)
+        if not job:
+            raise ApiError(HTTPStatus.NOT_FOUND, 'Report job not found')
+        job['startedAt'] = time.time()
+        job['stageSeconds'] = self.state.stage_seconds()
+        return {'jobId': job_id}
+
+    def api_report_years(self, session, query, puuid):
+        self.owned_account(session, puuid)
+        years = sorted((year for owner, year in self.state.reports if owner == puuid), reverse=True)
+        return {'years': years}
+
+    def api_get_report(self, session, query, puuid):
+        self.owned_account(session, puuid)
+        return self.report_for(puuid, self.year_of(query))
+
+    def api_download_report(self, session, query, puuid):
+        self.owned_account(session, puuid)
+        year = self.year_of(query)
+        report = self.report_for(puuid, year)
+        export_format = query.get('format', 'pdf')
+        filename = f"report_{puuid[:8]}_{year}"
+
+        if export_format == 'pdf':
+            return fixtures.build_pdf(report), 'application/pdf', f"{filename}.pdf"
+        if export_format == 'json':
+            return json.dumps(report, indent=2).encode(), 'application/json', f"{filename}.json"
+        if export_format == 'markdown':
+            return fixtures.build_markdown(report).encode(), 'text/markdown; charset=utf-8', f"{filename}.md"
+        raise ApiError(HTTPStatus.BAD_REQUEST, f"Unsupported format '{export_format}'")
+
+    def api_save_blueprint(self, session, query, puuid):
+        self.owned_account(session, puuid)
+        body = self.read_json()
+        self.state.blueprints[(puuid, int(body.get('year') or now().year))] = body.get('goals') or {}
+        return None
+
+    # ----- Sharing -----
+
+    def api_create_share(self, session, query, puuid):
+        self.owned_account(session, puuid)
+        body = self.read_json()
+        if not body.get('sections'):
+            raise ApiError(HTTPStatus.BAD_REQUEST, 'Choose at least one section to share')
+
+        created = now()
+        token = secrets.token_urlsafe(16)
+        link = {
+            'token': token,
+            'puuid': puuid,
+            'year': int(body.get('year') or created.year),
+            'sections': body['sections'],
+            'hideRank': bool(body.get('hideRank')),
+            'hideStats': bool(body.get('hideStats')),
+            'createdAt': iso(created),
+            'expiresAt': iso(created + timedelta(days=int(body.get('expiresInDays') or 7)))
+        }
+        self.state.shares[token] = link
+        return link
+
+    def api_list_shares(self, session, query, puuid):
+        self.owned_account(session, puuid)
+        current = iso(now())
+        return {'links': [link for link in self.state.shares.values() if link['puuid'] == puuid and link['expiresAt'] > current]}
+
+    def api_revoke_share(self, session, query, puuid, token):
+        self.owned_account(session, puuid)
+        link = self.state.shares.get(token)
+        if not link or link['puuid'] != puuid:
+            raise ApiError(HTTPStatus.NOT_FOUND, 'Share link not found')
+        del self.state.shares[token]
+        return None
+
+    def api_open_share(self, session, query, token):
+        link = self.state.shares.get(token)
+        if not link:
+            raise ApiError(HTTPStatus.NOT_FOUND, 'This link was revoked or never existed')
+        if link['expiresAt'] <= iso(now()):
+            raise ApiError(HTTPStatus.GONE, 'This link has expired')
+
+        report = self.report_for(link['puuid'], link['year'])
+        report = {key: value for key, value in report.items() if key in link['sections']}
+        if link['hideStats']:
+            report = fixtures.strip_stats(report)
+
+        owner = next((a for user in self.state.users.values() for a in user['accounts'] if a['puuid'] == link['puuid']), {})
+        player = {'summonerName': owner.get('summonerName')}
+        if not link['hideRank']:
+            player['rank'] = owner.get('rank')
+
+        return {
+            'player': player,
+            'year': link['year'],
+            'sections': link['sections'],
+            'hideRank': link['hideRank'],
+            'hideStats': link['hideStats'],
+            'expiresAt': link['expiresAt'],
+            'report': report
+        }
+
+    # ----- Matches, peers and champions -----
+
+    def api_match_list(self, session, query, puuid):
+        self.owned_account(session, puuid)
+        matches = fixtures.filter_matches(fixtures.build_matches(puuid, self.year_of(query)), query)
+
+        page = max(int(query.get('page') or 1), 1)
+        page_size = min(max(int(query.get('pageSize') or 20), 1), 100)
+        start = (page - 1) * page_size
+        return {
+            'matches': [fixtures.match_summary(match) for match in matches[start:start + page_size]],
+            'total': len(matches)
+        }
+
+    def api_match_detail(self, session, query, puuid, match_id):
+        self.owned_account(session, puuid)
+        year = self.year_of(query)
+        for season in (year, year - 1):
+            match = next((m for m in fixtures.build_matches(puuid, season) if m['matchId'] == match_id), None)
+            if match:
+                return fixtures.match_detail(match)
+        raise ApiError(HTTPStatus.NOT_FOUND, 'Match not found')
+
+    def api_benchmarks(self, session, query, puuid):
+        account = self.owned_account(session, puuid)
+        return fixtures.build_benchmarks(puuid, self.year_of(query), account['region'])
+
+    def api_leaderboard(self, session, query, puuid):
+        account = self.owned_account(session, puuid)
+        return fixtures.build_leaderboard(puuid, self.year_of(query), account['region'], account['summonerName'])
+
+    def api_champion_detail(self, session, query, puuid, name):
+        self.owned_account(session, puuid)
+        detail = fixtures.build_champion_detail(puuid, self.year_of(query), name)
+        if not detail:
+            raise ApiError(HTTPStatus.NOT_FOUND, f"No {name} games this season")
+        return detail
+
+    # ----- Telemetry -----
+
+    def api_telemetry(self, session, query):
+        """Log what an opted-in client would send to the collector"""
+        batch = self.read_json()
+        for event in batch.get('events', []):
+            detail = event.get('message') or (f"{event['duration']} ms" if 'duration' in event else '')
+            logger.info(f"Telemetry {event.get('type')} {event.get('name')} [{event.get('page')}] {detail}".rstrip())
+        return None
+
+
+def main():
+    parser = argparse.ArgumentParser(description="Run Summoner's Chronicle against a local mock backend")
+    parser.add_argument('--port', type=int, default=8000)
+    parser.add_argument('--scenario', choices=SCENARIOS, default='default')
+    args = parser.parse_args()
+
+    MockHandler.state = MockState(args.scenario)
+    MockHandler.port = args.port
+
+    server = ThreadingHTTPServer(('localhost', args.port), MockHandler)
+    logger.info(f"Serving http://localhost:{args.port}/ with scenario '{args.scenario}'")
+    logger.info(f"Switch scenarios with http://localhost:{args.port}/__mock/scenario?name=<{'|'.join(SCENARIOS)}>")
+
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        logger.info('Shutting down')
+    finally:
+        server.server_close()
+
+
+if __name__ == '__main__':
+    main()
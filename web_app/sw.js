@@ -0,0 +1,209 @@
+/**
+ * Summoner's Chronicle - Service Worker
+ * Precaches the dashboard shell and keeps the last fetched report, season list
+ * and profile per account so the dashboard opens without a connection
+ */
+
+// Bump when the shell file list or caching strategy changes
+const SHELL_CACHE = 'sc-shell-v14';
+const RUNTIME_CACHE = 'sc-runtime-v1';
+// Must match OfflineCache.REPORTS_CACHE in assets/js/offline.js
+const REPORTS_CACHE = 'sc-reports-v1';
+const SNAPSHOT_HEADER = 'X-Offline-Snapshot';
+const CONFIG_FILE = 'config/config.json';
+
+const SHELL_FILES = [
+    'pages/dashboard.html',
+    'assets/css/main.css',
+    'assets/images/background.png',
+    CONFIG_FILE,
+    'assets/js/preferences.js',
+    'assets/js/i18n.js',
+    'assets/js/app-config.js',
+    'assets/locales/en.json',
+    'assets/locales/ko.json',
+    'assets/locales/pt-BR.json',
+    'assets/js/api-client.js',
+    'assets/js/telemetry.js',
+    'assets/js/a11y.js',
+    'assets/js/session.js',
+    'assets/js/vault.js',
+    'assets/js/accounts.js',
+    'assets/js/report-jobs.js',
+    'assets/js/render.js',
+    'assets/js/report-schema.js',
+    'assets/schema/report.schema.json',
+    'assets/js/router.js',
+    'assets/js/charts.js',
+    'assets/js/match-history.js',
+    'assets/js/champion-detail.js',
+    'assets/js/peer-comparison.js',
+    'assets/js/sections.js',
+    'assets/js/blueprint.js',
+    'assets/js/export.js',
+    'assets/js/share.js',
+    'assets/js/passkeys.js',
+    'assets/js/offline.js',
+    'assets/js/dashboard.js'
+];
+
+// Third-party styles and fonts the shell depends on
+const RUNTIME_HOSTS = [
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+    'cdnjs.cloudflare.com'
+];
+
+// API reads worth keeping for offline viewing; PDF downloads are excluded
+const SNAPSHOT_PATHS = [
+    /\/report\/[^/]+$/,
+    /\/report\/[^/]+\/years$/,
+    /\/user\/profile$/
+];
+
+self.addEventListener('install', (event) => {
+    // 'reload' skips the year-long HTTP cache the deploy script sets on JS and CSS
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, RUNTIME_CACHE, REPORTS_CACHE];
+
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('sc-') && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+let apiEndpoint = null;
+
+// The API lives wherever this environment's config says; the shell copy covers offline starts
+function getApiEndpoint() {
+    if (!apiEndpoint) {
+        apiEndpoint = fetch(CONFIG_FILE, { cache: 'no-cache' })
+            .then(response => (response.ok ? response : Promise.reject(new Error('Config unavailable'))))
+            .catch(() => caches.match(CONFIG_FILE, { ignoreSearch: true }))
+            .then(response => response.json())
+            .then(config => String(config.apiEndpoint || '').replace(/\/$/, '') || null)
+            .catch(() => {
+                apiEndpoint = null;
+                return null;
+            });
+    }
+    return apiEndpoint;
+}
+
+function isSnapshotPath(url) {
+    if (url.searchParams.has('format')) return false;
+    return SNAPSHOT_PATHS.some(pattern => pattern.test(url.pathname));
+}
+
+// The API is on another origin, so the page can only read the stamp if the response exposes it
+function exposeSnapshotHeader(response) {
+    const headers = new Headers(response.headers);
+    const exposed = headers.get('Access-Control-Expose-Headers');
+    headers.set('Access-Control-Expose-Headers', exposed ? `${exposed}, ${SNAPSHOT_HEADER}` : SNAPSHOT_HEADER);
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+// Network first; on failure serve the saved copy, stamped with when it was saved
+async function networkFirstWithSnapshot(request) {
+    const cache = await caches.open(REPORTS_CACHE);
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            const body = await response.clone().blob();
+            const headers = new Headers(response.headers);
+            headers.set(SNAPSHOT_HEADER, new Date().toISOString());
+            await cache.put(request, new Response(body, { status: response.status, headers }));
+        }
+        return response;
+
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreVary: true });
+        if (cached) return exposeSnapshotHeader(cached);
+        throw error;
+    }
+}
+
+// Config changes with each deploy: always ask the network, keep the copy for offline starts
+async function networkFirstConfig(request) {
+    const cache = await caches.open(SHELL_CACHE);
+
+    try {
+        const response = await fetch(request, { cache: 'no-cache' });
+        if (response.ok) {
+            await cache.put(CONFIG_FILE, response.clone());
+        }
+        return response;
+
+    } catch (error) {
+        const cached = await cache.match(CONFIG_FILE, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Serve the shell from cache and refresh it in the background
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: cacheName === SHELL_CACHE });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Only API reads get saved copies; anything else on a matching path goes straight through
+    if (url.origin !== self.location.origin && isSnapshotPath(url)) {
+        event.respondWith(getApiEndpoint().then(endpoint => (
+            endpoint && url.href.startsWith(endpoint) ? networkFirstWithSnapshot(request) : fetch(request)
+        )));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        const scopePath = new URL(self.registration.scope).pathname;
+        const relative = url.pathname.startsWith(scopePath) ? url.pathname.slice(scopePath.length) : null;
+
+        if (relative === CONFIG_FILE) {
+            event.respondWith(networkFirstConfig(request));
+        } else if (relative !== null && SHELL_FILES.includes(relative)) {
+            event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+        }
+        return;
+    }
+
+    if (RUNTIME_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, RUNTIME_CACHE));
+    }
+});
+
+// Signed-out users should not leave reports behind on shared devices
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'clear-reports') {
+        event.waitUntil(caches.delete(REPORTS_CACHE));
+    }
+});